@@ -1,31 +1,100 @@
 // functions/constants.js - Firebase Functions用定数管理
 
+/**
+ * サンプリングリング構成（方向 × 距離）
+ * 各方向の方位角は WEATHER_CONSTANTS.DIRECTION_BEARINGS で定義
+ */
+const SAMPLING_LAYOUTS = {
+  // 東西南北4方向
+  cardinal: {
+    directions: ['north', 'south', 'east', 'west'],
+    distances: [50.0, 160.0, 250.0],
+  },
+  // 8方位
+  octant: {
+    directions: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    distances: [50.0, 160.0, 250.0],
+  },
+  // 16方位
+  sixteen: {
+    directions: [
+      'north', 'north_northeast', 'northeast', 'east_northeast',
+      'east', 'east_southeast', 'southeast', 'south_southeast',
+      'south', 'south_southwest', 'southwest', 'west_southwest',
+      'west', 'west_northwest', 'northwest', 'north_northwest',
+    ],
+    distances: [50.0, 160.0, 250.0],
+  },
+};
+
+const DEFAULT_SAMPLING_LAYOUT = 'cardinal';
+
 /**
  * 気象データ関連の定数
  */
 const WEATHER_CONSTANTS = {
-  // 監視方向と距離
-  CHECK_DIRECTIONS: ['north', 'south', 'east', 'west'],
-  CHECK_DISTANCES: [50.0, 160.0, 250.0],
+  // 監視方向と距離（サンプリングリング構成から導出）
+  SAMPLING_LAYOUT: DEFAULT_SAMPLING_LAYOUT,
+  CHECK_DIRECTIONS: SAMPLING_LAYOUTS[DEFAULT_SAMPLING_LAYOUT].directions,
+  CHECK_DISTANCES: SAMPLING_LAYOUTS[DEFAULT_SAMPLING_LAYOUT].distances,
+
+  // 方向ごとの方位角（度、北=0 で時計回り）
+  DIRECTION_BEARINGS: {
+    north: 0,
+    north_northeast: 22.5,
+    northeast: 45,
+    east_northeast: 67.5,
+    east: 90,
+    east_southeast: 112.5,
+    southeast: 135,
+    south_southeast: 157.5,
+    south: 180,
+    south_southwest: 202.5,
+    southwest: 225,
+    west_southwest: 247.5,
+    west: 270,
+    west_northwest: 292.5,
+    northwest: 315,
+    north_northwest: 337.5,
+  },
+  DIRECTION_LABELS: {
+    north: '北',
+    north_northeast: '北北東',
+    northeast: '北東',
+    east_northeast: '東北東',
+    east: '東',
+    east_southeast: '東南東',
+    southeast: '南東',
+    south_southeast: '南南東',
+    south: '南',
+    south_southwest: '南南西',
+    southwest: '南西',
+    west_southwest: '西南西',
+    west: '西',
+    west_northwest: '西北西',
+    northwest: '北西',
+    north_northwest: '北北西',
+  },
+
+  // 予報時間設定
+  FORECAST_DAYS: 2, // 日付をまたぐ場合も先読みできるよう2日分取得
+  FORECAST_HOURS: 3, // 現在時刻に加えて評価する時間数
 
   // 座標計算
-  LATITUDE_PER_DEGREE_KM: 111.0,
+  EARTH_RADIUS_KM: 6371.0, // 大円距離計算用の地球半径
   COORDINATE_PRECISION: 2, // 小数点以下桁数
   API_COORDINATE_PRECISION: 6, // API用の高精度座標
 
-  // キャッシュ設定
-  CACHE_DURATION_MS: 5 * 60 * 1000, // 5分
+  // キャッシュ設定（鮮度は WEATHER_CACHE_SETTINGS）
   CACHE_CLEANUP_RETENTION_HOURS: 2, // 2時間
-  CACHE_CLEANUP_BATCH_SIZE: 100,
 
-  // 夜間モード設定（20時〜8時）
-  NIGHT_MODE_START_HOUR: 20,
-  NIGHT_MODE_END_HOUR: 8,
-  JST_OFFSET_MS: 9 * 60 * 60 * 1000, // 9時間をミリ秒で
+  // 夜間モード設定（地点ごとの日の出・日の入りから判定）
+  NIGHT_MODE_SUNRISE_OFFSET_MINUTES: 180, // 日の出から監視開始までの時間
+  NIGHT_MODE_SUNSET_OFFSET_MINUTES: 60, // 日の入りから監視終了までの時間
+  MAX_UTC_OFFSET_MINUTES: 14 * 60, // UTCオフセットの有効範囲
 
   // デフォルト値
   DEFAULT_TEMPERATURE: 20,
-  DEFAULT_WEATHER_VALUE: 0.0,
 };
 
 /**
@@ -61,14 +130,60 @@ const ANALYSIS_THRESHOLDS = {
   CLOUD_MEDIUM: 40,
   CLOUD_LOW: 20,
 
+  // 降水量閾値（mm/h）
+  PRECIP_HEAVY: 10,
+  PRECIP_MODERATE: 3,
+  PRECIP_LIGHT: 0.5,
+
+  // にわか雨（対流性降水）閾値（mm/h）
+  SHOWERS_HEAVY: 5,
+  SHOWERS_MODERATE: 1,
+  SHOWERS_LIGHT: 0.1,
+
+  // 雷ポテンシャル（LPI）閾値（J/kg）
+  LIGHTNING_HIGH: 5,
+  LIGHTNING_MEDIUM: 2,
+  LIGHTNING_LOW: 0.5,
+
+  // 凍結高度閾値（m）
+  FREEZING_LEVEL_HIGH: 4500,
+  FREEZING_LEVEL_MEDIUM: 3500,
+  FREEZING_LEVEL_LOW: 2500,
+
+  // 突風閾値（km/h）
+  GUSTS_STRONG: 60,
+  GUSTS_MODERATE: 40,
+  GUSTS_LIGHT: 25,
+
+  // 露点温度閾値（°C）
+  DEW_POINT_VERY_HIGH: 22,
+  DEW_POINT_HIGH: 18,
+  DEW_POINT_MEDIUM: 15,
+  DEW_POINT_LOW: 10,
+
+  // 下層雲量閾値（%）
+  LOW_CLOUD_HIGH: 60,
+  LOW_CLOUD_MEDIUM: 30,
+  LOW_CLOUD_LOW: 10,
+
+  // データ品質閾値（取得できた要素の重みの合計がこれ未満の場合は判定しない）
+  MIN_DATA_CONFIDENCE: 0.7,
+
   // 総合判定閾値
   TOTAL_SCORE_HIGH: 0.5,
   TOTAL_SCORE_MEDIUM: 0.3,
   TOTAL_SCORE_LOW: 0.15,
+
+  // 予報傾向判定閾値（現在からのスコア変化量）
+  TREND_DELTA: 0.1,
 };
 
 /**
  * スコア重み定数
+ *
+ * 降水量〜下層雲量の追加指標は組み込みプロファイルでは重み0（判定に影響しない）
+ * 分析プロファイル（analysis_profiles）で重みを配分して有効にする
+ * （配分例: scripts/backtest_samples/profiles.json の convective-tuned）
  */
 const SCORE_WEIGHTS = {
   CAPE: 0.4,
@@ -76,6 +191,13 @@ const SCORE_WEIGHTS = {
   CIN: 0.05,
   TEMPERATURE: 0.1,
   CLOUD_COVER: 0.15,
+  PRECIPITATION: 0,
+  SHOWERS: 0,
+  LIGHTNING_POTENTIAL: 0,
+  FREEZING_LEVEL: 0,
+  WIND_GUSTS: 0,
+  DEW_POINT: 0,
+  LOW_CLOUD_COVER: 0,
 };
 
 /**
@@ -92,6 +214,32 @@ const SCORE_VALUES = {
   NONE: 0.0,
 };
 
+/**
+ * 組み込みの分析プロファイル
+ *
+ * Firestore にプロファイルがない場合・読み込めない場合に使用する
+ * Firestore のプロファイルはこの値に上書きする形で定義する（weights のみ、指定した重みが完全な組となる）
+ */
+const DEFAULT_ANALYSIS_PROFILE = {
+  profileId: 'builtin',
+  version: 0,
+  thresholds: ANALYSIS_THRESHOLDS,
+  weights: SCORE_WEIGHTS,
+  scores: SCORE_VALUES,
+  regions: [],
+};
+
+/**
+ * 分析プロファイル設定
+ */
+const ANALYSIS_PROFILE_SETTINGS = {
+  COLLECTION: 'analysis_profiles', // バージョン付きプロファイルの保存先
+  CACHE_TTL_MS: 5 * 60 * 1000, // インスタンス内キャッシュの有効期間（5分）
+  DEFAULT_PROFILE_ID: 'default', // 地域・ユーザー指定がない場合に使用するプロファイル
+  USER_FIELD: 'analysisProfile', // users ドキュメントでプロファイルを指定するフィールド
+  WEIGHT_SUM_TOLERANCE: 1e-6, // 重みの合計が1とみなす許容誤差
+};
+
 /**
  * タイムアウト設定
  */
@@ -109,6 +257,74 @@ const BATCH_SETTINGS = {
   BATCH_SIZE: 100, // 一度に処理する座標数
   BATCH_DELAY_MS: 2000, // バッチ間の待機時間
   FALLBACK_DELAY_MS: 100, // フォールバック時の待機時間
+  CACHE_READ_CHUNK_SIZE: 100, // getAll 1回あたりのキャッシュ読み込み件数
+  CACHE_WRITE_CHUNK_SIZE: 500, // バッチ書き込み1回あたりの件数（Firestoreの上限）
+};
+
+/**
+ * リスクグリッド（地図オーバーレイ用）設定
+ *
+ * グリッドは全球共通の格子（解像度ごと）に揃え、TILE_CELLS × TILE_CELLS セルのタイル単位でキャッシュする
+ */
+const RISK_GRID_SETTINGS = {
+  TILE_COLLECTION: 'risk_grid_tiles',
+  RESOLUTIONS: ['0.05', '0.1', '0.25', '0.5'], // セルの大きさ（度）
+  DEFAULT_RESOLUTION: '0.1',
+  TILE_CELLS: 8, // タイル1辺のセル数
+  MAX_CELLS: 2500, // 1リクエストで返す最大セル数
+  MAX_TILES: 36, // 1リクエストで扱う最大タイル数
+  CACHE_DURATION_MS: 15 * 60 * 1000, // タイルの有効期限（15分）
+};
+
+/**
+ * 気象データプロバイダー設定
+ */
+const WEATHER_PROVIDER_SETTINGS = {
+  DEFAULT_PROVIDER: 'open-meteo',
+  PROVIDER_ENV: 'WEATHER_PROVIDER', // プロバイダー切り替え用の環境変数名
+  FIXTURE_PATH_ENV: 'WEATHER_FIXTURE_PATH', // フィクスチャファイル指定用の環境変数名
+};
+
+/**
+ * 気象データキャッシュ設定
+ *
+ * - 地点データ: ジオハッシュのセル単位で全ユーザー・全処理が共有する
+ * - 中心座標サマリー: 地点データから作成した方向別データ（アプリが中心座標のキーで読み込む）
+ * - 鮮度: 保存からの経過時間で fresh（そのまま使用）/ stale（取得失敗時の代替として使用可）/ expired に区分
+ * - Firestore の前段に関数インスタンスごとの LRU メモリキャッシュを置く
+ */
+const WEATHER_CACHE_SETTINGS = {
+  SCHEMA_VERSION: 3, // ドキュメント形式のバージョン（異なるものはキャッシュなしとして扱う。3: サマリーの形式を統一）
+  POINT_COLLECTION: 'weather_cache',
+  SUMMARY_COLLECTION: 'weather_origin_summaries',
+  GEOHASH_PRECISION: 6, // 約1.2km × 0.6km のセル
+  FRESH_MS: 5 * 60 * 1000, // 5分
+  STALE_USABLE_MS: 30 * 60 * 1000, // 30分
+  MEMORY_MAX_ENTRIES: 2000, // 関数インスタンス内のメモリキャッシュの最大件数（有効期間は FRESH_MS）
+  LEGACY_CACHE_TYPES: ['standard', 'multi_distance_directional'], // schemaVersion 導入前の cacheType（件数集計用）
+
+  // 利用統計（total: 累計、YYYY-MM-DDTHH: UTCの1時間ごと）
+  STATS_COLLECTION: 'weather_cache_stats',
+  STATS_TOTAL_DOC: 'total',
+  STATS_FLUSH_INTERVAL_MS: 60 * 1000, // インスタンスごとの統計の書き込み間隔
+  STATS_RATE_WINDOW_HOURS: 24, // 1時間あたりの書き込み件数の算出期間
+  STATS_SERIES_MAX_HOURS: 168, // 時系列として返す最大時間数（7日）
+  AGE_BUCKETS: [ // キャッシュから返したデータの経過時間の区分
+    { label: 'under1m', maxMs: 60 * 1000 },
+    { label: 'under5m', maxMs: 5 * 60 * 1000 },
+    { label: 'under15m', maxMs: 15 * 60 * 1000 },
+    { label: 'under30m', maxMs: 30 * 60 * 1000 },
+    { label: 'over30m', maxMs: Infinity },
+  ],
+};
+
+/**
+ * キャッシュの鮮度区分（新しい順）
+ */
+const CACHE_FRESHNESS = {
+  FRESH: 'fresh',
+  STALE: 'stale',
+  EXPIRED: 'expired',
 };
 
 /**
@@ -116,7 +332,83 @@ const BATCH_SETTINGS = {
  */
 const USER_MONITORING = {
   ACTIVE_USER_DURATION_MS: 24 * 60 * 60 * 1000, // 24時間
-  CACHE_CHECK_DURATION_MS: 5 * 60 * 1000, // 5分
+};
+
+/**
+ * 監視実行の調整設定（5分ごとの実行枠ごとにリースを取得）
+ */
+const RUN_COORDINATOR_SETTINGS = {
+  RUN_COLLECTION: 'monitoring_runs', // 実行枠ごとの実行状態の保存先
+  WINDOW_MS: 5 * 60 * 1000, // 実行枠の長さ（スケジュール間隔と同じ5分）
+  LEASE_DURATION_MS: 3 * 60 * 1000, // リースの有効期間（実行中・ステップ完了ごとに延長）
+  HEARTBEAT_INTERVAL_MS: 60 * 1000, // ステップ実行中にリースを延長する間隔（LEASE_DURATION_MS より十分短く）
+};
+
+/**
+ * データクリーンアップ設定
+ *
+ * 削除対象を時間予算内でページ単位に削除し、残りがある場合はチェックポイントを保存して
+ * タスクキューから続きを実行する（実行ごとの結果は REPORT_COLLECTION に記録）
+ */
+const CLEANUP_SETTINGS = {
+  CHECKPOINT_COLLECTION: 'cleanup_checkpoints', // ジョブごとの続きの位置
+  REPORT_COLLECTION: 'cleanup_runs', // 実行ごとの結果
+  TIME_BUDGET_MS: 7 * 60 * 1000, // 1回の実行で削除に使う時間（関数のタイムアウト9分より短く）
+  PAGE_SIZE: 300, // 1回のクエリで読み込む件数
+  MAX_WRITE_ATTEMPTS: 3, // BulkWriter の削除の最大試行回数
+  MAX_CONTINUATIONS: 20, // スケジュール実行1回あたりの続きの実行回数の上限
+  CONTINUATION_DELAY_SECONDS: 60, // 続きを実行するまでの待機時間
+  TASK_QUEUE_FUNCTION: 'continueCleanup', // 続きを実行するタスクキュー関数
+  MAX_REPORTED_ERRORS: 20, // 結果に記録するエラーメッセージの最大件数
+  MAX_REPORTED_ORPHANS: 100, // 結果に記録する Storage のパスを特定できなかった写真の最大件数
+};
+
+/**
+ * 写真の Storage ファイル設定
+ */
+const PHOTO_STORAGE_SETTINGS = {
+  // 写真ドキュメントのパスフィールドと、パスがない古いドキュメントで代わりに使うダウンロードURLのフィールド
+  FILE_FIELDS: [
+    { path: 'storagePath', url: 'imageUrl' },
+    { path: 'thumbnailPath', url: 'thumbnailUrl' },
+  ],
+  // 画像リサイズで元画像と同じディレクトリに作られる派生画像（{ファイル名}_{サイズ}.{拡張子}）
+  // アプリの写真削除（AppConstants.photoVariantSizes）と合わせる
+  VARIANT_SIZES: [
+    '400x400', // サムネイル
+    '128x128', // アバターサイズ
+  ],
+};
+
+/**
+ * 通知重複防止設定
+ */
+const ALERT_SETTINGS = {
+  STATE_COLLECTION: 'alert_states', // ユーザー別通知状態の保存先
+  COOLDOWN_MS: 60 * 60 * 1000, // 同一内容の再通知を抑制する期間（1時間）
+  SCORE_ESCALATION_DELTA: 0.15, // 再通知するスコア上昇幅
+};
+
+/**
+ * FCM通知送信設定
+ */
+const NOTIFICATION_SETTINGS = {
+  MAX_RETRIES: 3, // 一時的なエラー時の最大再試行回数
+  INITIAL_BACKOFF_MS: 500, // 初回再試行までの待機時間（以降は倍増）
+  MAX_BACKOFF_MS: 8000,
+  SEND_BATCH_SIZE: 500, // sendEach 1回あたりの最大メッセージ数（FCMの上限）
+  STATS_COLLECTION: 'notification_stats', // 日別送信カウンターの保存先
+};
+
+/**
+ * ユーザー別通知設定
+ * users ドキュメントの notificationPreferences フィールドで指定する
+ */
+const NOTIFICATION_PREFERENCES = {
+  FIELD: 'notificationPreferences',
+  RISK_LEVELS: ['極めて低い', '低い', '中程度', '高い'], // 低い順
+  DEFAULT_MIN_RISK_LEVEL: '高い', // 従来の判定（TOTAL_SCORE_HIGH 以上）と同じ
+  MAX_DISTANCE_LIMIT_KM: 1000,
 };
 
 /**
@@ -125,7 +417,52 @@ const USER_MONITORING = {
 const HTTP_STATUS = {
   OK: 200,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
+};
+
+/**
+ * APIエラーコード（エラーレスポンスの error.code に設定）
+ */
+const API_ERROR_CODES = {
+  MISSING_PARAMETER: 'MISSING_PARAMETER', // 必須パラメータがない
+  INVALID_PARAMETER: 'INVALID_PARAMETER', // 型・範囲・選択肢が不正
+  UNKNOWN_PARAMETER: 'UNKNOWN_PARAMETER', // 定義されていないパラメータ
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND', // 存在しないAPIパス
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED', // 許可されていないHTTPメソッド
+  UNAUTHENTICATED: 'UNAUTHENTICATED', // IDトークン・App Checkトークンがない、または無効
+  FORBIDDEN: 'FORBIDDEN', // 権限（管理者クレーム）がない
+  RATE_LIMITED: 'RATE_LIMITED', // 呼び出し元ごとのリクエスト上限を超過
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE', // 気象データプロバイダーから取得できない
+  INTERNAL_ERROR: 'INTERNAL_ERROR', // その他のサーバーエラー
+};
+
+/**
+ * HTTP API のアクセス制御設定
+ */
+const API_SECURITY_SETTINGS = {
+  // CORSで許可するオリジン（環境変数 CORS_ALLOWED_ORIGINS にカンマ区切りで追加可能）
+  ALLOWED_ORIGINS: [
+    'http://localhost:5000',
+  ],
+  ALLOWED_ORIGINS_ENV: 'CORS_ALLOWED_ORIGINS',
+  ID_TOKEN_HEADER: 'authorization', // "Bearer <Firebase IDトークン>"
+  APP_CHECK_HEADER: 'x-firebase-appcheck',
+  ADMIN_CLAIM: 'admin', // getCacheStats に必要なカスタムクレーム
+};
+
+/**
+ * レート制限設定（呼び出し元ごとの固定ウィンドウ）
+ */
+const RATE_LIMIT_SETTINGS = {
+  COLLECTION: 'rate_limits',
+  WINDOW_MS: 60 * 1000, // 1分
+  MAX_REQUESTS: 30, // ウィンドウあたりの最大リクエスト数
 };
 
 /**
@@ -199,31 +536,37 @@ const HelperFunctions = {
   },
 
   /**
-   * 現在時刻が夜間モードかどうかを判定
+   * UTCオフセット（分）から現地時刻の時（0〜23）を取得
    */
-  isNightMode: () => {
-    const now = new Date();
-    const jstTime = new Date(now.getTime() + WEATHER_CONSTANTS.JST_OFFSET_MS);
-    const currentHour = jstTime.getHours();
+  getLocalHour: (now, utcOffsetMinutes) => {
+    return new Date(now.getTime() + utcOffsetMinutes * 60 * 1000).getUTCHours();
+  },
 
-    return currentHour >= WEATHER_CONSTANTS.NIGHT_MODE_START_HOUR ||
-           currentHour < WEATHER_CONSTANTS.NIGHT_MODE_END_HOUR;
+  /**
+   * ユーザーのUTCオフセット（分）を決定
+   * 端末から保存された utcOffsetMinutes を優先し、なければ経度から推定
+   */
+  resolveUtcOffsetMinutes: (userData) => {
+    const offset = userData.utcOffsetMinutes;
+    if (Number.isInteger(offset) && Math.abs(offset) <= WEATHER_CONSTANTS.MAX_UTC_OFFSET_MINUTES) {
+      return offset;
+    }
+    return Math.round((userData.longitude || 0) / 15) * 60;
   },
 
   /**
    * 夜間モード用のレスポンスを作成
    */
-  createNightModeResponse: () => {
+  createNightModeResponse: (directions = WEATHER_CONSTANTS.CHECK_DIRECTIONS) => {
     const nightResponse = {
       analysis: { isLikely: false, totalScore: 0, riskLevel: '極めて低い' },
       temperature: WEATHER_CONSTANTS.DEFAULT_TEMPERATURE
     };
-    return {
-      north: nightResponse,
-      south: nightResponse,
-      east: nightResponse,
-      west: nightResponse
-    };
+    const response = {};
+    directions.forEach(direction => {
+      response[direction] = nightResponse;
+    });
+    return response;
   },
 
   /**
@@ -236,14 +579,30 @@ const HelperFunctions = {
 };
 
 module.exports = {
+  SAMPLING_LAYOUTS,
   WEATHER_CONSTANTS,
   ANALYSIS_THRESHOLDS,
   SCORE_WEIGHTS,
   SCORE_VALUES,
+  DEFAULT_ANALYSIS_PROFILE,
+  ANALYSIS_PROFILE_SETTINGS,
   TIMEOUT_SETTINGS,
   BATCH_SETTINGS,
+  RISK_GRID_SETTINGS,
+  WEATHER_PROVIDER_SETTINGS,
+  WEATHER_CACHE_SETTINGS,
+  CACHE_FRESHNESS,
   USER_MONITORING,
+  RUN_COORDINATOR_SETTINGS,
+  CLEANUP_SETTINGS,
+  PHOTO_STORAGE_SETTINGS,
+  ALERT_SETTINGS,
+  NOTIFICATION_SETTINGS,
+  NOTIFICATION_PREFERENCES,
   HTTP_STATUS,
+  API_ERROR_CODES,
+  API_SECURITY_SETTINGS,
+  RATE_LIMIT_SETTINGS,
   MEMORY_SETTINGS,
   REGIONS,
   LOG_CONSTANTS,
@@ -1,40 +1,161 @@
 // functions/coordinate_utils.js - 座標計算ユーティリティ（定数ファイル対応）
 
 // 定数ファイルをインポート
-const { WEATHER_CONSTANTS } = require('./constants');
+const { WEATHER_CONSTANTS, WEATHER_CACHE_SETTINGS, SAMPLING_LAYOUTS } = require('./constants');
+
+const toRadians = (degrees) => degrees * Math.PI / 180.0;
+const toDegrees = (radians) => radians * 180.0 / Math.PI;
+
+// ジオハッシュの base32 文字
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * 始点・方位角・距離から大円上の到達点を計算
+ *
+ * @param {number} latitude - 始点の緯度
+ * @param {number} longitude - 始点の経度
+ * @param {number} bearingDeg - 方位角（度、北=0 で時計回り）
+ * @param {number} distanceKm - 距離（km）
+ * @returns {Object} { latitude, longitude }（経度は -180〜180 に正規化）
+ */
+function calculateDestinationCoordinates(latitude, longitude, bearingDeg, distanceKm) {
+  const angularDistance = distanceKm / WEATHER_CONSTANTS.EARTH_RADIUS_KM;
+  const bearing = toRadians(bearingDeg);
+  const lat1 = toRadians(latitude);
+  const lon1 = toRadians(longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: toDegrees(lat2),
+    longitude: ((toDegrees(lon2) + 540) % 360) - 180
+  };
+}
+
+/**
+ * 2地点間の大円距離を計算（haversine）
+ *
+ * @returns {number} 距離（km）
+ */
+function calculateDistanceKm(latitude1, longitude1, latitude2, longitude2) {
+  const dLat = toRadians(latitude2 - latitude1);
+  const dLon = toRadians(longitude2 - longitude1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * WEATHER_CONSTANTS.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * 座標をジオハッシュに変換
+ *
+ * 同じセル内の座標は同じ文字列になるため、地点キャッシュのキーとして使用する
+ *
+ * @param {number} latitude - 緯度
+ * @param {number} longitude - 経度
+ * @param {number} precision - 文字数（6文字で約1.2km × 0.6km）
+ * @returns {string} ジオハッシュ
+ */
+function encodeGeohash(latitude, longitude, precision = WEATHER_CACHE_SETTINGS.GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let geohash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitude = true;
+
+  while (geohash.length < precision) {
+    const range = isLongitude ? lonRange : latRange;
+    const value = isLongitude ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitude = !isLongitude;
+    if (++bitCount === 5) {
+      geohash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return geohash;
+}
 
 /**
  * 指定方向と距離から座標を計算
  */
 function calculateDirectionCoordinates(direction, currentLatitude, currentLongitude, distanceKm) {
-  // 緯度1度あたりの距離（定数ファイルから参照）
-  const latitudePerDegreeKm = WEATHER_CONSTANTS.LATITUDE_PER_DEGREE_KM;
-  let latitudeOffset = WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-  let longitudeOffset = WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-
-  switch (direction) {
-  case 'north':
-    latitudeOffset = distanceKm / latitudePerDegreeKm;
-    break;
-  case 'south':
-    latitudeOffset = -distanceKm / latitudePerDegreeKm;
-    break;
-  case 'east':
-    longitudeOffset = distanceKm / (latitudePerDegreeKm * Math.cos(currentLatitude * Math.PI / 180.0));
-    break;
-  case 'west':
-    longitudeOffset = -distanceKm / (latitudePerDegreeKm * Math.cos(currentLatitude * Math.PI / 180.0));
-    break;
-  default:
+  const bearing = WEATHER_CONSTANTS.DIRECTION_BEARINGS[direction];
+
+  if (bearing === undefined) {
     throw new Error(`未知の方向: ${direction}`);
   }
 
-  return {
-    latitude: currentLatitude + latitudeOffset,
-    longitude: currentLongitude + longitudeOffset
-  };
+  return calculateDestinationCoordinates(currentLatitude, currentLongitude, bearing, distanceKm);
+}
+
+/**
+ * サンプリングリング構成を取得
+ *
+ * @param {string} layoutName - 構成名（cardinal / octant / sixteen、省略時はデフォルト）
+ * @returns {Object} { name, directions, distances }
+ */
+function getSamplingLayout(layoutName = WEATHER_CONSTANTS.SAMPLING_LAYOUT) {
+  const layout = SAMPLING_LAYOUTS[layoutName];
+
+  if (!layout) {
+    throw new Error(`未知のサンプリング構成: ${layoutName}`);
+  }
+
+  return { name: layoutName, ...layout };
+}
+
+/**
+ * 中心座標の周囲のサンプリング地点を生成（方向 × 距離）
+ *
+ * @param {number} latitude - 中心の緯度
+ * @param {number} longitude - 中心の経度
+ * @param {Object} layout - getSamplingLayout の結果
+ * @returns {Array<Object>} [{ direction, bearing, distance, latitude, longitude }, ...]
+ */
+function buildSamplingPoints(latitude, longitude, layout = getSamplingLayout()) {
+  const points = [];
+
+  layout.directions.forEach(direction => {
+    layout.distances.forEach(distance => {
+      const coord = calculateDirectionCoordinates(direction, latitude, longitude, distance);
+      points.push({
+        direction: direction,
+        bearing: WEATHER_CONSTANTS.DIRECTION_BEARINGS[direction],
+        distance: distance,
+        latitude: coord.latitude,
+        longitude: coord.longitude
+      });
+    });
+  });
+
+  return points;
 }
 
 module.exports = {
-  calculateDirectionCoordinates
-};
\ No newline at end of file
+  calculateDestinationCoordinates,
+  calculateDistanceKm,
+  calculateDirectionCoordinates,
+  encodeGeohash,
+  getSamplingLayout,
+  buildSamplingPoints
+};
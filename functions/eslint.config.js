@@ -17,6 +17,8 @@ module.exports = [
         exports: 'readonly',
         global: 'readonly',
         setTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
         Promise: 'readonly',
       },
     },
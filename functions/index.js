@@ -5,7 +5,7 @@
  * モジュラー設計により、各機能が独立したサービスクラスとして実装されている
  *
  * 主な機能:
- * - 気象データ取得API (HTTP)
+ * - 気象データ取得API (HTTP、単一の api 関数で /v1/* を提供)
  * - 入道雲監視 (スケジュール)
  * - データクリーンアップ (スケジュール)
  * - リアルタイム通知 (バックグラウンド)
@@ -13,13 +13,18 @@
 
 const {onRequest} = require('firebase-functions/v2/https');
 const {onSchedule} = require('firebase-functions/v2/scheduler');
+const {onTaskDispatched} = require('firebase-functions/v2/tasks');
 const admin = require('firebase-admin');
 
 // === サービスクラス群をインポート ===
 const WeatherService = require('./modules/weather/weather_service');           // 気象データ処理
 const ThunderMonitoring = require('./modules/monitoring/thunder_monitoring'); // 入道雲監視
+const RunCoordinator = require('./modules/monitoring/run_coordinator');       // 監視実行の調整
 const CleanupService = require('./modules/cleanup/cleanup_service');         // データクリーンアップ
+const RiskGridService = require('./modules/weather/risk_grid_service');      // リスクグリッド
 const HttpHandlers = require('./modules/handlers/http_handlers');            // HTTP API ハンドラー
+const ApiRouter = require('./modules/api/api_router');                       // REST API ルーター
+const { createRoutes } = require('./modules/api/routes');                    // REST API ルート定義
 const ScheduleHandlers = require('./modules/handlers/schedule_handlers');     // スケジュールハンドラー
 
 // Firebase Admin SDK を初期化
@@ -36,10 +41,13 @@ admin.initializeApp();
 const weatherService = new WeatherService();         // 気象データ処理サービス
 const thunderMonitoring = new ThunderMonitoring();   // 入道雲監視サービス
 const cleanupService = new CleanupService();         // データクリーンアップサービス
+const riskGridService = new RiskGridService();       // リスクグリッドサービス
+const runCoordinator = new RunCoordinator(weatherService, thunderMonitoring); // 監視実行の調整
 
 // === ハンドラーインスタンス ===
-const httpHandlers = new HttpHandlers(weatherService);
-const scheduleHandlers = new ScheduleHandlers(weatherService, thunderMonitoring, cleanupService);
+const httpHandlers = new HttpHandlers(weatherService, riskGridService);
+const apiRouter = new ApiRouter(createRoutes(httpHandlers));
+const scheduleHandlers = new ScheduleHandlers(runCoordinator, cleanupService);
 
 /*
 ================================================================================
@@ -48,14 +56,15 @@ const scheduleHandlers = new ScheduleHandlers(weatherService, thunderMonitoring,
 ================================================================================
 */
 
-// 気象データ取得 API: GET /getWeatherData?latitude=xx&longitude=xx
-exports.getWeatherData = onRequest((req, res) => httpHandlers.getWeatherData(req, res));
-
-// 各方向気象データ取得 API: GET /getDirectionalWeatherData?latitude=xx&longitude=xx
-exports.getDirectionalWeatherData = onRequest((req, res) => httpHandlers.getDirectionalWeatherData(req, res));
-
-// キャッシュ統計情報取得 API: GET /getCacheStats
-exports.getCacheStats = onRequest((req, res) => httpHandlers.getCacheStats(req, res));
+/**
+ * REST API（バージョン付き、ルート定義は modules/api/routes.js）
+ * - GET /api/v1/weather?latitude=xx&longitude=xx: 気象データ取得
+ * - GET /api/v1/weather/directional?latitude=xx&longitude=xx&layout=xx: 各方向気象データ取得
+ * - GET /api/v1/riskGrid?south=xx&west=xx&north=xx&east=xx&resolution=xx&format=xx: リスクグリッド取得
+ * - GET /api/v1/cache/stats: キャッシュ統計情報取得（管理者のみ）
+ * - GET /api/v1/openapi.json: OpenAPI ドキュメント
+ */
+exports.api = onRequest((req, res) => apiRouter.handle(req, res));
 
 /*
 ================================================================================
@@ -65,46 +74,62 @@ exports.getCacheStats = onRequest((req, res) => httpHandlers.getCacheStats(req,
 */
 
 /**
- * 気象データ自動キャッシュ処理
+ * 入道雲監視処理（メイン）
  * スケジュール: 5分間隔
- * 処理内容: アクティブユーザーの位置周辺の気象データを事前キャッシュ
+ * 処理内容: 気象データを事前キャッシュした後、入道雲を検知し該当者に通知送信
+ *           （実行枠ごとのリースにより、キャッシュ更新と判定の順序・一回実行を保証）
  */
-exports.cacheWeatherData = onSchedule({
-  schedule: 'every 5 minutes',
+exports.checkThunderClouds = onSchedule({
+  schedule: '*/5 * * * *',     // 実行枠の開始に合わせる
   timeoutSeconds: 540,         // 9分タイムアウト（大量データ処理対応）
   memory: '1GiB',             // 高メモリ割り当て（バッチ処理用）
   region: 'asia-northeast1'   // 東京リージョン（低レイテンシ）
-}, () => scheduleHandlers.cacheWeatherData());
-
-/**
- * 入道雲検知・通知処理
- * スケジュール: 5分間隔
- * 処理内容: アクティブユーザー周辺の入道雲を検知し、該当者に通知送信
- */
-exports.checkThunderClouds = onSchedule({
-  schedule: 'every 5 minutes',
-  timeoutSeconds: 300,         // 5分タイムアウト（キャッシュ活用で高速処理）
-  memory: '512MiB',           // 標準メモリ（キャッシュベース処理）
-  region: 'asia-northeast1'
 }, () => scheduleHandlers.checkThunderClouds());
 
 /**
  * 気象データキャッシュクリーンアップ
  * スケジュール: 毎日午前3時
- * 処理内容: 期限切れの気象キャッシュデータを削除
+ * 処理内容: 期限切れの気象キャッシュデータを削除（残りは continueCleanup で続きを実行）
  */
-exports.cleanupWeatherCache = onSchedule('0 3 * * *', () => scheduleHandlers.cleanupWeatherCache());
+exports.cleanupWeatherCache = onSchedule({
+  schedule: '0 3 * * *',
+  timeoutSeconds: 540,         // 削除の時間予算（CLEANUP_SETTINGS.TIME_BUDGET_MS）より長く
+}, () => scheduleHandlers.cleanupWeatherCache());
 
 /**
  * 期限切れ写真削除処理
  * スケジュール: 毎日午前1時
- * 処理内容: 保存期限が切れた写真をStorage & Firestoreから削除
+ * 処理内容: 保存期限が切れた写真をStorage & Firestoreから削除（残りは continueCleanup で続きを実行）
+ */
+exports.cleanupExpiredPhotos = onSchedule({
+  schedule: '0 1 * * *',
+  timeoutSeconds: 540,
+}, () => scheduleHandlers.cleanupExpiredPhotos());
+
+/**
+ * クリーンアップの続き（タスクキュー）
+ * 実行: 時間予算内に削除しきれなかったクリーンアップがチェックポイント保存後に登録
+ * 処理内容: チェックポイントの位置から同じクリーンアップを再開
  */
-exports.cleanupExpiredPhotos = onSchedule('0 1 * * *', () => scheduleHandlers.cleanupExpiredPhotos());
+exports.continueCleanup = onTaskDispatched({
+  retryConfig: {
+    maxAttempts: 3,
+    minBackoffSeconds: 60,
+  },
+  rateLimits: {
+    maxConcurrentDispatches: 1, // 同じチェックポイントを同時に処理しない
+  },
+  timeoutSeconds: 540,
+}, (request) => scheduleHandlers.continueCleanup(request.data));
 
 /**
  * 入道雲監視処理（冗長バックアップ）
- * スケジュール: 5分間隔
- * 処理内容: メイン監視処理のバックアップとして動作
+ * スケジュール: 5分間隔（メイン処理の4分後）
+ * 処理内容: 同じ実行枠のメイン処理が失敗・未実行の場合のみ代わりに実行
  */
-exports.monitorThunderClouds = onSchedule('*/5 * * * *', () => scheduleHandlers.monitorThunderClouds());
+exports.monitorThunderClouds = onSchedule({
+  schedule: '4-59/5 * * * *',
+  timeoutSeconds: 540,
+  memory: '1GiB',
+  region: 'asia-northeast1'
+}, () => scheduleHandlers.monitorThunderClouds());
@@ -0,0 +1,301 @@
+// functions/modules/analysis/analysis_profile_service.js
+const admin = require('firebase-admin');
+const { ANALYSIS_PROFILE_SETTINGS, DEFAULT_ANALYSIS_PROFILE } = require('../../constants');
+
+// 値が順に大きくなる（ascending）/ 小さくなる（descending）必要がある閾値の組
+const MONOTONIC_THRESHOLDS = [
+  { order: 'descending', keys: ['CAPE_VERY_HIGH', 'CAPE_HIGH', 'CAPE_MEDIUM', 'CAPE_LOW'] },
+  { order: 'ascending', keys: ['LI_VERY_UNSTABLE', 'LI_UNSTABLE', 'LI_NEUTRAL', 'LI_STABLE', 'LI_VERY_STABLE'] },
+  { order: 'ascending', keys: ['CIN_LOW', 'CIN_MEDIUM'] },
+  { order: 'descending', keys: ['TEMP_VERY_HIGH', 'TEMP_HIGH', 'TEMP_MEDIUM', 'TEMP_LOW'] },
+  { order: 'descending', keys: ['CLOUD_VERY_HIGH', 'CLOUD_HIGH', 'CLOUD_MEDIUM', 'CLOUD_LOW'] },
+  { order: 'descending', keys: ['PRECIP_HEAVY', 'PRECIP_MODERATE', 'PRECIP_LIGHT'] },
+  { order: 'descending', keys: ['SHOWERS_HEAVY', 'SHOWERS_MODERATE', 'SHOWERS_LIGHT'] },
+  { order: 'descending', keys: ['LIGHTNING_HIGH', 'LIGHTNING_MEDIUM', 'LIGHTNING_LOW'] },
+  { order: 'descending', keys: ['FREEZING_LEVEL_HIGH', 'FREEZING_LEVEL_MEDIUM', 'FREEZING_LEVEL_LOW'] },
+  { order: 'descending', keys: ['GUSTS_STRONG', 'GUSTS_MODERATE', 'GUSTS_LIGHT'] },
+  { order: 'descending', keys: ['DEW_POINT_VERY_HIGH', 'DEW_POINT_HIGH', 'DEW_POINT_MEDIUM', 'DEW_POINT_LOW'] },
+  { order: 'descending', keys: ['LOW_CLOUD_HIGH', 'LOW_CLOUD_MEDIUM', 'LOW_CLOUD_LOW'] },
+  { order: 'descending', keys: ['TOTAL_SCORE_HIGH', 'TOTAL_SCORE_MEDIUM', 'TOTAL_SCORE_LOW'] },
+];
+
+// スコア値は上位の区分ほど大きい（同値は可）
+const SCORE_ORDER = ['PERFECT', 'HIGH', 'MEDIUM_HIGH', 'MEDIUM', 'MEDIUM_LOW', 'LOW', 'VERY_LOW', 'NONE'];
+
+// インスタンス内で共有するプロファイルキャッシュ
+let profileCache = { profiles: null, loadedAt: 0 };
+
+/**
+ * 分析プロファイル管理クラス
+ *
+ * ThunderCloudAnalyzer の閾値・重み・スコア値を analysis_profiles コレクションから読み込み、
+ * 再デプロイなしで判定の感度を調整できるようにする
+ *
+ * ドキュメント形式（1ドキュメント = 1バージョン、過去のバージョンは active: false で残す）:
+ * - profileId: プロファイル名（'default' は地域・ユーザー指定がない場合に使用）
+ * - version: バージョン番号（1以上の整数、同じ profileId で active なものは最大のものを使用）
+ * - active: 使用中か
+ * - thresholds / scores: 組み込みプロファイルの値を上書きする項目のみ指定
+ * - weights: 使用する重みの完全な組（指定のない要素は0、組み込みプロファイルの重みとは合成しない）
+ * - regions: [{ south, west, north, east }] このプロファイルを適用する範囲（任意）
+ *
+ * 選択順:
+ * 1. users ドキュメントの analysisProfile で指定されたプロファイル
+ * 2. 地点を含む範囲（regions）を持つプロファイル（複数ある場合は最も狭い範囲）
+ * 3. 'default' プロファイル
+ * 4. 組み込みプロファイル（constants.js の DEFAULT_ANALYSIS_PROFILE）
+ *
+ * 検証に失敗したプロファイルは使用せず、その内容をログに出力する
+ */
+class AnalysisProfileService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(ANALYSIS_PROFILE_SETTINGS.COLLECTION);
+  }
+
+  /**
+   * 有効なプロファイルの一覧を取得（キャッシュ優先）
+   *
+   * 読み込みに失敗した場合は前回のキャッシュ（なければ空の一覧）を使用する
+   *
+   * @returns {Array<Object>} 検証済みのプロファイル（profileId ごとに最新バージョンのみ）
+   */
+  async getProfiles(now = Date.now()) {
+    if (profileCache.profiles && now - profileCache.loadedAt < ANALYSIS_PROFILE_SETTINGS.CACHE_TTL_MS) {
+      return profileCache.profiles;
+    }
+
+    try {
+      const snapshot = await this.collection.where('active', '==', true).get();
+      const latestById = new Map();
+
+      snapshot.docs.forEach(profileDoc => {
+        const { profile, errors } = AnalysisProfileService.fromDocument(profileDoc.data());
+        if (errors.length > 0) {
+          console.warn(`⚠️ 分析プロファイルの検証エラーのため使用しません: ${profileDoc.id}`, errors);
+          return;
+        }
+
+        const existing = latestById.get(profile.profileId);
+        if (!existing || profile.version > existing.version) {
+          latestById.set(profile.profileId, profile);
+        }
+      });
+
+      profileCache = { profiles: Array.from(latestById.values()), loadedAt: now };
+      console.log(`✅ 分析プロファイル読み込み完了: ${profileCache.profiles.length}件`);
+    } catch (error) {
+      console.error('❌ 分析プロファイル読み込みエラー:', error);
+      if (!profileCache.profiles) {
+        return [];
+      }
+    }
+
+    return profileCache.profiles;
+  }
+
+  /**
+   * 地点・ユーザーに適用するプロファイルを取得
+   *
+   * @param {Object} target - { latitude, longitude, profileId }
+   * @returns {Object} 分析プロファイル
+   */
+  async resolveProfile(target) {
+    const profiles = await this.getProfiles();
+    return AnalysisProfileService.selectProfile(profiles, target);
+  }
+
+  /**
+   * ユーザーデータから適用するプロファイルの選択条件を作成
+   */
+  static targetForUser(userData) {
+    return {
+      latitude: userData.latitude,
+      longitude: userData.longitude,
+      profileId: userData[ANALYSIS_PROFILE_SETTINGS.USER_FIELD] || null,
+    };
+  }
+
+  /**
+   * プロファイルの一覧から適用するプロファイルを選択
+   *
+   * @param {Array<Object>} profiles - getProfiles の結果
+   * @param {Object} target - { latitude, longitude, profileId }
+   * @returns {Object} 分析プロファイル
+   */
+  static selectProfile(profiles, { latitude, longitude, profileId } = {}) {
+    if (profileId) {
+      const requested = profiles.find(profile => profile.profileId === profileId);
+      if (requested) {
+        return requested;
+      }
+      console.warn(`⚠️ 指定された分析プロファイルが見つかりません: ${profileId}`);
+    }
+
+    if (typeof latitude === 'number' && typeof longitude === 'number') {
+      let selected = null;
+      let selectedArea = Infinity;
+
+      profiles.forEach(profile => {
+        profile.regions.forEach(region => {
+          const contains = latitude >= region.south && latitude <= region.north &&
+            longitude >= region.west && longitude <= region.east;
+          const area = (region.north - region.south) * (region.east - region.west);
+
+          if (contains && area < selectedArea) {
+            selected = profile;
+            selectedArea = area;
+          }
+        });
+      });
+
+      if (selected) {
+        return selected;
+      }
+    }
+
+    return profiles.find(profile => profile.profileId === ANALYSIS_PROFILE_SETTINGS.DEFAULT_PROFILE_ID) ||
+      DEFAULT_ANALYSIS_PROFILE;
+  }
+
+  /**
+   * ドキュメントのデータを組み込みプロファイルに重ねて検証
+   *
+   * weights は組み込みの重みに重ねず、指定した重みのみで合計1とする
+   * （組み込みの重みを変更しても、保存済みプロファイルの重みの合計が変わらないようにするため）
+   *
+   * @param {Object} data - analysis_profiles ドキュメントのデータ
+   * @returns {Object} { profile, errors }
+   */
+  static fromDocument(data) {
+    const profile = {
+      profileId: data.profileId,
+      version: data.version,
+      thresholds: { ...DEFAULT_ANALYSIS_PROFILE.thresholds, ...(data.thresholds || {}) },
+      weights: this._weightsFromOverrides(data.weights),
+      scores: { ...DEFAULT_ANALYSIS_PROFILE.scores, ...(data.scores || {}) },
+      regions: data.regions || [],
+    };
+
+    const errors = [
+      ...this._validateOverrides('thresholds', data.thresholds, DEFAULT_ANALYSIS_PROFILE.thresholds),
+      ...this._validateOverrides('weights', data.weights, DEFAULT_ANALYSIS_PROFILE.weights),
+      ...this._validateOverrides('scores', data.scores, DEFAULT_ANALYSIS_PROFILE.scores),
+      ...this.validate(profile),
+    ];
+
+    return { profile, errors };
+  }
+
+  /**
+   * プロファイルの整合性を検証
+   *
+   * - profileId が空でない文字列、version が1以上の整数
+   * - 重みが0以上で、合計が1
+   * - 閾値が区分の順に単調増加・単調減少、MIN_DATA_CONFIDENCE が0〜1
+   * - スコア値が0〜1で、上位の区分ほど大きい
+   * - regions の各範囲が south < north, west < east
+   *
+   * @returns {Array<string>} エラーメッセージ（問題がなければ空）
+   */
+  static validate(profile) {
+    const errors = [];
+
+    if (typeof profile.profileId !== 'string' || profile.profileId === '') {
+      errors.push('profileId must be a non-empty string');
+    }
+    if (!Number.isInteger(profile.version) || profile.version < 1) {
+      errors.push('version must be an integer of 1 or greater');
+    }
+
+    const weights = Object.entries(profile.weights);
+    if (weights.some(([, weight]) => !Number.isFinite(weight) || weight < 0)) {
+      errors.push('weights must be non-negative numbers');
+    } else {
+      const sum = weights.reduce((total, [, weight]) => total + weight, 0);
+      if (Math.abs(sum - 1) > ANALYSIS_PROFILE_SETTINGS.WEIGHT_SUM_TOLERANCE) {
+        errors.push(`weights must sum to 1 (got ${sum})`);
+      }
+    }
+
+    MONOTONIC_THRESHOLDS.forEach(({ order, keys }) => {
+      const values = keys.map(key => profile.thresholds[key]);
+      if (values.some(value => !Number.isFinite(value))) {
+        errors.push(`thresholds ${keys.join(', ')} must be numbers`);
+        return;
+      }
+
+      const isMonotonic = values.every((value, index) => (
+        index === 0 || (order === 'ascending' ? value > values[index - 1] : value < values[index - 1])
+      ));
+      if (!isMonotonic) {
+        errors.push(`thresholds ${keys.join(', ')} must be strictly ${order}`);
+      }
+    });
+
+    const minConfidence = profile.thresholds.MIN_DATA_CONFIDENCE;
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      errors.push('thresholds MIN_DATA_CONFIDENCE must be a number between 0 and 1');
+    }
+
+    const scores = SCORE_ORDER.map(key => profile.scores[key]);
+    if (scores.some(score => !Number.isFinite(score) || score < 0 || score > 1)) {
+      errors.push('scores must be numbers between 0 and 1');
+    } else if (scores.some((score, index) => index > 0 && score > scores[index - 1])) {
+      errors.push(`scores must not increase in the order ${SCORE_ORDER.join(', ')}`);
+    }
+
+    if (!Array.isArray(profile.regions)) {
+      errors.push('regions must be an array');
+    } else if (profile.regions.some(region => !this._isValidRegion(region))) {
+      errors.push('each region must have numeric south < north and west < east');
+    }
+
+    return errors;
+  }
+
+  /**
+   * プロファイルキャッシュを破棄（次回の取得時に再読み込み）
+   */
+  static clearCache() {
+    profileCache = { profiles: null, loadedAt: 0 };
+  }
+
+  /**
+   * 上書き項目が組み込みプロファイルに存在するキーのみか検証
+   */
+  static _validateOverrides(name, overrides, defaults) {
+    if (overrides === undefined || overrides === null) {
+      return [];
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return [`${name} must be an object`];
+    }
+
+    const unknownKeys = Object.keys(overrides).filter(key => !(key in defaults));
+    return unknownKeys.length > 0 ? [`${name} has unknown keys: ${unknownKeys.join(', ')}`] : [];
+  }
+
+  /**
+   * 重みの上書きを完全な組に展開（指定のない要素は0、上書きがない場合は組み込みの重み）
+   */
+  static _weightsFromOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return { ...DEFAULT_ANALYSIS_PROFILE.weights };
+    }
+
+    const weights = {};
+    Object.keys(DEFAULT_ANALYSIS_PROFILE.weights).forEach(key => {
+      weights[key] = key in overrides ? overrides[key] : 0;
+    });
+    return weights;
+  }
+
+  static _isValidRegion(region) {
+    return Boolean(region) &&
+      [region.south, region.west, region.north, region.east].every(Number.isFinite) &&
+      region.south < region.north && region.west < region.east;
+  }
+}
+
+module.exports = AnalysisProfileService;
@@ -0,0 +1,380 @@
+// functions/modules/analysis/backtester.js
+const fs = require('fs');
+const path = require('path');
+const ThunderCloudAnalyzer = require('../../thunder_cloud_analyzer');
+const AnalysisProfileService = require('./analysis_profile_service');
+const OpenMeteoProvider = require('../weather/providers/open_meteo_provider');
+const { calculateDistanceKm } = require('../../coordinate_utils');
+const { DEFAULT_ANALYSIS_PROFILE, NOTIFICATION_PREFERENCES } = require('../../constants');
+
+// 正解ラベル（thunderstorm / towering_cumulus は通知すべき事象、none は通知すべきでない状況）
+const POSITIVE_LABELS = ['thunderstorm', 'towering_cumulus'];
+const EVENT_LABELS = [...POSITIVE_LABELS, 'none'];
+
+// 事象の半径の既定値（km）
+const DEFAULT_EVENT_RADIUS_KM = 25;
+
+// スコア分布の区間数（0〜1を等分）
+const SCORE_BINS = 10;
+
+/**
+ * 分析ロジックのバックテスト
+ *
+ * 保存済みの気象データ（スナップショット）を ThunderCloudAnalyzer で再分析し、
+ * プロファイルごとの通知件数・スコア分布・正解ラベルとの一致度を集計する
+ * Firestore・外部APIには接続しない（scripts/backtest.js からオフラインで実行）
+ *
+ * スナップショットの形式（JSON 配列・単一オブジェクト・JSONL に対応）:
+ * - weather_cache の地点キャッシュ: { cacheType: 'point', location: { latitude, longitude }, data: {...} }
+ * - Open-Meteo のレスポンス（1地点分または複数地点の配列）: 毎時データの各時間帯を1件として展開
+ * - 共通形式: { latitude, longitude, time, data: {...} } または { latitude, longitude, time, cape, ... }
+ *
+ * 正解ラベル（events）の形式:
+ * - [{ id, label, latitude, longitude, radiusKm, start, end }]
+ * - label: thunderstorm / towering_cumulus / none
+ * - start / end はスナップショットの time と同じ表記（Open-Meteo は現地時刻）で指定する
+ */
+class Backtester {
+  /**
+   * ファイル・ディレクトリからスナップショットを読み込む
+   *
+   * @param {Array<string>} paths - JSON / JSONL ファイルまたはそれらを含むディレクトリ
+   * @returns {Array<Object>} [{ id, source, latitude, longitude, time, data }]
+   */
+  static loadSnapshots(paths) {
+    return this._expandPaths(paths).flatMap(filePath => (
+      this.parseSnapshots(this._readJsonRecords(filePath), path.basename(filePath))
+    ));
+  }
+
+  /**
+   * JSON レコードをスナップショットに正規化
+   *
+   * @param {Array<Object>} records - ファイルから読み込んだレコード
+   * @param {string} source - 読み込み元（レポート用）
+   * @returns {Array<Object>} 正規化したスナップショット
+   */
+  static parseSnapshots(records, source = 'input') {
+    const provider = new OpenMeteoProvider();
+    const snapshots = [];
+
+    records.forEach((record, index) => {
+      if (record && record.hourly && Array.isArray(record.hourly.time)) {
+        // Open-Meteo のレスポンス: 毎時データを1時間ずつ展開
+        record.hourly.time.forEach((time, hourIndex) => {
+          snapshots.push(this._snapshot(source, record.latitude, record.longitude, time,
+            provider._extractHourlySlot(record.hourly, hourIndex)));
+        });
+      } else if (record && record.cacheType === 'point' && record.location && record.data) {
+        // weather_cache の地点キャッシュ
+        snapshots.push(this._snapshot(source, record.location.latitude, record.location.longitude,
+          record.data.time, record.data));
+      } else if (record && typeof record.latitude === 'number' && typeof record.longitude === 'number') {
+        snapshots.push(this._snapshot(source, record.latitude, record.longitude, record.time, record.data || record));
+      } else {
+        console.warn(`⚠️ 形式を判別できないスナップショットをスキップ: ${source}[${index}]`);
+      }
+    });
+
+    return snapshots;
+  }
+
+  /**
+   * 比較するプロファイルを読み込む
+   *
+   * 組み込みプロファイルに加え、analysis_profiles と同じ形式のドキュメントの配列を読み込む
+   *
+   * @param {string|null} filePath - プロファイル定義ファイル（JSON 配列）
+   * @returns {Array<Object>} 検証済みのプロファイル
+   * @throws {Error} 検証に失敗したプロファイルがある場合
+   */
+  static loadProfiles(filePath) {
+    const profiles = [DEFAULT_ANALYSIS_PROFILE];
+    if (!filePath) {
+      return profiles;
+    }
+
+    this._readJsonRecords(filePath).forEach((data, index) => {
+      const { profile, errors } = AnalysisProfileService.fromDocument(data);
+      if (errors.length > 0) {
+        throw new Error(`プロファイル[${index}] (${data.profileId}) の検証エラー: ${errors.join('; ')}`);
+      }
+      profiles.push(profile);
+    });
+
+    return profiles;
+  }
+
+  /**
+   * 正解ラベルを読み込む
+   *
+   * @param {string|null} filePath - 事象ファイル（JSON 配列）
+   * @returns {Array<Object>} [{ id, label, latitude, longitude, radiusKm, startMs, endMs }]
+   * @throws {Error} 不正な事象がある場合
+   */
+  static loadEvents(filePath) {
+    if (!filePath) {
+      return [];
+    }
+
+    return this._readJsonRecords(filePath).map((event, index) => {
+      const startMs = Date.parse(event.start);
+      const endMs = Date.parse(event.end);
+      const id = event.id || `event_${index}`;
+
+      if (!EVENT_LABELS.includes(event.label)) {
+        throw new Error(`${id}: label は ${EVENT_LABELS.join(' / ')} のいずれかを指定してください`);
+      }
+      if (!Number.isFinite(event.latitude) || !Number.isFinite(event.longitude)) {
+        throw new Error(`${id}: latitude / longitude が不正です`);
+      }
+      if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || startMs > endMs) {
+        throw new Error(`${id}: start / end が不正です`);
+      }
+
+      return {
+        id,
+        label: event.label,
+        latitude: event.latitude,
+        longitude: event.longitude,
+        radiusKm: Number.isFinite(event.radiusKm) ? event.radiusKm : DEFAULT_EVENT_RADIUS_KM,
+        startMs,
+        endMs,
+      };
+    });
+  }
+
+  /**
+   * スナップショットを各プロファイルで分析し、集計する
+   *
+   * @param {Array<Object>} snapshots - loadSnapshots の結果
+   * @param {Array<Object>} profiles - loadProfiles の結果
+   * @param {Array<Object>} events - loadEvents の結果
+   * @param {Object} options - { minRiskLevel } 通知する最低リスクレベル（省略時は通知設定の既定値）
+   * @returns {Object} { snapshots, labeled, profiles: [プロファイル別の集計] }
+   */
+  static run(snapshots, profiles, events = [], options = {}) {
+    const minRiskLevel = options.minRiskLevel || NOTIFICATION_PREFERENCES.DEFAULT_MIN_RISK_LEVEL;
+    const minLevelIndex = NOTIFICATION_PREFERENCES.RISK_LEVELS.indexOf(minRiskLevel);
+    if (minLevelIndex < 0) {
+      throw new Error(`minRiskLevel は ${NOTIFICATION_PREFERENCES.RISK_LEVELS.join(' / ')} のいずれかを指定してください`);
+    }
+
+    const labels = snapshots.map(snapshot => this.labelSnapshot(snapshot, events));
+
+    return {
+      minRiskLevel,
+      snapshots: snapshots.length,
+      labeled: labels.filter(label => label !== null).length,
+      profiles: profiles.map(profile => this._evaluateProfile(profile, snapshots, labels, minLevelIndex)),
+    };
+  }
+
+  /**
+   * スナップショットに該当する正解ラベルを求める
+   *
+   * 複数の事象に該当する場合は通知すべき事象（thunderstorm → towering_cumulus）を優先する
+   *
+   * @returns {string|null} ラベル（該当する事象がない場合は null）
+   */
+  static labelSnapshot(snapshot, events) {
+    const timeMs = Date.parse(snapshot.time);
+    if (!Number.isFinite(timeMs)) {
+      return null;
+    }
+
+    const matched = events.filter(event => (
+      timeMs >= event.startMs && timeMs <= event.endMs &&
+      calculateDistanceKm(snapshot.latitude, snapshot.longitude, event.latitude, event.longitude) <= event.radiusKm
+    ));
+
+    return EVENT_LABELS.find(label => matched.some(event => event.label === label)) || null;
+  }
+
+  /**
+   * 集計結果を表形式のテキストに変換
+   */
+  static formatReport(report) {
+    const lines = [
+      `スナップショット: ${report.snapshots}件（正解ラベルあり: ${report.labeled}件）、通知する最低リスクレベル: ${report.minRiskLevel}`,
+    ];
+
+    report.profiles.forEach(result => {
+      const { agreement, scores } = result;
+      lines.push('');
+      lines.push(`== ${result.profile} ==`);
+      lines.push(`判定: ${result.judged}件 / データ不足: ${result.insufficient}件 / 通知: ${result.alerts}件`);
+      lines.push(`リスクレベル: ${this._formatCounts(result.riskLevels)}`);
+      lines.push(`分類: ${this._formatCounts(result.classifications)}`);
+      lines.push(`スコア: 平均 ${this._format(scores.mean)} / 中央値 ${this._format(scores.median)} / ` +
+        `90パーセンタイル ${this._format(scores.p90)}`);
+      lines.push(`スコア分布: ${scores.histogram.map(bin => `${bin.from.toFixed(1)}- ${bin.count}`).join(' | ')}`);
+
+      if (report.labeled > 0) {
+        lines.push(`一致度: TP ${agreement.truePositives} / FP ${agreement.falsePositives} / ` +
+          `FN ${agreement.falseNegatives} / TN ${agreement.trueNegatives} / 判定不可 ${agreement.notJudged}`);
+        lines.push(`適合率 ${this._format(agreement.precision)} / 再現率 ${this._format(agreement.recall)} / ` +
+          `空振り率 ${this._format(agreement.falseAlarmRatio)} / 正解率 ${this._format(agreement.accuracy)} / ` +
+          `分類一致率 ${this._format(agreement.classificationAccuracy)}`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 1プロファイル分の分析・集計
+   */
+  static _evaluateProfile(profile, snapshots, labels, minLevelIndex) {
+    const riskLevels = Object.fromEntries(NOTIFICATION_PREFERENCES.RISK_LEVELS.map(level => [level, 0]));
+    const classifications = {};
+    const scores = [];
+    const agreement = {
+      truePositives: 0,
+      falsePositives: 0,
+      falseNegatives: 0,
+      trueNegatives: 0,
+      notJudged: 0,
+      classificationMatches: 0,
+    };
+    let insufficient = 0;
+    let alerts = 0;
+
+    snapshots.forEach((snapshot, index) => {
+      const result = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(snapshot.data, profile);
+      const label = labels[index];
+
+      if (result.riskLevel === null) {
+        insufficient++;
+        if (label !== null) {
+          agreement.notJudged++;
+        }
+        return;
+      }
+
+      const isAlert = NOTIFICATION_PREFERENCES.RISK_LEVELS.indexOf(result.riskLevel) >= minLevelIndex;
+      riskLevels[result.riskLevel]++;
+      classifications[result.classification] = (classifications[result.classification] || 0) + 1;
+      scores.push(result.totalScore);
+      if (isAlert) {
+        alerts++;
+      }
+
+      if (label === null) {
+        return;
+      }
+
+      const isPositive = POSITIVE_LABELS.includes(label);
+      if (isAlert && isPositive) {
+        agreement.truePositives++;
+        if (result.classification === label) {
+          agreement.classificationMatches++;
+        }
+      } else if (isAlert) {
+        agreement.falsePositives++;
+      } else if (isPositive) {
+        agreement.falseNegatives++;
+      } else {
+        agreement.trueNegatives++;
+      }
+    });
+
+    const { truePositives: tp, falsePositives: fp, falseNegatives: fn, trueNegatives: tn } = agreement;
+
+    return {
+      profile: `${profile.profileId}@${profile.version}`,
+      judged: scores.length,
+      insufficient,
+      alerts,
+      riskLevels,
+      classifications,
+      scores: this._summarizeScores(scores),
+      agreement: {
+        ...agreement,
+        precision: this._ratio(tp, tp + fp),
+        recall: this._ratio(tp, tp + fn),
+        falseAlarmRatio: this._ratio(fp, tp + fp),
+        accuracy: this._ratio(tp + tn, tp + fp + fn + tn),
+        classificationAccuracy: this._ratio(agreement.classificationMatches, tp),
+      },
+    };
+  }
+
+  /**
+   * スコアの統計値と分布
+   */
+  static _summarizeScores(scores) {
+    const sorted = [...scores].sort((a, b) => a - b);
+    const histogram = Array.from({ length: SCORE_BINS }, (_, bin) => ({ from: bin / SCORE_BINS, count: 0 }));
+
+    sorted.forEach(score => {
+      const bin = Math.min(SCORE_BINS - 1, Math.floor(score * SCORE_BINS));
+      histogram[bin].count++;
+    });
+
+    const percentile = (ratio) => (
+      sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(ratio * sorted.length))] : null
+    );
+
+    return {
+      mean: sorted.length > 0 ? sorted.reduce((sum, score) => sum + score, 0) / sorted.length : null,
+      median: percentile(0.5),
+      p90: percentile(0.9),
+      histogram,
+    };
+  }
+
+  static _snapshot(source, latitude, longitude, time, data) {
+    return {
+      id: `${source}:${latitude},${longitude}@${time || 'unknown'}`,
+      source,
+      latitude,
+      longitude,
+      time: time || null,
+      data,
+    };
+  }
+
+  /**
+   * ディレクトリを含むパスを JSON / JSONL ファイルの一覧に展開
+   */
+  static _expandPaths(paths) {
+    return paths.flatMap(inputPath => {
+      if (fs.statSync(inputPath).isDirectory()) {
+        return fs.readdirSync(inputPath)
+          .filter(name => name.endsWith('.json') || name.endsWith('.jsonl'))
+          .sort()
+          .map(name => path.join(inputPath, name));
+      }
+      return [inputPath];
+    });
+  }
+
+  /**
+   * JSON（配列・単一オブジェクト）または JSONL ファイルをレコードの配列として読み込む
+   */
+  static _readJsonRecords(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (filePath.endsWith('.jsonl')) {
+      return content.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    }
+
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  static _ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+  }
+
+  static _formatCounts(counts) {
+    return Object.entries(counts).map(([name, count]) => `${name} ${count}`).join(', ');
+  }
+
+  static _format(value) {
+    return value === null ? '-' : value.toFixed(3);
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,104 @@
+// functions/modules/api/api_router.js
+const ApiError = require('../utils/api_error');
+const ResponseHelpers = require('../utils/response_helpers');
+const RateLimiter = require('../auth/rate_limiter');
+const middleware = require('./middleware');
+
+/**
+ * REST API ルーター
+ *
+ * 単一の HTTP 関数（api）でルート定義（modules/api/routes.js）に従って処理を振り分ける
+ *
+ * 処理順（共通ミドルウェア）:
+ * 1. エラー変換（ApiError → 共通エラーレスポンス）
+ * 2. リクエストログ
+ * 3. CORS・OPTIONS プリフライト
+ * 4. ルート解決（404 / 405）
+ * 5. 認証・レート制限（ルートの auth 設定に従う）
+ * 6. クエリパラメータ検証
+ * 7. ルートのハンドラー実行・成功レスポンス送信
+ */
+class ApiRouter {
+  /**
+   * @param {Array<Object>} routes - ルート定義
+   *   { method, path, operationId, summary, auth, query, handler, rawResponse, rawFormats }
+   */
+  constructor(routes, rateLimiter = new RateLimiter()) {
+    this.routes = routes;
+    this.middlewares = [
+      middleware.mapErrors(),
+      middleware.logRequests(),
+      middleware.handleCors(),
+      middleware.resolveRoute(this),
+      middleware.authenticate(rateLimiter),
+      middleware.validateQuery(),
+    ];
+  }
+
+  /**
+   * HTTP リクエストを処理（onRequest のハンドラー）
+   */
+  async handle(req, res) {
+    const context = { req, res, route: null, caller: null, params: {} };
+    await this._run(context, 0);
+  }
+
+  /**
+   * パス・メソッドからルート定義を取得
+   *
+   * @throws {ApiError} パスが存在しない場合（404）、メソッドが許可されていない場合（405）
+   */
+  resolve(method, path) {
+    const normalizedPath = ApiRouter.normalizePath(path);
+    const pathRoutes = this.routes.filter(route => route.path === normalizedPath);
+
+    if (pathRoutes.length === 0) {
+      throw ApiError.routeNotFound(normalizedPath);
+    }
+
+    const route = pathRoutes.find(candidate => candidate.method === method);
+    if (!route) {
+      throw ApiError.methodNotAllowed(method, pathRoutes.map(candidate => candidate.method));
+    }
+
+    return route;
+  }
+
+  /**
+   * 末尾のスラッシュを除いたパスに正規化
+   */
+  static normalizePath(path = '/') {
+    const trimmed = path.replace(/\/+$/, '');
+    return trimmed === '' ? '/' : trimmed;
+  }
+
+  /**
+   * ミドルウェアを順に実行し、最後にルートのハンドラーを実行
+   */
+  async _run(context, index) {
+    if (index < this.middlewares.length) {
+      await this.middlewares[index](context, () => this._run(context, index + 1));
+      return;
+    }
+
+    const result = await context.route.handler(context);
+
+    if (context.route.rawResponse) {
+      context.res.status(200).json(result);
+      return;
+    }
+
+    // ハンドラーが包まずに返す結果を指定した場合（GeoJSON など）
+    if (result.raw !== undefined) {
+      if (result.contentType) {
+        context.res.set('Content-Type', result.contentType);
+      }
+      context.res.status(200).json(result.raw);
+      return;
+    }
+
+    ResponseHelpers.sendSuccess(context.res, result.data, result.fields);
+  }
+}
+
+module.exports = ApiRouter;
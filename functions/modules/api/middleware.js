@@ -0,0 +1,124 @@
+// functions/modules/api/middleware.js
+const AuthVerifier = require('../auth/auth_verifier');
+const RequestValidator = require('../utils/request_validator');
+const ResponseHelpers = require('../utils/response_helpers');
+const ApiError = require('../utils/api_error');
+
+/**
+ * REST API の共通ミドルウェア
+ *
+ * 各ミドルウェアは async (context, next) => {} の形式で、
+ * ApiRouter が定義順に実行する
+ *
+ * context:
+ * - req / res: Express のリクエスト・レスポンス
+ * - route: 解決されたルート定義（resolveRoute 実行後）
+ * - caller: 認証済みの呼び出し元（authenticate 実行後）
+ * - params: 検証済みクエリパラメータ（validateQuery 実行後）
+ */
+
+/**
+ * 例外を共通形式のエラーレスポンスに変換
+ */
+function mapErrors() {
+  return async (context, next) => {
+    try {
+      await next();
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error(`❌ APIエラー (${context.req.method} ${context.req.path}):`, error);
+      }
+      ResponseHelpers.sendApiError(context.res, error);
+    }
+  };
+}
+
+/**
+ * リクエストごとの処理時間・ステータスをログ出力
+ */
+function logRequests() {
+  return async (context, next) => {
+    const startTime = Date.now();
+
+    try {
+      await next();
+    } finally {
+      const routeName = context.route ? context.route.operationId : '-';
+      console.log(`🌐 ${context.req.method} ${context.req.path} (${routeName}) → ` +
+        `${context.res.statusCode} ${Date.now() - startTime}ms`);
+    }
+  };
+}
+
+/**
+ * CORS ヘッダー設定・OPTIONS プリフライト応答
+ */
+function handleCors() {
+  return async (context, next) => {
+    ResponseHelpers.setCORSHeaders(context.req, context.res);
+
+    if (context.req.method === 'OPTIONS') {
+      context.res.status(204).end();
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * パス・メソッドからルートを解決
+ *
+ * @param {ApiRouter} router - ルート定義を持つルーター
+ */
+function resolveRoute(router) {
+  return async (context, next) => {
+    context.route = router.resolve(context.req.method, context.req.path);
+    await next();
+  };
+}
+
+/**
+ * 呼び出し元の認証・権限確認・レート制限
+ *
+ * ルート定義の auth:
+ * - 'none': 認証不要（レート制限もしない）
+ * - 'caller': IDトークン または App Checkトークン
+ * - 'admin': 管理者クレームを持つユーザーのIDトークン
+ *
+ * @param {RateLimiter} rateLimiter - レート制限
+ */
+function authenticate(rateLimiter) {
+  return async (context, next) => {
+    if (context.route.auth !== 'none') {
+      context.caller = await AuthVerifier.verify(context.req);
+
+      if (context.route.auth === 'admin') {
+        AuthVerifier.requireAdmin(context.caller);
+      }
+
+      await rateLimiter.enforce(context.caller.rateLimitKey, context.res);
+    }
+
+    await next();
+  };
+}
+
+/**
+ * ルート定義のクエリスキーマでパラメータを検証
+ */
+function validateQuery() {
+  return async (context, next) => {
+    context.params = RequestValidator.validateQuery(context.req.query || {}, context.route.query || {});
+    await next();
+  };
+}
+
+module.exports = {
+  mapErrors,
+  logRequests,
+  handleCors,
+  resolveRoute,
+  authenticate,
+  validateQuery
+};
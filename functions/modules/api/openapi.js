@@ -0,0 +1,150 @@
+// functions/modules/api/openapi.js
+const { API_ERROR_CODES, API_SECURITY_SETTINGS } = require('../../constants');
+
+const API_TITLE = 'Thunder Cloud API';
+const API_VERSION = '1.0.0';
+
+/**
+ * ルート定義から OpenAPI 3.0 ドキュメントを生成
+ *
+ * アプリとWebダッシュボードが同じ契約を参照できるよう、
+ * ルーターと同じルート定義（modules/api/routes.js）から生成する
+ *
+ * @param {Array<Object>} routes - ルート定義
+ * @returns {Object} OpenAPI ドキュメント
+ */
+function buildOpenApiDocument(routes) {
+  const paths = {};
+
+  routes.forEach(route => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: { title: API_TITLE, version: API_VERSION },
+    paths,
+    components: {
+      securitySchemes: {
+        firebaseIdToken: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        appCheck: { type: 'apiKey', in: 'header', name: 'X-Firebase-AppCheck' },
+      },
+      schemas: {
+        SuccessResponse: {
+          type: 'object',
+          required: ['success', 'data', 'timestamp'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+            nightMode: { type: 'boolean' },
+            forecast: { type: 'array', items: { type: 'object' } },
+          },
+        },
+        ErrorResponse: {
+          type: 'object',
+          required: ['success', 'error', 'timestamp'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.values(API_ERROR_CODES) },
+                message: { type: 'string' },
+                details: { type: 'object' },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * 1ルート分の Operation Object を生成
+ */
+function buildOperation(route) {
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    description: route.description,
+    parameters: Object.entries(route.query || {}).map(([name, definition]) => ({
+      name,
+      in: 'query',
+      required: Boolean(definition.required),
+      description: definition.description,
+      schema: buildParameterSchema(definition),
+    })),
+    responses: buildResponses(route),
+  };
+
+  if (route.auth === 'admin') {
+    operation.security = [{ firebaseIdToken: [] }];
+    operation.description += `（カスタムクレーム ${API_SECURITY_SETTINGS.ADMIN_CLAIM}: true が必要）`;
+  } else if (route.auth === 'caller') {
+    operation.security = [{ firebaseIdToken: [] }, { appCheck: [] }];
+  } else {
+    operation.security = [];
+  }
+
+  return operation;
+}
+
+function buildParameterSchema(definition) {
+  if (definition.type === 'number' || definition.type === 'integer') {
+    return { type: definition.type, minimum: definition.min, maximum: definition.max };
+  }
+  if (definition.type === 'enum') {
+    return { type: 'string', enum: definition.values };
+  }
+  return { type: 'string' };
+}
+
+function buildResponses(route) {
+  const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+  });
+
+  const successContent = {
+    'application/json': {
+      schema: route.rawResponse ? { type: 'object' } : { $ref: '#/components/schemas/SuccessResponse' },
+    },
+  };
+  Object.values(route.rawFormats || {}).forEach(contentType => {
+    successContent[contentType] = { schema: { type: 'object' } };
+  });
+
+  const responses = {
+    200: {
+      description: '成功',
+      content: successContent,
+    },
+    405: errorResponse('許可されていないメソッド（METHOD_NOT_ALLOWED）'),
+    500: errorResponse('サーバーエラー（INTERNAL_ERROR）'),
+  };
+
+  if (Object.keys(route.query || {}).length > 0) {
+    responses[400] = errorResponse('パラメータ不正（MISSING_PARAMETER / INVALID_PARAMETER / UNKNOWN_PARAMETER）');
+  }
+  if (route.auth !== 'none') {
+    responses[401] = errorResponse('認証エラー（UNAUTHENTICATED）');
+    responses[429] = errorResponse('レート制限超過（RATE_LIMITED）');
+  }
+  if (route.auth === 'admin') {
+    responses[403] = errorResponse('権限不足（FORBIDDEN）');
+  }
+  if (route.upstream) {
+    responses[502] = errorResponse('気象データ取得失敗（UPSTREAM_UNAVAILABLE）');
+  }
+
+  return responses;
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,134 @@
+// functions/modules/api/routes.js
+const { SAMPLING_LAYOUTS, RISK_GRID_SETTINGS, WEATHER_CACHE_SETTINGS } = require('../../constants');
+const { buildOpenApiDocument } = require('./openapi');
+
+const API_VERSION_PREFIX = '/v1';
+
+// 中心座標パラメータ（緯度・経度）
+const COORDINATE_QUERY = {
+  latitude: { type: 'number', required: true, min: -90, max: 90, description: '中心の緯度' },
+  longitude: { type: 'number', required: true, min: -180, max: 180, description: '中心の経度' },
+};
+
+/**
+ * REST API のルート定義を作成
+ *
+ * ルーター（ApiRouter）と OpenAPI ドキュメントの両方がこの定義を参照するため、
+ * ルートの追加・変更はここで行う
+ *
+ * ルート定義:
+ * - method / path: HTTPメソッドとパス（バージョン接頭辞を含む）
+ * - operationId / summary / description: OpenAPI 用の説明
+ * - auth: 'none' / 'caller'（IDトークン or App Check）/ 'admin'（管理者クレーム）
+ * - query: クエリパラメータ定義（RequestValidator の形式）
+ * - upstream: 気象データプロバイダーを呼び出すか（502 を返しうる）
+ * - rawResponse: 共通レスポンス形式で包まずに返すか
+ * - rawFormats: { パラメータ値: Content-Type } このクエリ値（format）の場合は包まずに返す（OpenAPI 用）
+ * - handler: async (context) => { data, fields }（包まずに返す場合は { raw, contentType }）
+ *
+ * @param {HttpHandlers} httpHandlers - ルートの処理本体
+ * @returns {Array<Object>} ルート定義
+ */
+function createRoutes(httpHandlers) {
+  const routes = [
+    {
+      method: 'GET',
+      path: `${API_VERSION_PREFIX}/weather`,
+      operationId: 'getWeather',
+      summary: '単一地点の気象データ取得',
+      description: '指定地点周辺の方向別気象データをキャッシュ優先で返す。夜間は nightMode: true で入道雲なしの状態を返す',
+      auth: 'caller',
+      query: COORDINATE_QUERY,
+      upstream: true,
+      handler: (context) => httpHandlers.getWeatherData(context),
+    },
+    {
+      method: 'GET',
+      path: `${API_VERSION_PREFIX}/weather/directional`,
+      operationId: 'getDirectionalWeather',
+      summary: '方向別気象データ取得',
+      description: '指定したサンプリング構成で各方向・各距離の気象データを取得し、方向ごとに最もリスクの高い地点を返す。' +
+        'format=geojson の場合は中心地点と全サンプリング地点の FeatureCollection を共通レスポンス形式で包まずに返す',
+      auth: 'caller',
+      query: {
+        ...COORDINATE_QUERY,
+        layout: {
+          type: 'enum',
+          values: Object.keys(SAMPLING_LAYOUTS),
+          description: 'サンプリング構成（省略時はデフォルト構成）',
+        },
+        format: {
+          type: 'enum',
+          values: ['json', 'geojson'],
+          description: '出力形式（省略時は json）',
+        },
+      },
+      rawFormats: { geojson: 'application/geo+json' },
+      upstream: true,
+      handler: (context) => httpHandlers.getDirectionalWeatherData(context),
+    },
+    {
+      method: 'GET',
+      path: `${API_VERSION_PREFIX}/riskGrid`,
+      operationId: 'getRiskGrid',
+      summary: 'リスクグリッド取得（地図オーバーレイ用）',
+      description: '範囲内を格子状に分析したリスクを行列またはリスクレベル別の GeoJSON ポリゴンで返す。タイル単位でキャッシュされる',
+      auth: 'caller',
+      query: {
+        south: { type: 'number', required: true, min: -90, max: 90, description: '範囲の南端の緯度' },
+        west: { type: 'number', required: true, min: -180, max: 180, description: '範囲の西端の経度' },
+        north: { type: 'number', required: true, min: -90, max: 90, description: '範囲の北端の緯度' },
+        east: { type: 'number', required: true, min: -180, max: 180, description: '範囲の東端の経度' },
+        resolution: {
+          type: 'enum',
+          values: RISK_GRID_SETTINGS.RESOLUTIONS,
+          description: `セルの大きさ（度、省略時は ${RISK_GRID_SETTINGS.DEFAULT_RESOLUTION}）`,
+        },
+        format: {
+          type: 'enum',
+          values: ['matrix', 'geojson'],
+          description: '出力形式（省略時は matrix）',
+        },
+      },
+      upstream: true,
+      handler: (context) => httpHandlers.getRiskGrid(context),
+    },
+    {
+      method: 'GET',
+      path: `${API_VERSION_PREFIX}/cache/stats`,
+      operationId: 'getCacheStats',
+      summary: 'キャッシュ統計情報取得',
+      description: '気象データキャッシュの件数・鮮度・利用統計を返す（管理者のみ）。' +
+        'hours を指定すると直近の1時間ごとの利用統計（series）を含める',
+      auth: 'admin',
+      query: {
+        hours: {
+          type: 'integer',
+          min: 1,
+          max: WEATHER_CACHE_SETTINGS.STATS_SERIES_MAX_HOURS,
+          description: '1時間ごとの利用統計を返す時間数（省略時は返さない）',
+        },
+      },
+      handler: (context) => httpHandlers.getCacheStats(context),
+    },
+  ];
+
+  routes.push({
+    method: 'GET',
+    path: `${API_VERSION_PREFIX}/openapi.json`,
+    operationId: 'getOpenApiDocument',
+    summary: 'OpenAPI ドキュメント取得',
+    description: 'このAPIの OpenAPI 3.0 ドキュメントを返す',
+    auth: 'none',
+    query: {},
+    rawResponse: true,
+    handler: () => buildOpenApiDocument(routes),
+  });
+
+  return routes;
+}
+
+module.exports = {
+  API_VERSION_PREFIX,
+  createRoutes
+};
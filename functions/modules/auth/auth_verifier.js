@@ -0,0 +1,81 @@
+// functions/modules/auth/auth_verifier.js
+const admin = require('firebase-admin');
+const ApiError = require('../utils/api_error');
+const { API_SECURITY_SETTINGS } = require('../../constants');
+
+/**
+ * HTTP API の呼び出し元認証クラス
+ *
+ * 次のいずれかのトークンで呼び出し元を検証する
+ * - Authorization: Bearer <Firebase IDトークン>（ユーザー単位）
+ * - X-Firebase-AppCheck: <App Checkトークン>（アプリ単位）
+ *
+ * 両方ある場合はIDトークンを優先する
+ */
+class AuthVerifier {
+  /**
+   * リクエストの呼び出し元を検証
+   *
+   * @param {Object} req - Express リクエストオブジェクト
+   * @returns {Object} 呼び出し元 { type: 'user' | 'app', id, claims, rateLimitKey }
+   * @throws {ApiError} トークンがない、または無効な場合（401）
+   */
+  static async verify(req) {
+    const idToken = this._extractBearerToken(req.get(API_SECURITY_SETTINGS.ID_TOKEN_HEADER));
+    if (idToken) {
+      try {
+        const decodedToken = await admin.auth().verifyIdToken(idToken);
+        return {
+          type: 'user',
+          id: decodedToken.uid,
+          claims: decodedToken,
+          rateLimitKey: `user_${decodedToken.uid}`,
+        };
+      } catch (error) {
+        console.warn(`⚠️ IDトークン検証失敗: ${error.code || error.message}`);
+        throw ApiError.unauthenticated('Invalid Firebase ID token');
+      }
+    }
+
+    const appCheckToken = req.get(API_SECURITY_SETTINGS.APP_CHECK_HEADER);
+    if (appCheckToken) {
+      try {
+        const appCheckClaims = await admin.appCheck().verifyToken(appCheckToken);
+        // App Check はアプリ単位のため、レート制限は接続元IPと組み合わせる
+        return {
+          type: 'app',
+          id: appCheckClaims.appId,
+          claims: {},
+          rateLimitKey: `app_${appCheckClaims.appId}_${req.ip || 'unknown'}`,
+        };
+      } catch (error) {
+        console.warn(`⚠️ App Checkトークン検証失敗: ${error.code || error.message}`);
+        throw ApiError.unauthenticated('Invalid App Check token');
+      }
+    }
+
+    throw ApiError.unauthenticated();
+  }
+
+  /**
+   * 呼び出し元が管理者クレームを持つか検証
+   *
+   * @throws {ApiError} 管理者でない場合（403）
+   */
+  static requireAdmin(caller) {
+    if (caller.type !== 'user' || caller.claims[API_SECURITY_SETTINGS.ADMIN_CLAIM] !== true) {
+      throw ApiError.forbidden('Admin privileges are required');
+    }
+  }
+
+  static _extractBearerToken(header) {
+    if (!header) {
+      return null;
+    }
+
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+}
+
+module.exports = AuthVerifier;
@@ -0,0 +1,86 @@
+// functions/modules/auth/rate_limiter.js
+const admin = require('firebase-admin');
+const ApiError = require('../utils/api_error');
+const { RATE_LIMIT_SETTINGS } = require('../../constants');
+
+/**
+ * 呼び出し元ごとのレート制限クラス
+ *
+ * rate_limits/{呼び出し元キー}_{ウィンドウ開始時刻} のカウンターを
+ * トランザクションで加算する固定ウィンドウ方式
+ * ドキュメントの expiresAt を Firestore の TTL ポリシーに設定すると古いカウンターは自動削除される
+ */
+class RateLimiter {
+  constructor(settings = RATE_LIMIT_SETTINGS) {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(settings.COLLECTION);
+    this.windowMs = settings.WINDOW_MS;
+    this.maxRequests = settings.MAX_REQUESTS;
+  }
+
+  /**
+   * リクエスト1件分を消費
+   *
+   * @param {string} callerKey - 呼び出し元キー（AuthVerifier の rateLimitKey）
+   * @returns {Object} { allowed, limit, remaining, resetAt }
+   *
+   * カウンターの読み書きに失敗した場合は制限せずに通す（可用性を優先）
+   */
+  async consume(callerKey, now = new Date()) {
+    const windowStart = Math.floor(now.getTime() / this.windowMs) * this.windowMs;
+    const resetAt = new Date(windowStart + this.windowMs);
+    const docRef = this.collection.doc(`${callerKey.replace(/\//g, '_')}_${windowStart}`);
+
+    try {
+      const count = await this.firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const currentCount = snapshot.exists ? snapshot.data().count : 0;
+
+        // 上限到達後は書き込まない（超過リクエストでカウンターを競合させない）
+        if (currentCount >= this.maxRequests) {
+          return currentCount + 1;
+        }
+
+        transaction.set(docRef, {
+          callerKey,
+          count: currentCount + 1,
+          windowStart: new Date(windowStart),
+          expiresAt: new Date(resetAt.getTime() + this.windowMs),
+        });
+        return currentCount + 1;
+      });
+
+      return {
+        allowed: count <= this.maxRequests,
+        limit: this.maxRequests,
+        remaining: Math.max(0, this.maxRequests - count),
+        resetAt,
+      };
+    } catch (error) {
+      console.error(`❌ レート制限カウンター更新エラー: ${callerKey}`, error);
+      return { allowed: true, limit: this.maxRequests, remaining: null, resetAt };
+    }
+  }
+
+  /**
+   * リクエスト1件分を消費し、上限超過時は例外を投げる
+   *
+   * @param {Object} res - Express レスポンスオブジェクト（X-RateLimit-* ヘッダーを設定）
+   * @throws {ApiError} 上限を超過した場合（429）
+   */
+  async enforce(callerKey, res) {
+    const result = await this.consume(callerKey);
+
+    res.set('X-RateLimit-Limit', String(result.limit));
+    if (result.remaining !== null) {
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+    }
+
+    if (!result.allowed) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+      throw ApiError.rateLimited(retryAfterSeconds);
+    }
+  }
+}
+
+module.exports = RateLimiter;
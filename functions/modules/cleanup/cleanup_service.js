@@ -1,105 +1,342 @@
 // functions/modules/cleanup/cleanup_service.js
 const admin = require('firebase-admin');
-const WeatherCache = require('../weather/weather_cache');
-const { WEATHER_CONSTANTS } = require('../../constants');
+const { getFunctions } = require('firebase-admin/functions');
+const PhotoStoragePaths = require('./photo_storage_paths');
+const { WEATHER_CONSTANTS, WEATHER_CACHE_SETTINGS, CLEANUP_SETTINGS } = require('../../constants');
 
+// クリーンアップジョブ名
+const CLEANUP_JOBS = {
+  WEATHER_CACHE: 'weather_cache',
+  EXPIRED_PHOTOS: 'expired_photos',
+};
+
+/**
+ * データクリーンアップサービス
+ *
+ * 削除対象をページ単位（PAGE_SIZE 件）で読み込み、BulkWriter で削除する
+ *
+ * 処理方式:
+ * - 対象コレクションを「期限フィールド → ドキュメントID」の順に走査し、最後に読み込んだ位置をカーソルとする
+ * - TIME_BUDGET_MS を超えた時点で残りがあれば cleanup_checkpoints/{job} にカーソルを保存し、
+ *   タスクキュー（continueCleanup）で続きを実行する（MAX_CONTINUATIONS 回まで）
+ * - 続きの実行がされなかった場合も、次回のスケジュール実行がチェックポイントから再開する
+ * - 削除に失敗したドキュメントはカーソルを進めて読み飛ばし、次回のスケジュール実行で再度対象になる
+ * - 実行ごとに cleanup_runs へ件数・エラー・所要時間（写真の場合は Storage のパスを特定できなかったもの）を記録する
+ */
 class CleanupService {
   constructor() {
     this.firestore = admin.firestore();
-    this.weatherCache = new WeatherCache();
+    this.checkpoints = this.firestore.collection(CLEANUP_SETTINGS.CHECKPOINT_COLLECTION);
+    this.reports = this.firestore.collection(CLEANUP_SETTINGS.REPORT_COLLECTION);
   }
 
   /**
    * 気象データキャッシュクリーンアップ
+   *
+   * 地点データ・中心座標サマリーのうち保持時間を過ぎたものを削除
+   *
+   * @param {string} trigger - 'schedule'（定期実行）/ 'continuation'（タスクキューからの続き）
+   * @returns {Object} 実行結果（cleanup_runs に記録した内容）
    */
-  async cleanupWeatherCache() {
-    console.log('🧹 気象データキャッシュクリーンアップ開始');
+  async cleanupWeatherCache(trigger = 'schedule') {
+    return await this._runJob(CLEANUP_JOBS.WEATHER_CACHE, trigger);
+  }
 
-    try {
-      const deletedCount = await this.weatherCache.cleanup(
-        WEATHER_CONSTANTS.CACHE_CLEANUP_RETENTION_HOURS,
-        WEATHER_CONSTANTS.CACHE_CLEANUP_BATCH_SIZE
-      );
+  /**
+   * 期限切れ写真の自動削除（Storage の画像ファイルと写真ドキュメント）
+   *
+   * 元画像・サムネイル・派生画像をまとめて削除（対象の特定は PhotoStoragePaths）
+   *
+   * @param {string} trigger - 'schedule'（定期実行）/ 'continuation'（タスクキューからの続き）
+   * @returns {Object} 実行結果（cleanup_runs に記録した内容）
+   */
+  async cleanupExpiredPhotos(trigger = 'schedule') {
+    return await this._runJob(CLEANUP_JOBS.EXPIRED_PHOTOS, trigger);
+  }
 
-      console.log(`✅ 気象データキャッシュクリーンアップ完了: ${deletedCount}件削除`);
-      return deletedCount;
-    } catch (error) {
-      console.error('❌ 気象データキャッシュクリーンアップエラー:', error);
-      return 0;
+  /**
+   * タスクキューから渡されたジョブの続きを実行
+   *
+   * @param {string} jobName - CLEANUP_JOBS のいずれか
+   * @returns {Object|null} 実行結果（不明なジョブの場合は null）
+   */
+  async continueJob(jobName) {
+    if (!Object.values(CLEANUP_JOBS).includes(jobName)) {
+      console.error(`❌ 不明なクリーンアップジョブ: ${jobName}`);
+      return null;
     }
+    return await this._runJob(jobName, 'continuation');
   }
 
   /**
-   * 期限切れ写真の自動削除
+   * ジョブの定義
+   *
+   * - targets: 走査するコレクションと期限フィールド（順に処理）
+   * - operator / cutoff: 削除対象の条件（期限フィールド operator cutoff）
+   * - beforeDelete: ドキュメント削除前の処理（関連ファイルの削除など）
    */
-  async cleanupExpiredPhotos() {
-    console.log('🧹 期限切れ写真クリーンアップ開始');
+  _getJob(jobName, now) {
+    if (jobName === CLEANUP_JOBS.WEATHER_CACHE) {
+      return {
+        targets: [WEATHER_CACHE_SETTINGS.POINT_COLLECTION, WEATHER_CACHE_SETTINGS.SUMMARY_COLLECTION]
+          .map(collection => ({ collection, field: 'timestamp' })),
+        operator: '<',
+        cutoff: new Date(now.getTime() - WEATHER_CONSTANTS.CACHE_CLEANUP_RETENTION_HOURS * 60 * 60 * 1000),
+        beforeDelete: null,
+      };
+    }
+
+    return {
+      targets: [{ collection: 'photos', field: 'expiresAt' }],
+      operator: '<=',
+      cutoff: now,
+      beforeDelete: (doc, report) => this._deletePhotoFiles(doc, report),
+    };
+  }
+
+  /**
+   * ジョブを時間予算内で実行し、結果を記録
+   *
+   * @param {string} jobName - CLEANUP_JOBS のいずれか
+   * @param {string} trigger - 'schedule' / 'continuation'
+   * @returns {Object} 実行結果
+   */
+  async _runJob(jobName, trigger) {
+    const startedAt = new Date();
+    const job = this._getJob(jobName, startedAt);
+    const state = await this._loadState(jobName, trigger, job);
+
+    console.log(`🧹 クリーンアップ開始: ${jobName} (${trigger}, ${state.cutoff.toISOString()} 以前が対象` +
+      `${state.cursor || state.targetIndex > 0 ? '、チェックポイントから再開' : ''})`);
+
+    const report = {
+      job: jobName,
+      trigger,
+      continuation: state.continuation,
+      cutoff: state.cutoff,
+      startedAt,
+      scanned: 0,
+      deleted: 0,
+      failed: 0,
+      byCollection: {},
+      errors: [],
+      errorCount: 0,
+      orphans: [],
+      orphanCount: 0,
+    };
+
+    const writer = this.firestore.bulkWriter();
+    writer.onWriteError(error => error.failedAttempts < CLEANUP_SETTINGS.MAX_WRITE_ATTEMPTS);
 
     try {
-      const now = new Date();
-      const batchSize = 100; // 一度に処理する写真数
-      let totalDeleted = 0;
-
-      console.log(`📅 ${now.toISOString()} 時点で期限切れの写真を削除`);
-
-      // 期限切れの写真を検索
-      const snapshot = await this.firestore
-        .collection('photos')
-        .where('expiresAt', '<=', now)
-        .limit(batchSize)
-        .get();
-
-      if (snapshot.empty) {
-        console.log('✅ 削除対象の期限切れ写真なし');
-        return 0;
+      while (state.targetIndex < job.targets.length &&
+        Date.now() - startedAt.getTime() < CLEANUP_SETTINGS.TIME_BUDGET_MS) {
+        await this._processPage(job, state, writer, report);
       }
+    } catch (error) {
+      console.error(`❌ クリーンアップエラー: ${jobName}`, error);
+      this._recordError(report, error);
+    } finally {
+      await writer.close();
+    }
 
-      console.log(`🗑️ ${snapshot.docs.length}件の期限切れ写真を削除中...`);
-
-      // 各写真を個別に削除（Storage + Firestore）
-      for (const doc of snapshot.docs) {
-        try {
-          const data = doc.data();
-          const photoId = doc.id;
-          const imageUrl = data.imageUrl;
-
-          // Firebase Storageから画像を削除
-          if (imageUrl) {
-            try {
-              const bucket = admin.storage().bucket();
-              const fileName = imageUrl.split('/').pop().split('?')[0]; // URLからファイル名を抽出
-              const file = bucket.file(`photos/${data.userId}/${fileName}`);
-              await file.delete();
-              console.log(`🗑️ Storage画像削除: ${photoId}`);
-            } catch (storageError) {
-              console.warn(`⚠️ Storage削除エラー（継続）: ${photoId} - ${storageError.message}`);
-            }
-          }
-
-          // Firestoreから写真データを削除（いいね情報も一緒に削除される）
-          await doc.ref.delete();
-          totalDeleted++;
-
-          console.log(`✅ 期限切れ写真削除完了: ${photoId}`);
-
-        } catch (photoError) {
-          console.error(`❌ 写真削除エラー: ${doc.id} - ${photoError.message}`);
-        }
+    report.completed = state.targetIndex >= job.targets.length;
+    report.rescheduled = report.completed ? false : await this._saveCheckpoint(jobName, state);
+    if (report.completed) {
+      await this._clearCheckpoint(jobName);
+    }
+
+    report.finishedAt = new Date();
+    report.durationMs = report.finishedAt.getTime() - startedAt.getTime();
+    await this._saveReport(report);
+
+    console.log(`✅ クリーンアップ${report.completed ? '完了' : '中断（続きあり）'}: ${jobName} ` +
+      `${report.deleted}件削除、失敗${report.failed}件、${report.durationMs}ms`);
+    return report;
+  }
+
+  /**
+   * 1ページ分の削除対象を読み込んで削除し、カーソルを進める
+   */
+  async _processPage(job, state, writer, report) {
+    const target = job.targets[state.targetIndex];
+    let query = this.firestore.collection(target.collection)
+      .where(target.field, job.operator, state.cutoff)
+      .orderBy(target.field)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(CLEANUP_SETTINGS.PAGE_SIZE);
+
+    if (state.cursor) {
+      query = query.startAfter(state.cursor.value, state.cursor.docId);
+    }
+
+    const snapshot = await query.get();
+    const counts = report.byCollection[target.collection] || { scanned: 0, deleted: 0, failed: 0 };
+    report.byCollection[target.collection] = counts;
+
+    const deletions = [];
+    for (const doc of snapshot.docs) {
+      if (job.beforeDelete) {
+        await job.beforeDelete(doc, report);
       }
 
-      console.log(`✅ 期限切れ写真クリーンアップ完了: ${totalDeleted}件削除`);
+      deletions.push(writer.delete(doc.ref)
+        .then(() => {
+          counts.deleted++;
+          report.deleted++;
+        })
+        .catch(error => {
+          counts.failed++;
+          report.failed++;
+          this._recordError(report, error, doc.ref.path);
+        }));
+    }
+
+    await writer.flush();
+    await Promise.all(deletions);
+
+    counts.scanned += snapshot.size;
+    report.scanned += snapshot.size;
+
+    if (snapshot.size < CLEANUP_SETTINGS.PAGE_SIZE) {
+      // このコレクションは最後まで処理済み
+      state.targetIndex++;
+      state.cursor = null;
+    } else {
+      const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      state.cursor = { value: lastDoc.get(target.field), docId: lastDoc.id };
+    }
+  }
 
-      // 大量のデータがある場合の通知
-      if (snapshot.docs.length === batchSize) {
-        console.log('🔄 さらに期限切れ写真が存在する可能性があります');
+  /**
+   * 実行開始時の状態（チェックポイントがあればその位置から）
+   *
+   * - スケジュール実行では削除条件を現在時刻で更新し、続きの実行回数をリセットする
+   *   （カーソルより前は削除済みのため、新しい条件でも位置はそのまま使える）
+   * - タスクキューからの続きではチェックポイント保存時の条件を引き継ぐ
+   */
+  async _loadState(jobName, trigger, job) {
+    const initial = { targetIndex: 0, cursor: null, cutoff: job.cutoff, continuation: 0 };
+
+    try {
+      const snapshot = await this.checkpoints.doc(jobName).get();
+      if (!snapshot.exists) {
+        return initial;
       }
 
-      return totalDeleted;
+      const checkpoint = snapshot.data();
+      const isContinuation = trigger === 'continuation';
+      return {
+        targetIndex: checkpoint.targetIndex,
+        cursor: checkpoint.cursor || null,
+        cutoff: isContinuation ? checkpoint.cutoff.toDate() : job.cutoff,
+        continuation: isContinuation ? checkpoint.continuation + 1 : 0,
+      };
+    } catch (error) {
+      console.error(`❌ チェックポイント読み込みエラー: ${jobName}（最初から実行）`, error);
+      return initial;
+    }
+  }
 
+  /**
+   * 続きの位置を保存し、タスクキューに続きの実行を登録
+   *
+   * @returns {boolean} 続きの実行を登録したか
+   */
+  async _saveCheckpoint(jobName, state) {
+    try {
+      await this.checkpoints.doc(jobName).set({
+        targetIndex: state.targetIndex,
+        cursor: state.cursor,
+        cutoff: state.cutoff,
+        continuation: state.continuation,
+        updatedAt: new Date(),
+      });
     } catch (error) {
-      console.error('❌ 期限切れ写真クリーンアップエラー:', error);
-      return 0;
+      console.error(`❌ チェックポイント保存エラー: ${jobName}`, error);
+      return false;
     }
+
+    if (state.continuation >= CLEANUP_SETTINGS.MAX_CONTINUATIONS) {
+      console.warn(`⚠️ 続きの実行回数が上限に達したため次回のスケジュール実行で再開: ${jobName}`);
+      return false;
+    }
+
+    try {
+      await getFunctions().taskQueue(CLEANUP_SETTINGS.TASK_QUEUE_FUNCTION).enqueue(
+        { job: jobName },
+        { scheduleDelaySeconds: CLEANUP_SETTINGS.CONTINUATION_DELAY_SECONDS }
+      );
+      console.log(`🔄 クリーンアップの続きを登録: ${jobName}（${CLEANUP_SETTINGS.CONTINUATION_DELAY_SECONDS}秒後）`);
+      return true;
+    } catch (error) {
+      console.error(`❌ クリーンアップの続きの登録エラー: ${jobName}（次回のスケジュール実行で再開）`, error);
+      return false;
+    }
+  }
+
+  async _clearCheckpoint(jobName) {
+    try {
+      await this.checkpoints.doc(jobName).delete();
+    } catch (error) {
+      console.error(`❌ チェックポイント削除エラー: ${jobName}`, error);
+    }
+  }
+
+  async _saveReport(report) {
+    try {
+      await this.reports.add(report);
+    } catch (error) {
+      console.error(`❌ クリーンアップ結果の保存エラー: ${report.job}`, error);
+    }
+  }
+
+  /**
+   * エラーを結果に記録（メッセージは MAX_REPORTED_ERRORS 件まで）
+   */
+  _recordError(report, error, path = null) {
+    report.errorCount++;
+    if (report.errors.length < CLEANUP_SETTINGS.MAX_REPORTED_ERRORS) {
+      report.errors.push(path ? `${path}: ${error.message}` : error.message);
+    }
+  }
+
+  /**
+   * 結果に Storage のパスを特定できなかった写真を記録（MAX_REPORTED_ORPHANS 件まで）
+   *
+   * ドキュメントは削除されるため、残ったファイルはここに記録したURLから手動で確認する
+   */
+  _recordOrphan(report, doc, unresolved) {
+    report.orphanCount++;
+    if (report.orphans.length < CLEANUP_SETTINGS.MAX_REPORTED_ORPHANS) {
+      report.orphans.push({ photoId: doc.id, userId: doc.get('userId') || null, unresolved });
+    }
+  }
+
+  /**
+   * 写真ドキュメントに対応する Storage のファイル（元画像・サムネイル・派生画像）を削除
+   *
+   * - 存在しないファイル（作られていない派生画像など）は無視する
+   * - パスを特定できなかったURLは orphans に記録する
+   * - 削除に失敗してもドキュメントの削除は続ける（エラーは結果に記録）
+   */
+  async _deletePhotoFiles(doc, report) {
+    const { files, unresolved } = PhotoStoragePaths.resolve(doc.data());
+
+    if (unresolved.length > 0) {
+      console.warn(`⚠️ Storageのパスを特定できない写真（継続）: ${doc.id}`);
+      this._recordOrphan(report, doc, unresolved);
+    }
+
+    await Promise.all(files.map(async file => {
+      try {
+        const bucket = file.bucket ? admin.storage().bucket(file.bucket) : admin.storage().bucket();
+        await bucket.file(file.path).delete({ ignoreNotFound: true });
+      } catch (storageError) {
+        console.warn(`⚠️ Storage削除エラー（継続）: ${doc.id} ${file.path} - ${storageError.message}`);
+        this._recordError(report, storageError, `storage:${file.path}`);
+      }
+    }));
   }
 }
 
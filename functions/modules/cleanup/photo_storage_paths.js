@@ -0,0 +1,103 @@
+// functions/modules/cleanup/photo_storage_paths.js
+const { URL } = require('url');
+const { PHOTO_STORAGE_SETTINGS } = require('../../constants');
+
+// Firebase Storage のダウンロードURL（https://firebasestorage.googleapis.com/v0/b/{bucket}/o/{エンコード済みパス}）
+const FIREBASE_DOWNLOAD_URL = /^\/v0\/b\/([^/]+)\/o\/(.+)$/;
+
+/**
+ * 写真ドキュメントに対応する Storage ファイルの特定
+ *
+ * - storagePath / thumbnailPath を持つドキュメントはそのパスを使う
+ * - パスを持たない古いドキュメントは imageUrl / thumbnailUrl のダウンロードURLをデコードしてパスを求める
+ * - 各ファイルについて、画像リサイズで作られる派生画像（VARIANT_SIZES）も削除対象に含める
+ */
+class PhotoStoragePaths {
+  /**
+   * 写真ドキュメントから削除対象のファイルを求める
+   *
+   * @param {Object} data - 写真ドキュメントのデータ
+   * @returns {Object} { files: [{ bucket, path }], unresolved: [{ field, value }] }
+   *   bucket はURLから求めた場合のみ（null はデフォルトのバケット）、unresolved はパスを特定できなかったURL
+   */
+  static resolve(data) {
+    const files = new Map();
+    const unresolved = [];
+
+    PHOTO_STORAGE_SETTINGS.FILE_FIELDS.forEach(fields => {
+      let file = null;
+      if (data[fields.path]) {
+        file = { bucket: null, path: data[fields.path] };
+      } else if (data[fields.url]) {
+        file = PhotoStoragePaths.parseDownloadUrl(data[fields.url]);
+        if (!file) {
+          unresolved.push({ field: fields.url, value: data[fields.url] });
+        }
+      }
+
+      if (file) {
+        PhotoStoragePaths.withVariants(file.path).forEach(path => {
+          files.set(`${file.bucket || ''}/${path}`, { bucket: file.bucket, path });
+        });
+      }
+    });
+
+    return { files: Array.from(files.values()), unresolved };
+  }
+
+  /**
+   * ダウンロードURLから Storage のバケットとパスを求める
+   *
+   * 対応形式:
+   * - https://firebasestorage.googleapis.com/v0/b/{bucket}/o/{エンコード済みパス}?alt=media&token=...
+   * - https://storage.googleapis.com/{bucket}/{パス}
+   * - gs://{bucket}/{パス}
+   *
+   * @returns {Object|null} { bucket, path }（解析できない場合は null）
+   */
+  static parseDownloadUrl(url) {
+    try {
+      const parsed = new URL(url);
+
+      if (parsed.protocol === 'gs:') {
+        const path = parsed.pathname.replace(/^\//, '');
+        return path ? { bucket: parsed.hostname, path: decodeURIComponent(path) } : null;
+      }
+
+      if (parsed.hostname === 'firebasestorage.googleapis.com') {
+        const match = parsed.pathname.match(FIREBASE_DOWNLOAD_URL);
+        // パス中の「/」は %2F にエンコードされているため、デコードは1回だけ行う
+        return match ? { bucket: decodeURIComponent(match[1]), path: decodeURIComponent(match[2]) } : null;
+      }
+
+      if (parsed.hostname === 'storage.googleapis.com') {
+        const [bucket, ...segments] = parsed.pathname.replace(/^\//, '').split('/');
+        return bucket && segments.length > 0 ?
+          { bucket, path: segments.map(segment => decodeURIComponent(segment)).join('/') } :
+          null;
+      }
+
+      return null;
+    } catch {
+      // URLとして不正・不正なパーセントエンコーディング
+      return null;
+    }
+  }
+
+  /**
+   * 元画像のパスと派生画像のパス
+   *
+   * 例: photos/uid/a.jpg → [photos/uid/a.jpg, photos/uid/a_400x400.jpg, photos/uid/a_128x128.jpg]
+   */
+  static withVariants(path) {
+    const slash = path.lastIndexOf('/');
+    const dot = path.lastIndexOf('.');
+    const hasExtension = dot > slash + 1;
+    const base = hasExtension ? path.slice(0, dot) : path;
+    const extension = hasExtension ? path.slice(dot) : '';
+
+    return [path, ...PHOTO_STORAGE_SETTINGS.VARIANT_SIZES.map(size => `${base}_${size}${extension}`)];
+  }
+}
+
+module.exports = PhotoStoragePaths;
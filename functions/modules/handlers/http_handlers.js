@@ -1,194 +1,198 @@
 /**
  * HTTP API リクエストハンドラークラス
  *
- * Firebase Functions のHTTP APIエンドポイントを処理する専用ハンドラー
- * RESTful API設計に従い、各エンドポイントの責務を明確に分離
+ * REST API（ApiRouter）の各ルートの処理本体
+ * CORS・認証・レート制限・入力値バリデーション・エラーレスポンス変換は
+ * ルーターの共通ミドルウェアで行うため、ここでは検証済みパラメータを受け取って結果を返すのみ
  *
- * 処理するエンドポイント:
- * - GET /getWeatherData: 単一地点の気象データ取得
- * - GET /getDirectionalWeatherData: 方向別気象データ取得
- * - GET /getCacheStats: キャッシュ統計情報取得
+ * 処理するルート（定義は modules/api/routes.js）:
+ * - GET /v1/weather: 単一地点の気象データ取得
+ * - GET /v1/weather/directional: 方向別気象データ取得
+ * - GET /v1/riskGrid: 範囲内のリスクグリッド取得（地図オーバーレイ用）
+ * - GET /v1/cache/stats: キャッシュ統計情報取得
  *
- * 共通機能:
- * - CORS設定（クロスオリジン対応）
- * - OPTIONSプリフライト処理
- * - 入力値バリデーション
- * - エラーハンドリング・ログ出力
- * - 夜間モード対応
- *
- * セキュリティ:
- * - 入力値の型チェック・範囲チェック
- * - エラー情報の適切な隠蔽
- * - レート制限への配慮
+ * 戻り値:
+ * - { data, fields } を返し、ルーターが { success: true, data, timestamp, ...fields } として送信
+ * - { raw, contentType } を返した場合は共通レスポンス形式で包まずにそのまま送信（GeoJSON など）
+ * - エラーは ApiError を投げる（それ以外の例外は INTERNAL_ERROR として返される）
+ * - 夜間モードはエラーではなく fields.nightMode: true の成功レスポンス
  */
 
-const ResponseHelpers = require('../utils/response_helpers');
-const { HelperFunctions } = require('../../constants');
+const ApiError = require('../utils/api_error');
+const { HelperFunctions, RISK_GRID_SETTINGS } = require('../../constants');
+const { getSamplingLayout } = require('../../coordinate_utils');
+const { isNightModeAt } = require('../../solar_utils');
 
 class HttpHandlers {
-  constructor(weatherService) {
+  constructor(weatherService, riskGridService) {
     this.weatherService = weatherService;
+    this.riskGridService = riskGridService;
   }
 
   /**
    * 気象データ取得API処理
    *
-   * @param {Object} req - Express リクエストオブジェクト
-   * @param {Object} res - Express レスポンスオブジェクト
+   * @param {Object} context - ルーターのリクエストコンテキスト（params: 検証済みクエリ）
+   * @returns {Object} { data, fields }
    *
-   * エンドポイント: GET /getWeatherData
-   * パラメータ: latitude, longitude (クエリパラメータ)
+   * ルート: GET /v1/weather
+   * パラメータ: latitude, longitude
    *
    * 処理フロー:
-   * 1. CORS設定・プリフライト処理
-   * 2. 必須パラメータの存在チェック
-   * 3. 数値型への変換・バリデーション
-   * 4. 夜間モードチェック（20:00-08:00）
-   * 5. キャッシュ優先での気象データ取得
-   * 6. 成功レスポンス返却
-   *
-   * エラーハンドリング:
-   * - 400: パラメータ不正
-   * - 500: サーバーエラー
+   * 1. 夜間モードチェック（指定地点の日の出・日の入りから判定）
+   * 2. キャッシュ優先での気象データ取得
+   * 3. 予報サマリーを付与して返却
+   *
+   * エラー:
+   * - 502: 気象データ取得失敗
    */
-  async getWeatherData(req, res) {
-    ResponseHelpers.setCORSHeaders(res);
-
-    if (req.method === 'OPTIONS') {
-      res.status(200).end();
-      return;
-    }
-
-    try {
-      const { latitude, longitude } = req.query;
+  async getWeatherData(context) {
+    const { latitude: lat, longitude: lon } = context.params;
 
-      if (!latitude || !longitude) {
-        return ResponseHelpers.sendError(res, 400, 'latitude and longitude are required');
-      }
-
-      const lat = parseFloat(latitude);
-      const lon = parseFloat(longitude);
-
-      console.log(`🌦️ 気象データ取得要求: ${lat}, ${lon}`);
-
-      // 夜間モードチェック
-      if (HelperFunctions.isNightMode()) {
-        console.log('🌙 夜間モード: 入道雲なしの状態を返却');
-        const nightModeData = HelperFunctions.createNightModeResponse();
-        return ResponseHelpers.sendNightModeResponse(res, nightModeData);
-      }
+    console.log(`🌦️ 気象データ取得要求: ${lat}, ${lon}`);
 
-      const weatherData = await this.weatherService.getWeatherDataWithCache(lat, lon);
-      ResponseHelpers.sendSuccess(res, weatherData);
+    // 夜間モードチェック
+    if (isNightModeAt(lat, lon)) {
+      console.log('🌙 夜間モード: 入道雲なしの状態を返却');
+      return { data: HelperFunctions.createNightModeResponse(), fields: { nightMode: true } };
+    }
 
-    } catch (error) {
-      console.error('❌ 気象データ取得エラー:', error);
-      ResponseHelpers.sendError(res, 500, 'Internal server error', error.message);
+    const weatherData = await this.weatherService.getWeatherDataWithCache(lat, lon);
+    if (!weatherData) {
+      throw ApiError.upstreamUnavailable();
     }
+
+    return {
+      data: weatherData,
+      fields: { forecast: this.weatherService.summarizeForecast(weatherData) }
+    };
   }
 
   /**
    * 各方向気象データ取得API処理
    *
-   * @param {Object} req - Express リクエストオブジェクト
-   * @param {Object} res - Express レスポンスオブジェクト
+   * @param {Object} context - ルーターのリクエストコンテキスト（params: 検証済みクエリ）
+   * @returns {Object} { data, fields }、format=geojson の場合は { raw, contentType }
    *
-   * エンドポイント: GET /getDirectionalWeatherData
-   * パラメータ: latitude, longitude (クエリパラメータ)
+   * ルート: GET /v1/weather/directional
+   * パラメータ: latitude, longitude, layout (任意: cardinal / octant / sixteen), format (任意: json / geojson)
    *
    * 処理内容:
-   * - 指定座標を中心とした8方向（N,NE,E,SE,S,SW,W,NW）
-   * - 各方向5km, 10km, 15kmの気象データを取得
+   * - 指定座標を中心とした4方向・8方向（N,NE,E,SE,S,SW,W,NW）・16方向
+   * - 各方向50km, 160km, 250kmの気象データを取得
    * - 各方向で最適なリスクレベルの地点を選択
    * - 入道雲発生リスクの分析結果を含む
    *
    * レスポンス構造:
    * {
-   *   "north": { coordinates: {}, analysis: {}, weatherData: {} },
-   *   "south": { ... },
-   *   ...
+   *   "data": {
+   *     "north": {
+   *       coordinates: {},
+   *       analysis: { riskLevel, totalScore, ..., explanation: { inputs, factors, reasons: { ja, en } } },
+   *       forecast: { timeline: [], trend: 'rising', ... }
+   *     },
+   *     "south": { ... },
+   *     ...
+   *   },
+   *   "forecast": [{ direction: 'east', withinHours: 2, message: '東方向で2時間以内にリスク上昇' }]
    * }
    *
+   * format=geojson の場合:
+   * - 中心地点と全サンプリング地点（各方向・各距離）の Point Feature からなる FeatureCollection
+   * - 地図ツールや QGIS に直接読み込めるよう、共通レスポンス形式で包まずに返す
+   *
    * 用途: 入道雲リスクの方向別把握、詳細な気象状況分析
    */
-  async getDirectionalWeatherData(req, res) {
-    ResponseHelpers.setCORSHeaders(res);
-
-    if (req.method === 'OPTIONS') {
-      res.status(200).end();
-      return;
-    }
-
-    try {
-      const { latitude, longitude } = req.query;
-
-      if (!latitude || !longitude) {
-        return ResponseHelpers.sendError(res, 400, 'latitude and longitude are required');
+  async getDirectionalWeatherData(context) {
+    const { latitude: lat, longitude: lon, layout: layoutName, format } = context.params;
+    const layout = getSamplingLayout(layoutName);
+    const asGeoJson = format === 'geojson';
+
+    console.log(`🌦️ 各方向気象データ取得要求: ${lat}, ${lon} (${layout.name}${asGeoJson ? ', GeoJSON' : ''})`);
+
+    // 夜間モードチェック
+    if (isNightModeAt(lat, lon)) {
+      console.log('🌙 夜間モード: 入道雲なしの状態を返却');
+      if (asGeoJson) {
+        const nightProperties = { nightMode: true, layout: layout.name };
+        return this._geoJsonResult(this.weatherService.toGeoJson({}, { lat, lon }, nightProperties));
       }
+      return { data: HelperFunctions.createNightModeResponse(layout.directions), fields: { nightMode: true } };
+    }
 
-      const lat = parseFloat(latitude);
-      const lon = parseFloat(longitude);
+    // 各方向の気象データを取得
+    const weatherData = await this.weatherService.getDirectionalWeatherData(lat, lon, layout);
+    if (!weatherData) {
+      throw ApiError.upstreamUnavailable();
+    }
 
-      console.log(`🌦️ 各方向気象データ取得要求: ${lat}, ${lon}`);
+    if (asGeoJson) {
+      return this._geoJsonResult(this.weatherService.toGeoJson(weatherData, { lat, lon }, { layout: layout.name }));
+    }
 
-      // 夜間モードチェック
-      if (HelperFunctions.isNightMode()) {
-        console.log('🌙 夜間モード: 入道雲なしの状態を返却');
-        const nightModeData = HelperFunctions.createNightModeResponse();
-        return ResponseHelpers.sendNightModeResponse(res, nightModeData);
-      }
+    return {
+      data: weatherData,
+      fields: { forecast: this.weatherService.summarizeForecast(weatherData) }
+    };
+  }
 
-      // 各方向の気象データを取得
-      const weatherData = await this.weatherService.getDirectionalWeatherData(lat, lon);
+  /**
+   * GeoJSON をそのまま返すためのハンドラー結果
+   */
+  _geoJsonResult(featureCollection) {
+    return { raw: featureCollection, contentType: 'application/geo+json' };
+  }
 
-      if (weatherData) {
-        ResponseHelpers.sendSuccess(res, weatherData);
-      } else {
-        ResponseHelpers.sendError(res, 500, 'Failed to fetch weather data', 'No weather data available');
-      }
+  /**
+   * リスクグリッド取得API処理
+   *
+   * @param {Object} context - ルーターのリクエストコンテキスト（params: 検証済みクエリ）
+   * @returns {Object} { data }
+   *
+   * ルート: GET /v1/riskGrid
+   * パラメータ: south, west, north, east, resolution (任意), format (任意: matrix / geojson)
+   *
+   * 処理内容:
+   * - 範囲を解像度ごとの全球共通格子で区切り、各セル中心のリスクを分析
+   * - タイル単位のキャッシュを優先し、未キャッシュのタイルのみバッチAPIで取得
+   * - セル数・タイル数が上限を超える場合は 400（より粗い解像度を指定）
+   */
+  async getRiskGrid(context) {
+    const { south, west, north, east, format } = context.params;
+    const resolution = parseFloat(context.params.resolution || RISK_GRID_SETTINGS.DEFAULT_RESOLUTION);
 
-    } catch (error) {
-      console.error('❌ 各方向気象データ取得エラー:', error);
-      ResponseHelpers.sendError(res, 500, 'Internal server error', error.message);
-    }
+    const grid = await this.riskGridService.getRiskGrid({ south, west, north, east }, resolution, format);
+    return { data: grid };
   }
 
   /**
    * キャッシュ統計情報取得API処理
    *
-   * @param {Object} req - Express リクエストオブジェクト
-   * @param {Object} res - Express レスポンスオブジェクト
+   * @param {Object} context - ルーターのリクエストコンテキスト（params: 検証済みクエリ）
+   * @returns {Object} { data }
    *
-   * エンドポイント: GET /getCacheStats
-   * パラメータ: なし
+   * ルート: GET /v1/cache/stats
+   * パラメータ: hours (任意: 1時間ごとの利用統計を返す時間数)
+   * 権限: 管理者クレーム（admin: true）を持つユーザーのIDトークンが必要
    *
    * 提供情報:
    * - 総キャッシュ数
    * - 新しいキャッシュ数（1時間以内）
    * - 古いキャッシュ数（削除対象）
+   * - cacheType ごとのドキュメント数（集計クエリで算出）
+   * - 累計の書き込み・ヒット率・省略できた取得件数・経過時間の分布、1時間あたりの書き込み件数
    * - 保持設定情報
    * - 取得時刻
+   * - メモリキャッシュのヒット・ミス件数、取得共有の件数（応答したインスタンスの起動以降）
    *
    * 用途:
    * - システム監視・ダッシュボード
    * - キャッシュ効率の分析
    * - 容量計画・最適化
    */
-  async getCacheStats(req, res) {
-    ResponseHelpers.setCORSHeaders(res);
-
-    if (req.method === 'OPTIONS') {
-      res.status(200).end();
-      return;
-    }
-
-    try {
-      const stats = await this.weatherService.getCacheStats();
-      ResponseHelpers.sendSuccess(res, { stats });
-    } catch (error) {
-      console.error('❌ キャッシュ統計取得エラー:', error);
-      ResponseHelpers.sendError(res, 500, 'Internal server error', error.message);
-    }
+  async getCacheStats(context) {
+    const stats = await this.weatherService.getCacheStats({ hours: context.params.hours });
+    return { data: { stats } };
   }
 }
 
@@ -5,15 +5,14 @@
  * 各処理は独立性を保ちながら、システム全体の自動運用を実現
  *
  * 定期処理一覧:
- * - 気象データ事前キャッシュ (5分間隔)
- * - 入道雲検知・通知送信 (5分間隔)
- * - 期限切れデータクリーンアップ (日次)
- * - システム監視・冗長処理
+ * - 気象データ事前キャッシュ → 入道雲検知・通知送信 (5分間隔、RunCoordinator で順序制御)
+ * - 期限切れデータクリーンアップ (日次、残りがある場合はタスクキューで続きを実行)
+ * - システム監視・冗長処理（メイン処理の失敗・未実行時のみ）
  *
  * 設計原則:
  * - 各処理の独立性確保
  * - エラー時の他処理への影響最小化
- * - 夜間モード対応（不要処理のスキップ）
+ * - 夜間モード対応（ユーザー位置ごとに不要処理をスキップ）
  * - 詳細なログ出力（運用監視対応）
  *
  * 運用考慮:
@@ -23,87 +22,34 @@
  * - 地理的配置（asia-northeast1）
  */
 
-const { HelperFunctions } = require('../../constants');
-
 class ScheduleHandlers {
-  constructor(weatherService, thunderMonitoring, cleanupService) {
-    this.weatherService = weatherService;
-    this.thunderMonitoring = thunderMonitoring;
+  constructor(runCoordinator, cleanupService) {
+    this.runCoordinator = runCoordinator;
     this.cleanupService = cleanupService;
   }
 
   /**
-   * 気象データ自動キャッシュ処理
+   * 入道雲監視処理（メイン）
    *
-   * スケジュール: 5分間隔実行
-   * タイムアウト: 9分（大量データ処理対応）
+   * スケジュール: 5分間隔実行（実行枠の開始時）
+   * タイムアウト: 9分（キャッシュ更新の大量データ処理対応）
    * メモリ: 1GiB（バッチ処理最適化）
    *
-   * 処理内容:
-   * 1. アクティブユーザー一覧取得
-   * 2. 各ユーザー位置周辺の気象データ事前取得
-   * 3. 重複座標の最適化・統合
-   * 4. バッチAPI呼び出しで効率的データ取得
-   * 5. Firestoreキャッシュへの保存
-   *
-   * 最適化ポイント:
-   * - 夜間モード時の処理スキップ
-   * - 重複座標除去（API呼び出し削減）
-   * - 段階的バッチ処理（100地点ずつ）
-   * - フォールバック機能（エラー耐性）
-   *
-   * 期待効果:
-   * - ユーザーAPI応答速度向上（キャッシュヒット率90%以上）
-   * - API呼び出しコスト削減（80%以上削減）
-   */
-  async cacheWeatherData() {
-    console.log('🌦️ 気象データ自動キャッシュ開始');
-
-    // 夜間モードチェック
-    if (HelperFunctions.isNightMode()) {
-      console.log('🌙 夜間モード: 気象データキャッシュをスキップ');
-      return;
-    }
-
-    await this.weatherService.cacheWeatherDataForActiveUsers();
-    console.log('✅ 気象データ自動キャッシュ完了');
-  }
-
-  /**
-   * 入道雲検知・通知処理
-   *
-   * スケジュール: 5分間隔実行
-   * タイムアウト: 5分（キャッシュ活用で高速処理）
-   * メモリ: 512MiB（標準処理負荷）
-   *
-   * 処理フロー:
-   * 1. アクティブユーザー抽出（24時間以内位置更新）
-   * 2. 各ユーザー周辺8方向の入道雲状況チェック
-   * 3. キャッシュデータ優先使用（5分以内の新鮮データ）
-   * 4. 入道雲検知時の即座通知送信
-   * 5. 通知履歴・統計の記録
-   *
-   * 検知アルゴリズム:
-   * - CAPE値、Lifted Index、雲量の複合判定
-   * - 距離別リスクレベル評価（5km, 10km, 15km）
-   * - 方向別脅威度分析（北、北東、東...）
-   *
-   * 通知最適化:
-   * - 重複通知の防止
-   * - ユーザー設定による通知制御
-   * - 夜間モード時の通知停止
+   * 処理フロー（RunCoordinator が実行枠ごとに1回だけ実行）:
+   * 1. 実行枠のリース取得（同じ実行枠の二重実行を防止）
+   * 2. 気象データ事前キャッシュ
+   *    - 夜間モードの地点のユーザーを除外（日の出・日の入りから地点ごとに判定）
+   *    - 重複座標除去・段階的バッチ処理（100地点ずつ）
+   * 3. 入道雲検知・通知送信
+   *    - アクティブユーザー抽出（24時間以内位置更新）
+   *    - キャッシュの一括読み込み、未キャッシュ地点のみバッチ取得
+   *    - 通知設定・重複通知防止を考慮して一括送信
+   * 4. 実行結果を monitoring_runs に記録
    */
   async checkThunderClouds() {
-    console.log('🌩️ 入道雲チェック開始');
-
-    // 夜間モードチェック（20時〜8時）
-    if (HelperFunctions.isNightMode()) {
-      console.log('🌙 夜間モード（20時〜8時）: 入道雲チェックを完全にスキップ');
-      return;
-    }
-
-    await this.thunderMonitoring.checkThunderClouds();
-    console.log('✅ 入道雲チェック完了');
+    console.log('🌩️ 入道雲監視開始');
+    await this.runCoordinator.runPrimary();
+    console.log('✅ 入道雲監視完了');
   }
 
   /**
@@ -117,13 +63,12 @@ class ScheduleHandlers {
    * - システムパフォーマンス維持
    *
    * 削除対象:
-   * - 設定保持期間（デフォルト24時間）を超過したキャッシュ
-   * - 不正・破損したキャッシュエントリ
+   * - 設定保持期間を超過した地点データ・中心座標サマリー
    *
-   * 安全機能:
-   * - バッチサイズ制限（Firestore負荷制御）
-   * - 削除前の整合性チェック
-   * - 詳細な削除ログ・統計出力
+   * 処理方式（CleanupService）:
+   * - ページ単位で読み込み BulkWriter で削除
+   * - 時間予算を超えた場合はチェックポイントを保存し、タスクキューで続きを実行
+   * - 実行ごとの件数・エラー・所要時間を cleanup_runs に記録
    */
   async cleanupWeatherCache() {
     console.log('🧹 気象データキャッシュクリーンアップ開始');
@@ -142,15 +87,15 @@ class ScheduleHandlers {
    * - Firestore上の写真メタデータ（いいね情報も含む）
    *
    * 処理手順:
-   * 1. 期限切れ写真一覧取得
-   * 2. Storage画像ファイル削除
-   * 3. Firestore写真ドキュメント削除（いいね情報も一緒に削除）
-   * 4. 削除統計ログ出力
+   * 1. 期限切れ写真をページ単位で取得
+   * 2. Storage画像ファイル削除（元画像・サムネイル・派生画像、パスを特定できない写真は結果に記録）
+   * 3. Firestore写真ドキュメント削除（BulkWriter）
+   * 4. 時間予算を超えた場合はチェックポイントを保存し、タスクキューで続きを実行
+   * 5. 実行結果を cleanup_runs に記録
    *
    * 安全措置:
-   * - バッチサイズ制限（100件/回）
-   * - エラー時の個別処理継続
-   * - 削除前の存在確認
+   * - Storage の削除に失敗しても他の写真の処理は継続（エラーは実行結果に記録）
+   * - 続きの実行回数の上限
    */
   async cleanupExpiredPhotos() {
     console.log('🧹 期限切れ写真クリーンアップ開始');
@@ -158,32 +103,38 @@ class ScheduleHandlers {
     console.log('✅ 期限切れ写真クリーンアップ完了');
   }
 
+  /**
+   * クリーンアップの続きの処理
+   *
+   * 実行: タスクキュー（時間予算内に削除しきれなかったクリーンアップが登録）
+   *
+   * @param {Object} data - タスクのデータ（{ job: クリーンアップジョブ名 }）
+   */
+  async continueCleanup(data) {
+    console.log(`🧹 クリーンアップの続き開始: ${data && data.job}`);
+    await this.cleanupService.continueJob(data && data.job);
+    console.log('✅ クリーンアップの続き完了');
+  }
+
   /**
    * 入道雲監視処理（冗長・バックアップ系）
    *
-   * スケジュール: 5分間隔実行
+   * スケジュール: 5分間隔実行（実行枠の開始から4分後）
    *
    * 役割:
    * - メイン監視処理（checkThunderClouds）のバックアップ
-   * - 冗長性確保による可用性向上
-   * - 異なる処理パターンでの監視補完
+   * - 同じ実行枠のメイン処理が未実行・失敗・リース切れの場合のみ処理
+   * - メイン処理が実行中または成功済みの場合は何もしない
    *
-   * 処理内容:
-   * - 同様の入道雲検知ロジック
-   * - 独立したエラーハンドリング
-   * - メイン処理失敗時の代替実行
-   *
-   * 用途:
-   * - システム信頼性向上
-   * - 重要な気象警報の見逃し防止
-   * - 負荷分散・処理分担
-   *
-   * 注意: メイン処理と重複通知しないよう制御が必要
+   * 重複通知の防止:
+   * - 実行枠のリースにより同じ枠の処理は一度のみ
+   * - リースを引き継がれたメイン処理は通知前に中断する
+   * - 通知要否の判定・記録は AlertStateService がトランザクションで行う
    */
   async monitorThunderClouds() {
-    console.log('🌩️ 入道雲監視開始（5分間隔）');
-    await this.thunderMonitoring.monitorThunderClouds();
-    console.log('✅ 入道雲監視完了');
+    console.log('🌩️ 入道雲監視（バックアップ）開始');
+    await this.runCoordinator.runBackup();
+    console.log('✅ 入道雲監視（バックアップ）完了');
   }
 }
 
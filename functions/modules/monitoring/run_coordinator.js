@@ -0,0 +1,240 @@
+// functions/modules/monitoring/run_coordinator.js
+const admin = require('firebase-admin');
+const { RUN_COORDINATOR_SETTINGS } = require('../../constants');
+
+/**
+ * 監視実行の調整クラス
+ *
+ * 5分ごとの実行枠（window）ごとに monitoring_runs/{windowId} のリースを取得し、
+ * 「キャッシュ更新 → 入道雲判定・通知」の順で1回だけ実行する
+ *
+ * 実行の役割:
+ * - primary: メインのスケジュール。実行枠の開始時に実行
+ * - backup: 冗長スケジュール。primary が未実行・失敗・リース切れの場合のみ実行
+ *
+ * リース:
+ * - 取得と判定はトランザクションで行い、同じ実行枠を同時に処理しない
+ * - ステップ実行中は HEARTBEAT_INTERVAL_MS ごとに延長し、実行中の primary のリースが切れて
+ *   backup に引き継がれないようにする
+ * - ステップ完了ごとにも延長し、自分の runId でない・延長を確認できない場合は処理を中断する
+ *   （リース切れで backup に引き継がれた primary が重複して通知しないため）
+ */
+class RunCoordinator {
+  constructor(weatherService, thunderMonitoring) {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(RUN_COORDINATOR_SETTINGS.RUN_COLLECTION);
+    this.weatherService = weatherService;
+    this.thunderMonitoring = thunderMonitoring;
+  }
+
+  /**
+   * 監視実行（メイン）
+   */
+  async runPrimary() {
+    return await this.run('primary');
+  }
+
+  /**
+   * 監視実行（バックアップ、メインの実行が失敗・未実行の場合のみ処理）
+   */
+  async runBackup() {
+    return await this.run('backup');
+  }
+
+  /**
+   * 現在の実行枠でリースを取得し、キャッシュ更新と入道雲判定・通知を実行
+   *
+   * @param {string} role - 'primary' / 'backup'
+   * @returns {Object} { executed, reason, windowId, status }
+   */
+  async run(role) {
+    const now = new Date();
+    const windowId = RunCoordinator.getWindowId(now);
+    const runId = `${role}_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`;
+
+    const decision = await this._acquireLease(windowId, role, runId, now);
+    if (!decision.acquire) {
+      console.log(`⏭️ 監視実行をスキップ (${role}, ${decision.reason}): ${windowId}`);
+      return { executed: false, reason: decision.reason, windowId, status: null };
+    }
+
+    console.log(`🔒 監視実行リース取得 (${role}, ${decision.reason}): ${windowId}`);
+    const steps = {};
+
+    // 1. キャッシュ更新（失敗しても判定は未キャッシュ地点を取得して続行できる）
+    steps.refreshCache = await this._runStep('refreshCache', windowId, runId, () =>
+      this.weatherService.cacheWeatherDataForActiveUsers()
+    );
+
+    if (!await this._updateRun(windowId, runId, { steps })) {
+      console.warn(`⚠️ リースが他の実行に移った・確認できないため通知前に中断 (${role}): ${windowId}`);
+      return { executed: false, reason: 'lease_lost', windowId, status: null };
+    }
+
+    // 2. 入道雲判定・通知
+    steps.evaluate = await this._runStep('evaluate', windowId, runId, () =>
+      this.thunderMonitoring.checkThunderClouds()
+    );
+
+    const status = steps.evaluate.status;
+    await this._updateRun(windowId, runId, {
+      status,
+      steps,
+      finishedAt: new Date(),
+      error: steps.evaluate.error,
+    });
+
+    console.log(`${status === 'succeeded' ? '✅' : '❌'} 監視実行終了 (${role}, ${status}): ${windowId}`);
+    return { executed: true, reason: decision.reason, windowId, status };
+  }
+
+  /**
+   * 時刻が属する実行枠のIDを取得（枠の開始時刻のISO文字列）
+   */
+  static getWindowId(now, windowMs = RUN_COORDINATOR_SETTINGS.WINDOW_MS) {
+    return new Date(Math.floor(now.getTime() / windowMs) * windowMs).toISOString();
+  }
+
+  /**
+   * 実行枠の状態からリースを取得すべきか判定
+   *
+   * 取得する条件:
+   * - 実行記録がない（backup の場合は primary の未実行）
+   * - 前回の実行が失敗した
+   * - 実行中だがリースが切れている（タイムアウト等で終了を記録できなかった）
+   */
+  static evaluateLease(runState, role, now) {
+    if (!runState) {
+      return { acquire: true, reason: role === 'primary' ? 'no_run' : 'primary_missing' };
+    }
+
+    if (runState.status === 'succeeded') {
+      return { acquire: false, reason: 'already_succeeded' };
+    }
+
+    if (runState.status === 'failed') {
+      return { acquire: true, reason: 'previous_run_failed' };
+    }
+
+    const leaseExpiresAt = runState.leaseExpiresAt?.toDate ?
+      runState.leaseExpiresAt.toDate() : new Date(runState.leaseExpiresAt);
+
+    if (isNaN(leaseExpiresAt.getTime()) || now.getTime() >= leaseExpiresAt.getTime()) {
+      return { acquire: true, reason: 'lease_expired' };
+    }
+
+    return { acquire: false, reason: 'lease_held' };
+  }
+
+  /**
+   * 実行枠のリースを取得
+   */
+  async _acquireLease(windowId, role, runId, now) {
+    const docRef = this.collection.doc(windowId);
+
+    try {
+      return await this.firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const runState = snapshot.exists ? snapshot.data() : null;
+        const decision = RunCoordinator.evaluateLease(runState, role, now);
+
+        if (decision.acquire) {
+          transaction.set(docRef, {
+            windowId,
+            runId,
+            role,
+            reason: decision.reason,
+            status: 'running',
+            startedAt: now,
+            leaseExpiresAt: new Date(now.getTime() + RUN_COORDINATOR_SETTINGS.LEASE_DURATION_MS),
+            finishedAt: null,
+            steps: {},
+            error: null,
+            attempts: (runState?.attempts || 0) + 1,
+          });
+        }
+
+        return decision;
+      });
+    } catch (error) {
+      console.error(`❌ 監視実行リース取得エラー: ${windowId}`, error);
+      return { acquire: false, reason: 'lease_error' };
+    }
+  }
+
+  /**
+   * 実行記録を更新し、リースを延長
+   *
+   * @returns {boolean} リースを保持している場合true（他の実行に移っている・更新に失敗した場合はfalse）
+   */
+  async _updateRun(windowId, runId, fields) {
+    const docRef = this.collection.doc(windowId);
+
+    try {
+      return await this.firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        if (!snapshot.exists || snapshot.data().runId !== runId) {
+          return false;
+        }
+
+        transaction.update(docRef, {
+          ...fields,
+          leaseExpiresAt: new Date(Date.now() + RUN_COORDINATOR_SETTINGS.LEASE_DURATION_MS),
+        });
+        return true;
+      });
+    } catch (error) {
+      // リースを延長できたか確認できないため、保持していないものとして扱う
+      console.error(`❌ 監視実行記録の更新エラー: ${windowId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * 1ステップを実行し、結果を記録用の形式で返す（実行中はリースを定期的に延長）
+   */
+  async _runStep(name, windowId, runId, task) {
+    const startedAt = new Date();
+    const stopHeartbeat = this._startHeartbeat(name, windowId, runId);
+
+    try {
+      await task();
+      return { status: 'succeeded', startedAt, finishedAt: new Date(), error: null };
+    } catch (error) {
+      console.error(`❌ 監視実行ステップ失敗 (${name}):`, error);
+      return { status: 'failed', startedAt, finishedAt: new Date(), error: error.message || String(error) };
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  /**
+   * HEARTBEAT_INTERVAL_MS ごとにリースを延長
+   *
+   * 前回の延長が終わっていない間は次の延長を行わない
+   *
+   * @returns {Function} 延長を停止する関数
+   */
+  _startHeartbeat(name, windowId, runId) {
+    let renewing = false;
+
+    const timer = setInterval(async () => {
+      if (renewing) {
+        return;
+      }
+
+      renewing = true;
+      try {
+        if (!await this._updateRun(windowId, runId, { heartbeatAt: new Date() })) {
+          console.warn(`⚠️ 実行中のリース延長に失敗 (${name}): ${windowId}`);
+        }
+      } finally {
+        renewing = false;
+      }
+    }, RUN_COORDINATOR_SETTINGS.HEARTBEAT_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = RunCoordinator;
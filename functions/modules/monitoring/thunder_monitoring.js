@@ -1,21 +1,33 @@
 // functions/modules/monitoring/thunder_monitoring.js
 const admin = require('firebase-admin');
 const NotificationService = require('../notification/notification_service');
-const { calculateDirectionCoordinates } = require('../../coordinate_utils');
-const { WEATHER_CONSTANTS, HelperFunctions } = require('../../constants');
+const AlertStateService = require('../notification/alert_state_service');
+const NotificationPreferences = require('../notification/notification_preferences');
+const AnalysisProfileService = require('../analysis/analysis_profile_service');
+const { buildSamplingPoints, getSamplingLayout } = require('../../coordinate_utils');
+const { USER_MONITORING, BATCH_SETTINGS, CACHE_FRESHNESS, HelperFunctions } = require('../../constants');
+const { isNightModeAt } = require('../../solar_utils');
 const ThunderCloudAnalyzer = require('../../thunder_cloud_analyzer');
 const WeatherAPI = require('../weather/weather_api');
+const WeatherCache = require('../weather/weather_cache');
+const PointWeatherLoader = require('../weather/point_weather_loader');
+const BatchProcessor = require('../utils/batch_processor');
 
 class ThunderMonitoring {
   constructor() {
     this.firestore = admin.firestore();
     this.notificationService = new NotificationService();
-    this.CHECK_DIRECTIONS = WEATHER_CONSTANTS.CHECK_DIRECTIONS;
-    this.CHECK_DISTANCES = WEATHER_CONSTANTS.CHECK_DISTANCES;
+    this.alertStateService = new AlertStateService();
+    this.profileService = new AnalysisProfileService();
+    this.weatherCache = new WeatherCache();
+    this.pointLoader = new PointWeatherLoader();
+    this.samplingLayout = getSamplingLayout();
   }
 
   /**
    * 入道雲チェック（キャッシュデータ活用版）
+   *
+   * 実行の順序・重複防止は RunCoordinator が管理する
    */
   async checkThunderClouds() {
     // アクティブユーザーを取得
@@ -31,41 +43,7 @@ class ThunderMonitoring {
     for (const userDoc of usersSnapshot.docs) {
       const userData = userDoc.data();
       if (userData.lastUpdated) {
-        users.push(userData);
-      }
-    }
-
-    // lastUpdatedで降順ソート
-    users.sort((a, b) => {
-      const aTime = a.lastUpdated?.toDate?.() || new Date(0);
-      const bTime = b.lastUpdated?.toDate?.() || new Date(0);
-      return bTime.getTime() - aTime.getTime();
-    });
-
-    console.log(`📊 処理対象ユーザー数: ${users.length}`);
-
-    // キャッシュされた気象データを活用して入道雲チェック
-    await this._checkThunderCloudsWithCache(users);
-  }
-
-  /**
-   * 入道雲監視（5分間隔）
-   */
-  async monitorThunderClouds() {
-    // アクティブユーザーを取得
-    const usersSnapshot = await this.firestore
-      .collection('users')
-      .where('isActive', '==', true)
-      .get();
-
-    console.log(`👥 アクティブユーザー数: ${usersSnapshot.size}`);
-
-    // ユーザーデータを収集
-    const users = [];
-    for (const userDoc of usersSnapshot.docs) {
-      const userData = userDoc.data();
-      if (userData.lastUpdated) {
-        users.push(userData);
+        users.push({ id: userDoc.id, ...userData });
       }
     }
 
@@ -94,7 +72,7 @@ class ThunderMonitoring {
       const lastUpdated = user.lastUpdated?.toDate?.() || new Date(0);
 
       // 24時間以内に位置更新があったユーザーのみ監視
-      if (lastUpdated && (now.getTime() - lastUpdated.getTime()) < 24 * 60 * 60 * 1000) {
+      if (lastUpdated && (now.getTime() - lastUpdated.getTime()) < USER_MONITORING.ACTIVE_USER_DURATION_MS) {
         activeUsers.push(user);
       }
     }
@@ -106,105 +84,206 @@ class ThunderMonitoring {
 
     console.log(`📊 入道雲チェック対象ユーザー数: ${activeUsers.length}`);
 
-    // 各ユーザーの入道雲状況をチェック
+    // 各ユーザーの通知設定を確認し、監視対象の地点を決定
+    const targets = [];
+    const profiles = await this.profileService.getProfiles();
     for (const user of activeUsers) {
       try {
-        await this._checkUserThunderCloudWithCache(user);
+        const preferences = NotificationPreferences.fromUserData(user);
+        const userLabel = HelperFunctions.formatTokenForLog(user.id || user.fcmToken);
+
+        // ユーザー位置の日の出・日の入りに基づく夜間モード
+        if (isNightModeAt(user.latitude, user.longitude, now)) {
+          console.log(`🌙 夜間モードのためスキップ: ${userLabel}`);
+          continue;
+        }
+
+        if (preferences.errors.length > 0) {
+          console.warn(`⚠️ 通知設定の不正な値を無視: ${userLabel}`, preferences.errors);
+        }
+
+        if (preferences.isMuted(now)) {
+          console.log(`🔇 通知停止中のためスキップ: ${userLabel}`);
+          continue;
+        }
+
+        const localHour = HelperFunctions.getLocalHour(now, HelperFunctions.resolveUtcOffsetMinutes(user));
+        if (preferences.isQuietHour(localHour)) {
+          console.log(`🔕 通知しない時間帯のためスキップ: ${userLabel}`);
+          continue;
+        }
+
+        const samplingPoints = buildSamplingPoints(user.latitude, user.longitude, this.samplingLayout)
+          .filter(point => preferences.acceptsPoint(point))
+          .map(point => ({ ...point, cacheKey: WeatherCache.pointKey(point.latitude, point.longitude) }));
+
+        // ユーザー指定または位置の地域に適用される分析プロファイル
+        const profile = AnalysisProfileService.selectProfile(profiles, AnalysisProfileService.targetForUser(user));
+
+        targets.push({ user, preferences, samplingPoints, profile });
+      } catch (userError) {
+        console.error(`❌ ユーザー処理エラー: ${user.fcmToken?.substring(0, 10)}...`, userError);
+      }
+    }
+
+    // 全ユーザー分の地点の気象データをまとめて読み込み
+    const weatherDataMap = await this._loadWeatherDataForPoints(
+      targets.flatMap(target => target.samplingPoints)
+    );
+
+    // 各ユーザーの入道雲状況をチェック
+    for (const { user, preferences, samplingPoints, profile } of targets) {
+      try {
+        await this._checkUserThunderCloudWithCache(user, preferences, samplingPoints, weatherDataMap, profile);
       } catch (userError) {
         console.error(`❌ ユーザー処理エラー: ${user.fcmToken?.substring(0, 10)}...`, userError);
       }
     }
+
+    // キューに溜まった警報をまとめて送信
+    await this._dispatchQueuedAlerts();
+
+    // 送信結果カウンターを日別統計に反映
+    await this.notificationService.flushCounters();
+
+    // キャッシュの利用統計を反映
+    await this.weatherCache.flushStats();
+  }
+
+  /**
+   * 監視対象地点の気象データをまとめて読み込み
+   *
+   * @param {Array<Object>} points - サンプリング地点（cacheKey 付き）
+   * @returns {Map<string, Object>} キャッシュキー → 気象データ
+   *
+   * 処理方式（PointWeatherLoader）:
+   * 1. 重複を除いた地点キャッシュを getMany でまとめて読み込み（stale まで）
+   * 2. fresh なキャッシュがない地点のみバッチAPIでまとめて取得（他の処理が取得中の地点はその結果を共有）
+   * 3. 取得したデータは次回以降のためにキャッシュへ保存
+   * - 取得に失敗した地点は stale なキャッシュがあればそれを使い、なければマップに含めず判定対象外とする
+   */
+  async _loadWeatherDataForPoints(points) {
+    return await this.pointLoader.load(points, {
+      accept: CACHE_FRESHNESS.STALE,
+      fetch: missingPoints => this._fetchPointsInChunks(missingPoints),
+    });
+  }
+
+  /**
+   * 地点を BATCH_SIZE ずつバッチAPIで取得（地点ごとの個別取得は行わない）
+   *
+   * @returns {Array<Object|null>} points と同じ順の気象データ（取得に失敗したチャンクの地点は null）
+   */
+  async _fetchPointsInChunks(points) {
+    const results = [];
+
+    for (const chunk of BatchProcessor.chunkArray(points, BATCH_SETTINGS.BATCH_SIZE)) {
+      try {
+        results.push(...await WeatherAPI.fetchBatchLocations(chunk));
+      } catch (error) {
+        console.error(`❌ 未キャッシュ地点のバッチ取得エラー: ${chunk.length}地点`, error);
+        results.push(...chunk.map(() => null));
+      }
+    }
+
+    return results;
   }
 
   /**
    * キャッシュを活用した個別ユーザーの入道雲チェック
+   *
+   * @param {Object} user - ユーザーデータ
+   * @param {NotificationPreferences} preferences - 通知設定（最低リスクレベル）
+   * @param {Array<Object>} samplingPoints - 通知対象のサンプリング地点（cacheKey 付き、近い順）
+   * @param {Map<string, Object>} weatherDataMap - _loadWeatherDataForPoints の結果
+   * @param {Object} profile - ユーザーに適用する分析プロファイル
    */
-  async _checkUserThunderCloudWithCache(user) {
+  async _checkUserThunderCloudWithCache(user, preferences, samplingPoints, weatherDataMap, profile) {
     const thunderCloudDirections = [];
-    const now = new Date();
+    const explanations = {};
+    let maxScore = 0;
+    let insufficientCount = 0;
+
+    for (const direction of this.samplingLayout.directions) {
+      // 近い距離から順にチェック
+      for (const point of samplingPoints.filter(samplingPoint => samplingPoint.direction === direction)) {
+        const weatherData = weatherDataMap.get(point.cacheKey);
+        if (!weatherData) {
+          continue;
+        }
+
+        const result = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData, profile);
 
-    for (const direction of this.CHECK_DIRECTIONS) {
-      let thunderCloudExists = false;
-
-      for (const distance of this.CHECK_DISTANCES) {
-        // キャッシュから気象データを取得
-        const coordinates = calculateDirectionCoordinates(
-          direction, user.latitude, user.longitude, distance
-        );
-
-        const cacheKey = HelperFunctions.generateCacheKey(coordinates.latitude, coordinates.longitude);
-
-        try {
-          const cacheDoc = await this.firestore.collection('weather_cache').doc(cacheKey).get();
-
-          if (cacheDoc.exists) {
-            const cachedData = cacheDoc.data();
-            const cacheTime = cachedData.timestamp.toDate();
-
-            // キャッシュが5分以内の場合は使用
-            if (now.getTime() - cacheTime.getTime() < 5 * 60 * 1000) {
-              const weatherData = cachedData.data;
-
-              if (weatherData) {
-                const result = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData);
-                if (result.isThunderCloudLikely) {
-                  thunderCloudExists = true;
-                  break;
-                }
-              }
-            }
-          }
-
-          // キャッシュがない場合は個別API呼び出し（フォールバック）
-          if (!thunderCloudExists) {
-            const isThunderCloud = await this._checkThunderCloudCondition(
-              coordinates.latitude, coordinates.longitude
-            );
-            if (isThunderCloud) {
-              thunderCloudExists = true;
-              break;
-            }
-          }
-        } catch (error) {
-          console.error(`❌ キャッシュチェックエラー (${cacheKey}):`, error);
-
-          // エラー時は個別API呼び出し（フォールバック）
-          const isThunderCloud = await this._checkThunderCloudCondition(
-            coordinates.latitude, coordinates.longitude
-          );
-          if (isThunderCloud) {
-            thunderCloudExists = true;
-            break;
-          }
+        // データ不足の地点は通知の根拠にしない（「入道雲なし」ともみなさない）
+        if (result.riskLevel === null) {
+          insufficientCount++;
+          continue;
         }
-      }
 
-      if (thunderCloudExists) {
-        thunderCloudDirections.push(direction);
+        if (preferences.acceptsRisk(result.riskLevel)) {
+          thunderCloudDirections.push(direction);
+          maxScore = Math.max(maxScore, result.totalScore);
+          explanations[direction] = {
+            distance: point.distance,
+            totalScore: result.totalScore,
+            riskLevel: result.riskLevel,
+            classification: result.classification,
+            profileId: result.profileId,
+            profileVersion: result.profileVersion,
+            ...result.explanation
+          };
+          break;
+        }
       }
     }
 
+    if (insufficientCount > 0) {
+      console.warn(
+        `⚠️ データ不足で判定できない地点: ${insufficientCount}地点 (${HelperFunctions.formatTokenForLog(user.id || user.fcmToken)})`
+      );
+    }
+
     if (thunderCloudDirections.length > 0) {
-      await this.notificationService.sendThunderCloudAlert(user.fcmToken, thunderCloudDirections);
+      await this._queueAlertIfNeeded(user, thunderCloudDirections, maxScore, explanations);
     }
   }
 
   /**
-   * 個別の入道雲状態チェック（フォールバック用）
+   * 通知状態を確認し、必要な場合のみ入道雲警報を送信キューに追加
+   *
+   * 判定と記録は AlertStateService のトランザクションで行うため、
+   * 同時に実行された別スケジュールと重複して送信することはない
+   * 実際の送信は実行の最後に _dispatchQueuedAlerts でまとめて行う
+   * 方向別の判定根拠（explanations）は通知状態と一緒に保存し、問い合わせ時に参照できるようにする
    */
-  async _checkThunderCloudCondition(lat, lon) {
-    try {
-      const weatherData = await WeatherAPI.fetchSingleLocation(lat, lon);
-      if (!weatherData) {
-        return false;
-      }
+  async _queueAlertIfNeeded(user, directions, score, explanations = {}) {
+    const userId = user.id || user.fcmToken;
+    const claim = await this.alertStateService.claimAlert(userId, directions, score, explanations);
 
-      const result = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData);
-      return result.isThunderCloudLikely;
-    } catch (error) {
-      console.error('❌ 気象データ取得エラー:', error);
+    if (!claim.shouldNotify) {
+      console.log(`🔕 通知抑制 (${claim.reason}): ${HelperFunctions.formatTokenForLog(userId)}`);
       return false;
     }
+
+    const queued = this.notificationService.queueThunderCloudAlert(
+      user.fcmToken, directions, userId, { previousState: claim.previousState }
+    );
+    if (!queued) {
+      await this.alertStateService.releaseAlert(userId, claim.previousState);
+    }
+    return queued;
+  }
+
+  /**
+   * キューの警報を一括送信し、送信に失敗したユーザーの通知状態を戻す
+   */
+  async _dispatchQueuedAlerts() {
+    const results = await this.notificationService.dispatchQueuedAlerts();
+
+    // 送信失敗時は次回の実行で再送できるよう状態を戻す
+    for (const result of results.filter(result => !result.sent)) {
+      await this.alertStateService.releaseAlert(result.userId, result.metadata.previousState);
+    }
   }
 }
 
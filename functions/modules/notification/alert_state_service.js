@@ -0,0 +1,110 @@
+// functions/modules/notification/alert_state_service.js
+const admin = require('firebase-admin');
+const { ALERT_SETTINGS, HelperFunctions } = require('../../constants');
+
+/**
+ * ユーザー別の通知状態を管理するクラス
+ *
+ * 最後に通知した方向・時刻・スコアと判定根拠を alert_states コレクションに保存し、
+ * クールダウン期間内の同一内容の再通知を抑制する
+ * 判定と記録はトランザクションで行うため、複数のスケジュールが同時に
+ * 実行されても同じ内容の通知は一度しか送信されない
+ */
+class AlertStateService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(ALERT_SETTINGS.STATE_COLLECTION);
+  }
+
+  /**
+   * 通知すべきか判定し、通知する場合は状態を記録する
+   *
+   * @param {string} userId - ユーザードキュメントID
+   * @param {Array<string>} directions - 入道雲を検知した方向
+   * @param {number} score - 検知地点の最大スコア
+   * @param {Object} explanations - 方向別の判定根拠（ThunderCloudAnalyzer の explanation）
+   * @returns {Object} { shouldNotify, reason, previousState }
+   */
+  async claimAlert(userId, directions, score, explanations = {}) {
+    const docRef = this.collection.doc(userId);
+
+    try {
+      return await this.firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const previousState = snapshot.exists ? snapshot.data() : null;
+        const decision = AlertStateService.evaluate(previousState, directions, score, new Date());
+
+        if (decision.shouldNotify) {
+          transaction.set(docRef, {
+            lastDirections: directions,
+            lastScore: score,
+            lastAlertedAt: new Date(),
+            lastExplanations: explanations,
+            reason: decision.reason,
+          });
+        }
+
+        return { ...decision, previousState };
+      });
+    } catch (error) {
+      console.error(`❌ 通知状態の更新エラー: ${HelperFunctions.formatTokenForLog(userId)}`, error);
+      return { shouldNotify: false, reason: 'state_error', previousState: null };
+    }
+  }
+
+  /**
+   * 通知送信に失敗した場合に状態を元に戻す
+   *
+   * @param {string} userId - ユーザードキュメントID
+   * @param {Object|null} previousState - claimAlert 実行前の状態
+   */
+  async releaseAlert(userId, previousState) {
+    const docRef = this.collection.doc(userId);
+
+    try {
+      if (previousState) {
+        await docRef.set(previousState);
+      } else {
+        await docRef.delete();
+      }
+    } catch (error) {
+      console.error(`❌ 通知状態の復元エラー: ${HelperFunctions.formatTokenForLog(userId)}`, error);
+    }
+  }
+
+  /**
+   * 前回の通知状態と今回の検知結果から通知要否を判定
+   *
+   * 通知する条件:
+   * - 通知履歴がない
+   * - クールダウン期間が経過している
+   * - 前回通知していない方向で新たに検知された
+   * - スコアが前回から一定以上上昇した
+   */
+  static evaluate(previousState, directions, score, now, cooldownMs = ALERT_SETTINGS.COOLDOWN_MS) {
+    if (!previousState || !previousState.lastAlertedAt) {
+      return { shouldNotify: true, reason: 'first_alert' };
+    }
+
+    const lastAlertedAt = previousState.lastAlertedAt.toDate ?
+      previousState.lastAlertedAt.toDate() : new Date(previousState.lastAlertedAt);
+
+    if (now.getTime() - lastAlertedAt.getTime() >= cooldownMs) {
+      return { shouldNotify: true, reason: 'cooldown_expired' };
+    }
+
+    const lastDirections = previousState.lastDirections || [];
+    if (directions.some(direction => !lastDirections.includes(direction))) {
+      return { shouldNotify: true, reason: 'new_direction' };
+    }
+
+    const lastScore = previousState.lastScore || 0;
+    if (score - lastScore >= ALERT_SETTINGS.SCORE_ESCALATION_DELTA) {
+      return { shouldNotify: true, reason: 'risk_escalated' };
+    }
+
+    return { shouldNotify: false, reason: 'cooldown' };
+  }
+}
+
+module.exports = AlertStateService;
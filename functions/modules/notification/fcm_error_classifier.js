@@ -0,0 +1,66 @@
+// functions/modules/notification/fcm_error_classifier.js
+
+/**
+ * FCM送信エラーの分類
+ *
+ * - unregistered: トークンが登録解除済み（アプリ削除・トークン更新）→ トークンを無効化
+ * - invalid_token: トークン形式不正 → トークンを無効化
+ * - invalid_argument: メッセージ内容の不正（サイズ超過・data の値が文字列でない等）→ 再試行しない
+ *   （メッセージ側の問題で全員に同じエラーが返るため、トークンは無効化しない）
+ * - quota: 送信レート超過 → バックオフして再試行
+ * - unavailable: FCMサーバー側の一時的な障害 → バックオフして再試行
+ * - other: 認証エラー等の分類外 → 再試行しない
+ */
+const FCM_ERROR_TYPES = {
+  UNREGISTERED: 'unregistered',
+  INVALID_TOKEN: 'invalid_token',
+  INVALID_ARGUMENT: 'invalid_argument',
+  QUOTA: 'quota',
+  UNAVAILABLE: 'unavailable',
+  OTHER: 'other',
+};
+
+const ERROR_CODE_TYPES = {
+  'messaging/registration-token-not-registered': FCM_ERROR_TYPES.UNREGISTERED,
+  'messaging/invalid-registration-token': FCM_ERROR_TYPES.INVALID_TOKEN,
+  'messaging/invalid-argument': FCM_ERROR_TYPES.INVALID_ARGUMENT,
+  'messaging/invalid-recipient': FCM_ERROR_TYPES.INVALID_ARGUMENT,
+  'messaging/message-rate-exceeded': FCM_ERROR_TYPES.QUOTA,
+  'messaging/device-message-rate-exceeded': FCM_ERROR_TYPES.QUOTA,
+  'messaging/quota-exceeded': FCM_ERROR_TYPES.QUOTA,
+  'messaging/server-unavailable': FCM_ERROR_TYPES.UNAVAILABLE,
+  'messaging/unavailable': FCM_ERROR_TYPES.UNAVAILABLE,
+  'messaging/internal-error': FCM_ERROR_TYPES.UNAVAILABLE,
+};
+
+/**
+ * FCMエラーを分類
+ *
+ * @param {Error} error - firebase-admin messaging のエラー
+ * @returns {string} FCM_ERROR_TYPES のいずれか
+ */
+function classifyFcmError(error) {
+  const code = error && (error.code || (error.errorInfo && error.errorInfo.code));
+  return ERROR_CODE_TYPES[code] || FCM_ERROR_TYPES.OTHER;
+}
+
+/**
+ * 再試行すべきエラー種別か
+ */
+function isRetryableFcmError(errorType) {
+  return errorType === FCM_ERROR_TYPES.QUOTA || errorType === FCM_ERROR_TYPES.UNAVAILABLE;
+}
+
+/**
+ * トークンが今後も使用できないエラー種別か
+ */
+function isDeadTokenFcmError(errorType) {
+  return errorType === FCM_ERROR_TYPES.UNREGISTERED || errorType === FCM_ERROR_TYPES.INVALID_TOKEN;
+}
+
+module.exports = {
+  FCM_ERROR_TYPES,
+  classifyFcmError,
+  isRetryableFcmError,
+  isDeadTokenFcmError
+};
@@ -0,0 +1,169 @@
+// functions/modules/notification/notification_preferences.js
+const { NOTIFICATION_PREFERENCES, WEATHER_CONSTANTS } = require('../../constants');
+
+/**
+ * ユーザー別通知設定クラス
+ *
+ * users ドキュメントの notificationPreferences フィールドを検証し、
+ * 監視処理で使用する判定メソッドを提供する
+ * 不正な値は無視してデフォルト値を使用し、その内容を errors に記録する
+ *
+ * フィールド:
+ * - quietHours: { startHour, endHour } 通知しない時間帯（ユーザー現地時刻の0〜23、日付またぎ可）
+ * - minRiskLevel: 通知する最低リスクレベル（'極めて低い' / '低い' / '中程度' / '高い'）
+ * - watchedDirections: 通知対象の方向（例: ['north', 'east']、未指定時は全方向）
+ * - maxDistanceKm: 通知対象とする最大距離（km、未指定時は制限なし）
+ * - mutedUntil: この時刻まで通知を停止（Timestamp）
+ */
+class NotificationPreferences {
+  constructor(preferences, errors = []) {
+    this.quietHours = preferences.quietHours;
+    this.minRiskLevel = preferences.minRiskLevel;
+    this.watchedDirections = preferences.watchedDirections;
+    this.maxDistanceKm = preferences.maxDistanceKm;
+    this.mutedUntil = preferences.mutedUntil;
+    this.errors = errors;
+  }
+
+  /**
+   * ユーザードキュメントのデータから通知設定を生成
+   *
+   * @param {Object} userData - users ドキュメントのデータ
+   * @returns {NotificationPreferences} 検証済みの通知設定
+   */
+  static fromUserData(userData) {
+    const { preferences, errors } = this.validate(userData[NOTIFICATION_PREFERENCES.FIELD]);
+    return new NotificationPreferences(preferences, errors);
+  }
+
+  /**
+   * 通知設定の生データを検証
+   *
+   * @param {Object|undefined} raw - notificationPreferences フィールドの値
+   * @returns {Object} { preferences, errors }
+   */
+  static validate(raw) {
+    const errors = [];
+    const preferences = {
+      quietHours: null,
+      minRiskLevel: NOTIFICATION_PREFERENCES.DEFAULT_MIN_RISK_LEVEL,
+      watchedDirections: null,
+      maxDistanceKm: null,
+      mutedUntil: null,
+    };
+
+    if (raw === undefined || raw === null) {
+      return { preferences, errors };
+    }
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push('notificationPreferences must be an object');
+      return { preferences, errors };
+    }
+
+    if (raw.quietHours !== undefined && raw.quietHours !== null) {
+      const { startHour, endHour } = raw.quietHours;
+      if (this._isValidHour(startHour) && this._isValidHour(endHour) && startHour !== endHour) {
+        preferences.quietHours = { startHour, endHour };
+      } else {
+        errors.push('quietHours must have different integer startHour and endHour between 0 and 23');
+      }
+    }
+
+    if (raw.minRiskLevel !== undefined && raw.minRiskLevel !== null) {
+      if (NOTIFICATION_PREFERENCES.RISK_LEVELS.includes(raw.minRiskLevel)) {
+        preferences.minRiskLevel = raw.minRiskLevel;
+      } else {
+        errors.push(`minRiskLevel must be one of: ${NOTIFICATION_PREFERENCES.RISK_LEVELS.join(', ')}`);
+      }
+    }
+
+    if (raw.watchedDirections !== undefined && raw.watchedDirections !== null) {
+      const knownDirections = Object.keys(WEATHER_CONSTANTS.DIRECTION_BEARINGS);
+      if (Array.isArray(raw.watchedDirections) &&
+          raw.watchedDirections.length > 0 &&
+          raw.watchedDirections.every(direction => knownDirections.includes(direction))) {
+        preferences.watchedDirections = raw.watchedDirections;
+      } else {
+        errors.push('watchedDirections must be a non-empty array of known directions');
+      }
+    }
+
+    if (raw.maxDistanceKm !== undefined && raw.maxDistanceKm !== null) {
+      if (typeof raw.maxDistanceKm === 'number' &&
+          raw.maxDistanceKm > 0 &&
+          raw.maxDistanceKm <= NOTIFICATION_PREFERENCES.MAX_DISTANCE_LIMIT_KM) {
+        preferences.maxDistanceKm = raw.maxDistanceKm;
+      } else {
+        errors.push(`maxDistanceKm must be a number between 0 and ${NOTIFICATION_PREFERENCES.MAX_DISTANCE_LIMIT_KM}`);
+      }
+    }
+
+    if (raw.mutedUntil !== undefined && raw.mutedUntil !== null) {
+      const mutedUntil = raw.mutedUntil.toDate ? raw.mutedUntil.toDate() : new Date(raw.mutedUntil);
+      if (!isNaN(mutedUntil.getTime())) {
+        preferences.mutedUntil = mutedUntil;
+      } else {
+        errors.push('mutedUntil must be a timestamp');
+      }
+    }
+
+    return { preferences, errors };
+  }
+
+  /**
+   * 通知停止中かどうか
+   */
+  isMuted(now = new Date()) {
+    return this.mutedUntil !== null && now.getTime() < this.mutedUntil.getTime();
+  }
+
+  /**
+   * 通知しない時間帯かどうか
+   *
+   * @param {number} currentHour - ユーザーの現地時刻の時（0〜23）
+   */
+  isQuietHour(currentHour) {
+    if (!this.quietHours) {
+      return false;
+    }
+
+    const { startHour, endHour } = this.quietHours;
+    if (startHour < endHour) {
+      return currentHour >= startHour && currentHour < endHour;
+    }
+    // 日付をまたぐ時間帯（例: 22時〜7時）
+    return currentHour >= startHour || currentHour < endHour;
+  }
+
+  /**
+   * サンプリング地点が通知対象か（方向・距離）
+   *
+   * @param {Object} point - { direction, distance }
+   */
+  acceptsPoint(point) {
+    if (this.watchedDirections && !this.watchedDirections.includes(point.direction)) {
+      return false;
+    }
+    if (this.maxDistanceKm !== null && point.distance > this.maxDistanceKm) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 分析結果のリスクレベルが通知対象か
+   *
+   * @param {string} riskLevel - ThunderCloudAnalyzer の riskLevel
+   */
+  acceptsRisk(riskLevel) {
+    const levels = NOTIFICATION_PREFERENCES.RISK_LEVELS;
+    return levels.indexOf(riskLevel) >= levels.indexOf(this.minRiskLevel);
+  }
+
+  static _isValidHour(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+  }
+}
+
+module.exports = NotificationPreferences;
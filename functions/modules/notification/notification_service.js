@@ -1,20 +1,183 @@
 // functions/modules/notification/notification_service.js
 const admin = require('firebase-admin');
+const BatchProcessor = require('../utils/batch_processor');
+const { WEATHER_CONSTANTS, NOTIFICATION_SETTINGS, HelperFunctions } = require('../../constants');
+const {
+  FCM_ERROR_TYPES,
+  classifyFcmError,
+  isRetryableFcmError,
+  isDeadTokenFcmError
+} = require('./fcm_error_classifier');
 
 class NotificationService {
   constructor() {
     this.messaging = admin.messaging();
+    this.firestore = admin.firestore();
+    this.counters = NotificationService._createEmptyCounters();
+    this.queue = [];
   }
 
   /**
    * 入道雲警報を送信
+   *
+   * @param {string} fcmToken - 送信先FCMトークン
+   * @param {Array<string>} directions - 入道雲を検知した方向
+   * @param {string} userId - ユーザードキュメントID（無効トークンの無効化に使用、省略時はトークン）
+   * @returns {boolean} 送信に成功した場合true
+   *
+   * エラー処理:
+   * - 一時的なエラー（quota / unavailable）はバックオフして再試行
+   * - 無効なトークン（unregistered / invalid_token）はユーザーを非アクティブ化
+   * - メッセージ内容の不正（invalid_argument）は送信失敗として記録し、トークンは無効化しない
    */
-  async sendThunderCloudAlert(fcmToken, directions) {
-    const message = {
+  async sendThunderCloudAlert(fcmToken, directions, userId = fcmToken) {
+    if (!fcmToken) {
+      console.warn(`⚠️ FCMトークンがないため通知をスキップ: ${HelperFunctions.formatTokenForLog(userId)}`);
+      this.counters.skipped++;
+      return false;
+    }
+
+    const message = this._buildThunderCloudMessage(fcmToken, directions);
+    const sent = await this._sendWithRetry(message, userId);
+    if (sent) {
+      console.log(`✅ 通知送信成功: ${message.data.directions}`);
+    }
+    return sent;
+  }
+
+  /**
+   * 入道雲警報を送信キューに追加（dispatchQueuedAlerts でまとめて送信）
+   *
+   * @param {string} fcmToken - 送信先FCMトークン
+   * @param {Array<string>} directions - 入道雲を検知した方向
+   * @param {string} userId - ユーザードキュメントID
+   * @param {Object} metadata - 送信結果と一緒に返す任意の情報
+   * @returns {boolean} キューに追加した場合true（トークンがない場合false）
+   */
+  queueThunderCloudAlert(fcmToken, directions, userId = fcmToken, metadata = {}) {
+    if (!fcmToken) {
+      console.warn(`⚠️ FCMトークンがないため通知をスキップ: ${HelperFunctions.formatTokenForLog(userId)}`);
+      this.counters.skipped++;
+      return false;
+    }
+
+    this.queue.push({
+      userId,
+      message: this._buildThunderCloudMessage(fcmToken, directions),
+      metadata,
+    });
+    return true;
+  }
+
+  /**
+   * キューに溜まった警報を sendEach でまとめて送信
+   *
+   * @returns {Array<Object>} 送信結果 [{ userId, sent, errorType, metadata }, ...]
+   *
+   * 処理方式:
+   * - SEND_BATCH_SIZE（500件）ごとに sendEach を呼び出し
+   * - レスポンスはメッセージと同じ順序のため、インデックスでユーザーに対応付け
+   * - 一時的なエラーの分のみバックオフして再送
+   * - 無効なトークンのユーザーはまとめて非アクティブ化
+   */
+  async dispatchQueuedAlerts() {
+    const entries = this.queue;
+    this.queue = [];
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const chunks = BatchProcessor.chunkArray(entries, NOTIFICATION_SETTINGS.SEND_BATCH_SIZE);
+    console.log(`📨 通知一括送信: ${entries.length}件を${chunks.length}回に分けて送信`);
+
+    const results = [];
+    for (const chunk of chunks) {
+      results.push(...await this._sendEachWithRetry(chunk));
+    }
+
+    const deadEntries = results.filter(result => !result.sent && isDeadTokenFcmError(result.errorType));
+    if (deadEntries.length > 0) {
+      await this.deactivateTokens(deadEntries.map(entry => ({ userId: entry.userId, reason: entry.errorType })));
+    }
+
+    const sentCount = results.filter(result => result.sent).length;
+    console.log(`✅ 通知一括送信完了: 成功${sentCount}件、失敗${results.length - sentCount}件`);
+    return results;
+  }
+
+  /**
+   * 1チャンク分を sendEach で送信し、一時的なエラーの分のみ再送
+   */
+  async _sendEachWithRetry(entries) {
+    const results = [];
+    let pending = entries;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const canRetry = attempt < NOTIFICATION_SETTINGS.MAX_RETRIES;
+      const retryEntries = [];
+      let responses;
+
+      try {
+        const batchResponse = await this.messaging.sendEach(pending.map(entry => entry.message));
+        responses = batchResponse.responses;
+      } catch (error) {
+        // リクエスト全体の失敗は全メッセージに同じエラーを適用
+        console.error(`❌ 通知一括送信エラー: ${pending.length}件`, error);
+        responses = pending.map(() => ({ success: false, error }));
+      }
+
+      responses.forEach((response, index) => {
+        const entry = pending[index];
+
+        if (response.success) {
+          this.counters.sent++;
+          results.push({ userId: entry.userId, sent: true, errorType: null, metadata: entry.metadata });
+          return;
+        }
+
+        const errorType = classifyFcmError(response.error);
+        this.counters.errors[errorType]++;
+
+        if (isRetryableFcmError(errorType) && canRetry) {
+          retryEntries.push(entry);
+          return;
+        }
+
+        this.counters.failed++;
+        if (errorType === FCM_ERROR_TYPES.INVALID_ARGUMENT) {
+          console.error(`❌ 通知送信失敗 (${errorType}): ${HelperFunctions.formatTokenForLog(entry.userId)}`,
+            response.error);
+        }
+        results.push({ userId: entry.userId, sent: false, errorType, metadata: entry.metadata });
+      });
+
+      if (retryEntries.length > 0) {
+        const backoffMs = this._getBackoffMs(attempt);
+        this.counters.retried += retryEntries.length;
+        console.warn(`⚠️ 通知一括送信の一時的なエラー: ${retryEntries.length}件を${backoffMs}ms後に再送 ` +
+          `(${attempt + 1}/${NOTIFICATION_SETTINGS.MAX_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, backoffMs));
+      }
+      pending = retryEntries;
+    }
+
+    return results;
+  }
+
+  /**
+   * 入道雲警報のFCMメッセージを作成
+   */
+  _buildThunderCloudMessage(fcmToken, directions) {
+    const directionText = directions
+      .map(direction => WEATHER_CONSTANTS.DIRECTION_LABELS[direction] || direction)
+      .join('、');
+
+    return {
       token: fcmToken,
       notification: {
         title: '⛈️ 入道雲警報',
-        body: `${directions.join('、')}方向に入道雲が発生しています！`,
+        body: `${directionText}方向に入道雲が発生しています！`,
       },
       data: {
         type: 'thunder_cloud',
@@ -37,22 +200,173 @@ class NotificationService {
             badge: 1,
             alert: {
               title: '⛈️ 入道雲警報',
-              body: `${directions.join('、')}方向に入道雲が発生しています！`,
+              body: `${directionText}方向に入道雲が発生しています！`,
             },
           },
         },
       },
     };
+  }
+
+  /**
+   * 一時的なエラー時に指数バックオフで再試行しながら送信
+   */
+  async _sendWithRetry(message, userId) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.messaging.send(message);
+        this.counters.sent++;
+        return true;
+      } catch (error) {
+        const errorType = classifyFcmError(error);
+        this.counters.errors[errorType]++;
+
+        if (isRetryableFcmError(errorType) && attempt < NOTIFICATION_SETTINGS.MAX_RETRIES) {
+          const backoffMs = this._getBackoffMs(attempt);
+          this.counters.retried++;
+          console.warn(`⚠️ 通知送信の一時的なエラー (${errorType}): ${backoffMs}ms後に再試行 ` +
+            `(${attempt + 1}/${NOTIFICATION_SETTINGS.MAX_RETRIES})`);
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+
+        this.counters.failed++;
+        console.error(`❌ 通知送信失敗 (${errorType}): ${HelperFunctions.formatTokenForLog(userId)}`, error);
 
+        if (isDeadTokenFcmError(errorType)) {
+          await this.deactivateToken(userId, errorType);
+        }
+        return false;
+      }
+    }
+  }
+
+  /**
+   * 再試行までの待機時間（指数バックオフ + ジッター）
+   */
+  _getBackoffMs(attempt) {
+    const baseMs = Math.min(
+      NOTIFICATION_SETTINGS.INITIAL_BACKOFF_MS * Math.pow(2, attempt),
+      NOTIFICATION_SETTINGS.MAX_BACKOFF_MS
+    );
+    return Math.round(baseMs * (1 + Math.random() * 0.2));
+  }
+
+  /**
+   * 無効になったトークンのユーザーを非アクティブ化
+   *
+   * ユーザードキュメントのIDはFCMトークンのため、トークン更新後は
+   * アプリが新しいドキュメントを作成する。古いドキュメントは監視対象から外す
+   *
+   * @param {string} userId - ユーザードキュメントID
+   * @param {string} reason - 無効化の理由（FCM_ERROR_TYPES）
+   */
+  async deactivateToken(userId, reason) {
     try {
-      await this.messaging.send(message);
-      console.log(`✅ 通知送信成功: ${directions.join('、')}`);
-      return true;
+      await this.firestore.collection('users').doc(userId).update({
+        isActive: false,
+        fcmToken: admin.firestore.FieldValue.delete(),
+        tokenInvalidatedAt: new Date(),
+        tokenInvalidReason: reason,
+      });
+      this.counters.tokensDeactivated++;
+      console.log(`🗑️ 無効なFCMトークンのユーザーを非アクティブ化: ${HelperFunctions.formatTokenForLog(userId)}`);
     } catch (error) {
-      console.error('❌ 通知送信失敗:', error);
-      return false;
+      console.error(`❌ トークン無効化エラー: ${HelperFunctions.formatTokenForLog(userId)}`, error);
+    }
+  }
+
+  /**
+   * 複数ユーザーをまとめて非アクティブ化（バッチ書き込み）
+   *
+   * @param {Array<Object>} targets - [{ userId, reason }, ...]
+   */
+  async deactivateTokens(targets) {
+    for (const chunk of BatchProcessor.chunkArray(targets, NOTIFICATION_SETTINGS.SEND_BATCH_SIZE)) {
+      const batch = this.firestore.batch();
+      chunk.forEach(({ userId, reason }) => {
+        batch.update(this.firestore.collection('users').doc(userId), {
+          isActive: false,
+          fcmToken: admin.firestore.FieldValue.delete(),
+          tokenInvalidatedAt: new Date(),
+          tokenInvalidReason: reason,
+        });
+      });
+
+      try {
+        await batch.commit();
+        this.counters.tokensDeactivated += chunk.length;
+        console.log(`🗑️ 無効なFCMトークンのユーザーを非アクティブ化: ${chunk.length}件`);
+      } catch (error) {
+        // 存在しないドキュメントが含まれるとバッチ全体が失敗するため個別に再実行
+        console.warn(`⚠️ 一括非アクティブ化エラー、個別処理に切り替え: ${error.message}`);
+        for (const { userId, reason } of chunk) {
+          await this.deactivateToken(userId, reason);
+        }
+      }
     }
   }
+
+  /**
+   * 現在のカウンター値を取得（前回の flushCounters 以降の値）
+   */
+  getCounters() {
+    return {
+      ...this.counters,
+      errors: { ...this.counters.errors },
+    };
+  }
+
+  /**
+   * カウンターを日別の統計ドキュメントに加算してリセット
+   *
+   * 保存先: notification_stats/{YYYY-MM-DD}（UTC日付）
+   */
+  async flushCounters() {
+    const counters = this.getCounters();
+    this.counters = NotificationService._createEmptyCounters();
+
+    const increment = admin.firestore.FieldValue.increment;
+    const update = {
+      sent: increment(counters.sent),
+      failed: increment(counters.failed),
+      retried: increment(counters.retried),
+      skipped: increment(counters.skipped),
+      tokensDeactivated: increment(counters.tokensDeactivated),
+      errors: {},
+      updatedAt: new Date(),
+    };
+    Object.entries(counters.errors).forEach(([errorType, count]) => {
+      update.errors[errorType] = increment(count);
+    });
+
+    try {
+      const dateKey = new Date().toISOString().slice(0, 10);
+      await this.firestore.collection(NOTIFICATION_SETTINGS.STATS_COLLECTION).doc(dateKey).set(update, { merge: true });
+      console.log(`📊 通知カウンター: 成功${counters.sent}件、失敗${counters.failed}件、` +
+        `再試行${counters.retried}回、トークン無効化${counters.tokensDeactivated}件`);
+    } catch (error) {
+      console.error('❌ 通知カウンター保存エラー:', error);
+    }
+
+    return counters;
+  }
+
+  static _createEmptyCounters() {
+    const errors = {};
+    Object.values(FCM_ERROR_TYPES).forEach(errorType => {
+      errors[errorType] = 0;
+    });
+
+    return {
+      sent: 0,
+      failed: 0,
+      retried: 0,
+      skipped: 0,
+      tokensDeactivated: 0,
+      errors,
+    };
+  }
 }
 
 module.exports = NotificationService;
@@ -0,0 +1,78 @@
+// functions/modules/utils/api_error.js
+const { HTTP_STATUS, API_ERROR_CODES } = require('../../constants');
+
+/**
+ * HTTP APIのエラー
+ *
+ * ステータスコードと機械可読なエラーコード（API_ERROR_CODES）を持ち、
+ * ResponseHelpers.sendApiError で共通形式のエラーレスポンスに変換される
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTPステータスコード
+   * @param {string} code - API_ERROR_CODES のいずれか
+   * @param {string} message - 利用者向けのエラーメッセージ
+   * @param {Object|null} details - 補足情報（対象パラメータ名・許可値など）
+   */
+  constructor(statusCode, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+
+  static missingParameter(name) {
+    return new ApiError(
+      HTTP_STATUS.BAD_REQUEST, API_ERROR_CODES.MISSING_PARAMETER, `${name} is required`, { parameter: name }
+    );
+  }
+
+  static invalidParameter(name, message, details = {}) {
+    return new ApiError(
+      HTTP_STATUS.BAD_REQUEST, API_ERROR_CODES.INVALID_PARAMETER, message, { parameter: name, ...details }
+    );
+  }
+
+  static unknownParameters(names) {
+    return new ApiError(
+      HTTP_STATUS.BAD_REQUEST,
+      API_ERROR_CODES.UNKNOWN_PARAMETER,
+      `Unknown parameter: ${names.join(', ')}`,
+      { parameters: names }
+    );
+  }
+
+  static routeNotFound(path) {
+    return new ApiError(HTTP_STATUS.NOT_FOUND, API_ERROR_CODES.ROUTE_NOT_FOUND, `Route ${path} not found`);
+  }
+
+  static methodNotAllowed(method, allowedMethods) {
+    return new ApiError(
+      HTTP_STATUS.METHOD_NOT_ALLOWED,
+      API_ERROR_CODES.METHOD_NOT_ALLOWED,
+      `Method ${method} is not allowed`,
+      { allowedMethods }
+    );
+  }
+
+  static unauthenticated(message = 'A valid Firebase ID token or App Check token is required') {
+    return new ApiError(HTTP_STATUS.UNAUTHORIZED, API_ERROR_CODES.UNAUTHENTICATED, message);
+  }
+
+  static forbidden(message = 'Insufficient permissions') {
+    return new ApiError(HTTP_STATUS.FORBIDDEN, API_ERROR_CODES.FORBIDDEN, message);
+  }
+
+  static rateLimited(retryAfterSeconds) {
+    return new ApiError(
+      HTTP_STATUS.TOO_MANY_REQUESTS, API_ERROR_CODES.RATE_LIMITED, 'Too many requests', { retryAfterSeconds }
+    );
+  }
+
+  static upstreamUnavailable(message = 'Weather data is temporarily unavailable') {
+    return new ApiError(HTTP_STATUS.BAD_GATEWAY, API_ERROR_CODES.UPSTREAM_UNAVAILABLE, message);
+  }
+}
+
+module.exports = ApiError;
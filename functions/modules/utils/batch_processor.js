@@ -1,7 +1,5 @@
 // functions/modules/utils/batch_processor.js
 const WeatherAPI = require('../weather/weather_api');
-const { calculateDirectionCoordinates } = require('../../coordinate_utils');
-const { WEATHER_CONSTANTS, HelperFunctions } = require('../../constants');
 
 class BatchProcessor {
   /**
@@ -15,44 +13,6 @@ class BatchProcessor {
     return chunks;
   }
 
-  /**
-   * ユーザーから重複のない座標リストを生成
-   */
-  static collectUniqueCoordinates(activeUsers) {
-    const coordinateMap = new Map();
-    const coordinateUserMap = new Map();
-
-    activeUsers.forEach((user, userIndex) => {
-      WEATHER_CONSTANTS.CHECK_DIRECTIONS.forEach(direction => {
-        WEATHER_CONSTANTS.CHECK_DISTANCES.forEach(distance => {
-          const coord = calculateDirectionCoordinates(direction, user.latitude, user.longitude, distance);
-          const coordKey = HelperFunctions.generateCacheKey(coord.latitude, coord.longitude);
-
-          // 重複座標を除去
-          if (!coordinateMap.has(coordKey)) {
-            coordinateMap.set(coordKey, {
-              latitude: coord.latitude,
-              longitude: coord.longitude
-            });
-          }
-
-          // 座標とユーザーの関連付け
-          if (!coordinateUserMap.has(coordKey)) {
-            coordinateUserMap.set(coordKey, []);
-          }
-          coordinateUserMap.get(coordKey).push({
-            userIndex: userIndex,
-            direction: direction,
-            distance: distance
-          });
-        });
-      });
-    });
-
-    const uniqueCoordinates = Array.from(coordinateMap.values());
-    return { uniqueCoordinates, coordinateUserMap };
-  }
-
   /**
    * 段階的バッチ処理で気象データを取得
    */
@@ -103,36 +63,21 @@ class BatchProcessor {
     for (const coord of coordinates) {
       try {
         const weatherData = await WeatherAPI.fetchSingleLocation(coord.latitude, coord.longitude);
-        results.push(weatherData || this._getDefaultWeatherData());
+        results.push(weatherData);
 
         // 個別処理間で少し待機
         await new Promise(resolve => setTimeout(resolve, 100));
 
       } catch (error) {
         console.error(`❌ 個別処理エラー (${coord.latitude}, ${coord.longitude}):`, error);
-        // エラーの場合はデフォルト値を追加
-        results.push(this._getDefaultWeatherData());
+        // エラーの場合は欠損（null）として扱い、架空のデータで補わない
+        results.push(null);
       }
     }
 
     console.log(`✅ 個別バッチフォールバック完了: ${results.length}地点`);
     return results;
   }
-
-  /**
-   * デフォルト気象データ
-   */
-  static _getDefaultWeatherData() {
-    return {
-      cape: 0,
-      lifted_index: 0,
-      convective_inhibition: 0,
-      temperature: 20,
-      cloud_cover: 0,
-      cloud_cover_mid: 0,
-      cloud_cover_high: 0
-    };
-  }
 }
 
 module.exports = BatchProcessor;
@@ -0,0 +1,62 @@
+// functions/modules/utils/lru_cache.js
+
+/**
+ * 有効期限付きの LRU キャッシュ（関数インスタンス内のメモリキャッシュ用）
+ *
+ * - Map の挿入順を利用し、参照したエントリを末尾へ移動して最も古いものから追い出す
+ * - 有効期限は保存時刻から ttlMs（期限切れのエントリは参照時に削除）
+ */
+class LruCache {
+  /**
+   * @param {number} maxEntries - 最大エントリ数
+   * @param {number} ttlMs - 保存からの有効期間
+   */
+  constructor(maxEntries, ttlMs) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * @returns {*} 保存した値（存在しない・期限切れの場合は undefined）
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
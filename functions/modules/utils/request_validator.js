@@ -0,0 +1,97 @@
+// functions/modules/utils/request_validator.js
+const ApiError = require('./api_error');
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * HTTPリクエストの検証クラス
+ *
+ * ルートごとのクエリ定義に従ってクエリパラメータを検証し、
+ * 変換済みの値を返す。不正な場合は ApiError を投げる
+ * （HTTPメソッドはルーターがルート解決時に検証する）
+ *
+ * クエリ定義例:
+ * {
+ *   latitude: { type: 'number', required: true, min: -90, max: 90, description: '緯度' },
+ *   hours: { type: 'integer', min: 1, max: 168 },
+ *   layout: { type: 'enum', values: ['cardinal', 'octant'] }
+ * }
+ */
+class RequestValidator {
+  /**
+   * クエリパラメータを検証・変換
+   *
+   * - 定義されていないパラメータは拒否
+   * - 同じパラメータの複数指定は拒否
+   * - 数値は厳密に解析し（'12abc' や 'NaN' は不可）、範囲を検証（integer は小数も不可）
+   *
+   * @param {Object} query - req.query
+   * @param {Object} definitions - クエリ定義
+   * @returns {Object} 変換済みのクエリパラメータ（未指定の任意パラメータは含まない）
+   * @throws {ApiError} パラメータが不正な場合
+   */
+  static validateQuery(query, definitions) {
+    const unknownParameters = Object.keys(query).filter(name => !definitions[name]);
+    if (unknownParameters.length > 0) {
+      throw ApiError.unknownParameters(unknownParameters);
+    }
+
+    const values = {};
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const rawValue = query[name];
+
+      if (rawValue === undefined || rawValue === '') {
+        if (definition.required) {
+          throw ApiError.missingParameter(name);
+        }
+        continue;
+      }
+
+      if (typeof rawValue !== 'string') {
+        throw ApiError.invalidParameter(name, `${name} must be specified once`);
+      }
+
+      values[name] = this._parseValue(name, rawValue.trim(), definition);
+    }
+
+    return values;
+  }
+
+  static _parseValue(name, rawValue, definition) {
+    switch (definition.type) {
+    case 'number':
+    case 'integer': {
+      const value = NUMBER_PATTERN.test(rawValue) ? Number(rawValue) : NaN;
+
+      if (!Number.isFinite(value)) {
+        throw ApiError.invalidParameter(name, `${name} must be a number`);
+      }
+      if (definition.type === 'integer' && !Number.isInteger(value)) {
+        throw ApiError.invalidParameter(name, `${name} must be an integer`);
+      }
+      if ((definition.min !== undefined && value < definition.min) ||
+          (definition.max !== undefined && value > definition.max)) {
+        throw ApiError.invalidParameter(
+          name, `${name} must be between ${definition.min} and ${definition.max}`,
+          { min: definition.min, max: definition.max }
+        );
+      }
+      return value;
+    }
+
+    case 'enum':
+      if (!definition.values.includes(rawValue)) {
+        throw ApiError.invalidParameter(
+          name, `${name} must be one of: ${definition.values.join(', ')}`, { allowedValues: definition.values }
+        );
+      }
+      return rawValue;
+
+    default:
+      return rawValue;
+    }
+  }
+}
+
+module.exports = RequestValidator;
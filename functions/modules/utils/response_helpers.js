@@ -1,13 +1,35 @@
 // functions/modules/utils/response_helpers.js
+const ApiError = require('./api_error');
+const { HTTP_STATUS, API_ERROR_CODES, API_SECURITY_SETTINGS } = require('../../constants');
 
 class ResponseHelpers {
   /**
    * CORS ヘッダーを設定
+   *
+   * 許可リスト（ALLOWED_ORIGINS + 環境変数 CORS_ALLOWED_ORIGINS）に含まれる
+   * オリジンからのリクエストにのみ Access-Control-Allow-Origin を返す
    */
-  static setCORSHeaders(res) {
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
+  static setCORSHeaders(req, res) {
+    const origin = req.get('origin');
+
+    res.set('Vary', 'Origin');
+    if (origin && this.getAllowedOrigins().includes(origin)) {
+      res.set('Access-Control-Allow-Origin', origin);
+    }
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Firebase-AppCheck');
+  }
+
+  /**
+   * CORSで許可するオリジン一覧を取得
+   */
+  static getAllowedOrigins() {
+    const envOrigins = (process.env[API_SECURITY_SETTINGS.ALLOWED_ORIGINS_ENV] || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(origin => origin);
+
+    return [...API_SECURITY_SETTINGS.ALLOWED_ORIGINS, ...envOrigins];
   }
 
   /**
@@ -24,30 +46,51 @@ class ResponseHelpers {
 
   /**
    * エラーレスポンスを送信
+   *
+   * レスポンス形式:
+   * {
+   *   "success": false,
+   *   "error": { "code": "INVALID_PARAMETER", "message": "...", "details": { ... } },
+   *   "timestamp": "..."
+   * }
+   *
+   * @param {number} statusCode - HTTPステータスコード
+   * @param {string} code - API_ERROR_CODES のいずれか
+   * @param {string} message - エラーメッセージ
+   * @param {Object|null} details - 補足情報
    */
-  static sendError(res, statusCode, error, message = null) {
-    const response = {
-      error: error,
-      timestamp: new Date().toISOString()
-    };
+  static sendError(res, statusCode, code, message, details = null) {
+    const error = { code, message };
 
-    if (message) {
-      response.message = message;
+    if (details) {
+      error.details = details;
     }
 
-    res.status(statusCode).json(response);
+    res.status(statusCode).json({
+      success: false,
+      error: error,
+      timestamp: new Date().toISOString()
+    });
   }
 
   /**
-   * 夜間モードレスポンスを送信
+   * 例外からエラーレスポンスを送信
+   *
+   * ApiError はそのステータス・コードで返し、
+   * それ以外の例外は内部情報を隠して INTERNAL_ERROR として返す
    */
-  static sendNightModeResponse(res, nightModeData) {
-    res.status(200).json({
-      success: true,
-      data: nightModeData,
-      timestamp: new Date().toISOString(),
-      nightMode: true
-    });
+  static sendApiError(res, error) {
+    if (error instanceof ApiError) {
+      if (error.code === API_ERROR_CODES.METHOD_NOT_ALLOWED && error.details) {
+        res.set('Allow', error.details.allowedMethods.join(', '));
+      }
+      if (error.code === API_ERROR_CODES.RATE_LIMITED && error.details) {
+        res.set('Retry-After', String(error.details.retryAfterSeconds));
+      }
+      return this.sendError(res, error.statusCode, error.code, error.message, error.details);
+    }
+
+    this.sendError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, API_ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 }
 
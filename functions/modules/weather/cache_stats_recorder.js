@@ -0,0 +1,211 @@
+// functions/modules/weather/cache_stats_recorder.js
+const admin = require('firebase-admin');
+const { WEATHER_CACHE_SETTINGS } = require('../../constants');
+
+// 集計する cacheType
+const CACHE_TYPES = ['point', 'origin_summary'];
+
+// インスタンス内で未保存の統計（次回の flush で Firestore に加算）
+let pendingCounters = createEmptyCounters();
+let lastFlushedAt = 0;
+
+function createEmptyCounters() {
+  const byType = () => Object.fromEntries(CACHE_TYPES.map(cacheType => [cacheType, 0]));
+
+  return {
+    writes: byType(),
+    hits: byType(),
+    misses: byType(),
+    memoryHits: 0,
+    upstreamCallsSaved: 0,
+    ageHistogram: Object.fromEntries(WEATHER_CACHE_SETTINGS.AGE_BUCKETS.map(bucket => [bucket.label, 0])),
+  };
+}
+
+/**
+ * 気象データキャッシュの利用統計
+ *
+ * キャッシュの読み書きのたびにインスタンス内のカウンターを加算し、
+ * STATS_FLUSH_INTERVAL_MS ごとに weather_cache_stats の累計ドキュメントと
+ * 1時間ごとのドキュメントへ increment でまとめて反映する（コレクション全体の読み込みは行わない）
+ *
+ * 集計項目:
+ * - writes / hits / misses: cacheType（point / origin_summary）ごとの書き込み・ヒット・ミス件数
+ * - memoryHits: ヒットのうちメモリキャッシュから返した件数
+ * - upstreamCallsSaved: キャッシュから返したことで省略できた気象データ取得の件数
+ * - ageHistogram: キャッシュから返したデータの保存からの経過時間の分布
+ */
+class CacheStatsRecorder {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(WEATHER_CACHE_SETTINGS.STATS_COLLECTION);
+  }
+
+  /**
+   * キャッシュ参照の結果を記録
+   *
+   * @param {string} cacheType - point / origin_summary
+   * @param {Object|null} entry - 返したエントリ（{ timestamp }、ミスの場合は null）
+   * @param {boolean} fromMemory - メモリキャッシュから返したか
+   * @param {Date} now - 基準時刻
+   */
+  recordLookup(cacheType, entry, fromMemory = false, now = new Date()) {
+    if (!entry) {
+      pendingCounters.misses[cacheType]++;
+      return;
+    }
+
+    const ageMs = now.getTime() - entry.timestamp.getTime();
+    const bucket = WEATHER_CACHE_SETTINGS.AGE_BUCKETS.find(candidate => ageMs < candidate.maxMs);
+
+    pendingCounters.hits[cacheType]++;
+    pendingCounters.upstreamCallsSaved++;
+    pendingCounters.ageHistogram[bucket.label]++;
+    if (fromMemory) {
+      pendingCounters.memoryHits++;
+    }
+  }
+
+  /**
+   * キャッシュへの書き込みを記録
+   */
+  recordWrites(cacheType, count) {
+    pendingCounters.writes[cacheType] += count;
+  }
+
+  /**
+   * 前回の書き込みから STATS_FLUSH_INTERVAL_MS 以上経過していれば統計を反映
+   */
+  async flushIfDue(now = new Date()) {
+    if (now.getTime() - lastFlushedAt < WEATHER_CACHE_SETTINGS.STATS_FLUSH_INTERVAL_MS) {
+      return;
+    }
+    await this.flush(now);
+  }
+
+  /**
+   * 未保存の統計を累計・1時間ごとのドキュメントに加算してリセット
+   *
+   * 保存に失敗した場合は次回の flush で再度加算する
+   */
+  async flush(now = new Date()) {
+    const counters = pendingCounters;
+    pendingCounters = createEmptyCounters();
+    lastFlushedAt = now.getTime();
+
+    const update = CacheStatsRecorder._toIncrementUpdate(counters);
+    if (!update) {
+      return;
+    }
+
+    const hour = new Date(now);
+    hour.setUTCMinutes(0, 0, 0);
+
+    try {
+      const batch = this.firestore.batch();
+      const totalRef = this.collection.doc(WEATHER_CACHE_SETTINGS.STATS_TOTAL_DOC);
+      const hourRef = this.collection.doc(hour.toISOString().slice(0, 13));
+      batch.set(totalRef, { ...update, updatedAt: now }, { merge: true });
+      batch.set(hourRef, { ...update, hour, updatedAt: now }, { merge: true });
+      await batch.commit();
+    } catch (error) {
+      console.error('❌ キャッシュ統計保存エラー:', error);
+      CacheStatsRecorder._mergeCounters(pendingCounters, counters);
+    }
+  }
+
+  /**
+   * 累計の統計を取得
+   *
+   * @returns {Object} 集計項目に hitRatio と updatedAt を加えたもの（未記録の場合は各値0）
+   */
+  async getTotals() {
+    const snapshot = await this.collection.doc(WEATHER_CACHE_SETTINGS.STATS_TOTAL_DOC).get();
+    return CacheStatsRecorder._toSummary(snapshot.exists ? snapshot.data() : {});
+  }
+
+  /**
+   * 1時間ごとの統計を取得
+   *
+   * @param {number} hours - 現在時刻から遡る時間数
+   * @param {Date} now - 基準時刻
+   * @returns {Array<Object>} [{ hour, ...集計項目, hitRatio }]（古い順、記録のない時間は含まない）
+   */
+  async getHourlySeries(hours, now = new Date()) {
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    since.setUTCMinutes(0, 0, 0);
+
+    const snapshot = await this.collection.where('hour', '>=', since).orderBy('hour').get();
+    return snapshot.docs.map(doc => ({
+      hour: doc.data().hour.toDate().toISOString(),
+      ...CacheStatsRecorder._toSummary(doc.data()),
+    }));
+  }
+
+  /**
+   * カウンターを increment による更新内容に変換（加算する値がない場合は null）
+   */
+  static _toIncrementUpdate(counters) {
+    const increment = admin.firestore.FieldValue.increment;
+    const update = {};
+    let hasValue = false;
+
+    Object.entries(counters).forEach(([field, value]) => {
+      if (typeof value === 'number') {
+        if (value > 0) {
+          update[field] = increment(value);
+          hasValue = true;
+        }
+        return;
+      }
+
+      Object.entries(value).forEach(([key, count]) => {
+        if (count > 0) {
+          update[field] = { ...(update[field] || {}), [key]: increment(count) };
+          hasValue = true;
+        }
+      });
+    });
+
+    return hasValue ? update : null;
+  }
+
+  static _mergeCounters(target, source) {
+    Object.entries(source).forEach(([field, value]) => {
+      if (typeof value === 'number') {
+        target[field] += value;
+        return;
+      }
+      Object.entries(value).forEach(([key, count]) => {
+        target[field][key] += count;
+      });
+    });
+  }
+
+  /**
+   * 統計ドキュメントを欠けている項目を0で補った形に変換
+   */
+  static _toSummary(data) {
+    const counters = createEmptyCounters();
+    Object.entries(counters).forEach(([field, value]) => {
+      if (typeof value === 'number') {
+        counters[field] = data[field] || 0;
+        return;
+      }
+      Object.keys(value).forEach(key => {
+        value[key] = (data[field] && data[field][key]) || 0;
+      });
+    });
+
+    const hits = CACHE_TYPES.reduce((sum, cacheType) => sum + counters.hits[cacheType], 0);
+    const lookups = hits + CACHE_TYPES.reduce((sum, cacheType) => sum + counters.misses[cacheType], 0);
+
+    return {
+      ...counters,
+      hitRatio: lookups > 0 ? hits / lookups : null,
+      updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
+    };
+  }
+}
+
+module.exports = CacheStatsRecorder;
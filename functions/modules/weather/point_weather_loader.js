@@ -0,0 +1,150 @@
+// functions/modules/weather/point_weather_loader.js
+const WeatherCache = require('./weather_cache');
+const { CACHE_FRESHNESS } = require('../../constants');
+
+// インスタンス内で取得中の地点（地点キャッシュキー → 気象データの Promise）
+// 同じジオハッシュのセルへの同時取得は1回の取得結果を共有する
+const inFlightPoints = new Map();
+const pointStats = { fetchedPoints: 0, coalescedPoints: 0 };
+
+/**
+ * 地点単位の気象データ読み込み（地点キャッシュ → 取得）
+ *
+ * API（中心座標サマリー）・監視処理・定期キャッシュで共通の読み込み経路
+ *
+ * 処理方式:
+ * 1. 地点キャッシュキー（ジオハッシュ）で重複を除く
+ * 2. 地点キャッシュを getMany でまとめて読み込み、fresh な地点はそのまま使う
+ * 3. 他の処理が取得中の地点はその結果を待ち、残りの地点のみ fetch で取得する
+ * 4. 取得したデータは地点キャッシュへ保存
+ * - accept に stale を指定した場合、取得できなかった地点は stale なキャッシュで代替する
+ */
+class PointWeatherLoader {
+  constructor() {
+    this.weatherCache = new WeatherCache();
+  }
+
+  /**
+   * @param {Array<Object>} points - 地点（latitude, longitude を含む）
+   * @param {Object} options
+   * @param {Function} options.fetch - 地点配列を受け取り、同じ順の気象データ配列を返す取得処理
+   * @param {string} options.accept - 取得失敗時の代替として許容する最も古い鮮度区分（省略時は fresh のみ）
+   * @returns {Map<string, Object>} 地点キャッシュキー → 気象データ（取得できなかった地点は含まない）
+   */
+  async load(points, { fetch, accept = CACHE_FRESHNESS.FRESH }) {
+    const uniquePoints = new Map();
+    points.forEach(point => {
+      const pointKey = WeatherCache.pointKey(point.latitude, point.longitude);
+      if (!uniquePoints.has(pointKey)) {
+        uniquePoints.set(pointKey, point);
+      }
+    });
+
+    const weatherDataMap = new Map();
+    if (uniquePoints.size === 0) {
+      return weatherDataMap;
+    }
+
+    const cachedEntries = await this.weatherCache.getMany(Array.from(uniquePoints.keys()), accept);
+    cachedEntries.forEach((entry, pointKey) => {
+      if (entry.freshness === CACHE_FRESHNESS.FRESH) {
+        weatherDataMap.set(pointKey, entry.data);
+      }
+    });
+
+    console.log(`📊 地点キャッシュ: ${uniquePoints.size}地点中${weatherDataMap.size}地点がヒット`);
+
+    const sharedKeys = [];
+    const fetchKeys = [];
+    uniquePoints.forEach((point, pointKey) => {
+      if (weatherDataMap.has(pointKey)) {
+        return;
+      }
+      (inFlightPoints.has(pointKey) ? sharedKeys : fetchKeys).push(pointKey);
+    });
+
+    if (sharedKeys.length > 0) {
+      pointStats.coalescedPoints += sharedKeys.length;
+      console.log(`🔗 取得中の地点の結果を共有: ${sharedKeys.length}地点`);
+    }
+
+    const shared = Promise.all(sharedKeys.map(pointKey => inFlightPoints.get(pointKey)));
+    try {
+      await this._fetchPoints(fetchKeys.map(pointKey => uniquePoints.get(pointKey)), fetchKeys, fetch, weatherDataMap);
+    } finally {
+      // 取得に失敗しても共有中の結果は待ってから返す
+      (await shared).forEach((weatherData, index) => {
+        if (weatherData) {
+          weatherDataMap.set(sharedKeys[index], weatherData);
+        }
+      });
+    }
+
+    // 取得できなかった地点は stale なキャッシュで代替
+    let staleCount = 0;
+    uniquePoints.forEach((point, pointKey) => {
+      if (!weatherDataMap.has(pointKey) && cachedEntries.has(pointKey)) {
+        weatherDataMap.set(pointKey, cachedEntries.get(pointKey).data);
+        staleCount++;
+      }
+    });
+    if (staleCount > 0) {
+      console.warn(`⚠️ 取得できなかった${staleCount}地点は古いキャッシュを使用`);
+    }
+
+    return weatherDataMap;
+  }
+
+  /**
+   * 地点をまとめて取得し、地点キャッシュへ保存
+   *
+   * 取得が終わるまで各地点を inFlightPoints に登録し、同時に読み込む他の処理と結果を共有する
+   * （fetch のエラーは呼び出し元へそのまま伝える）
+   */
+  async _fetchPoints(points, pointKeys, fetch, weatherDataMap) {
+    if (points.length === 0) {
+      return;
+    }
+
+    const resolvers = new Map();
+    pointKeys.forEach(pointKey => {
+      inFlightPoints.set(pointKey, new Promise(resolve => resolvers.set(pointKey, resolve)));
+    });
+
+    try {
+      console.log(`🌐 未キャッシュ地点を取得: ${points.length}地点`);
+      pointStats.fetchedPoints += points.length;
+
+      const results = (await fetch(points)) || [];
+      const fetchedPoints = [];
+
+      points.forEach((point, index) => {
+        const weatherData = results[index] || null;
+        resolvers.get(pointKeys[index])(weatherData);
+
+        // 取得できなかった地点はキャッシュに保存しない
+        if (weatherData) {
+          weatherDataMap.set(pointKeys[index], weatherData);
+          fetchedPoints.push({ latitude: point.latitude, longitude: point.longitude, data: weatherData });
+        }
+      });
+
+      await this.weatherCache.setPointData(fetchedPoints);
+    } finally {
+      // 取得に失敗した地点は null で解決（解決済みの地点には影響しない）
+      pointKeys.forEach(pointKey => {
+        resolvers.get(pointKey)(null);
+        inFlightPoints.delete(pointKey);
+      });
+    }
+  }
+
+  /**
+   * このインスタンスでの地点取得・共有の件数
+   */
+  static getStats() {
+    return { ...pointStats, inFlight: inFlightPoints.size };
+  }
+}
+
+module.exports = PointWeatherLoader;
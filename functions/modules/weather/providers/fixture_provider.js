@@ -0,0 +1,76 @@
+/**
+ * フィクスチャ気象データプロバイダー
+ *
+ * JSONフィクスチャから決定的な気象データを返すオフライン用プロバイダー
+ * 外部APIに接続せずに WeatherService・BatchProcessor・ThunderMonitoring を動作確認できる
+ *
+ * フィクスチャ形式:
+ * {
+ *   "default": { cape, lifted_index, ..., forecast: [] },   // 未登録地点に返す値
+ *   "locations": {
+ *     "weather_35.68_139.77": { cape, lifted_index, ... }  // キャッシュキー単位の値
+ *   }
+ * }
+ *
+ * フィクスチャの指定:
+ * - 環境変数 WEATHER_FIXTURE_PATH（未指定時は fixtures/default_weather.json）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WeatherProvider = require('./weather_provider');
+const { WEATHER_PROVIDER_SETTINGS, HelperFunctions } = require('../../../constants');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'default_weather.json');
+
+class FixtureProvider extends WeatherProvider {
+  /**
+   * @param {Object|null} fixture - フィクスチャオブジェクト（省略時はファイルから読み込み）
+   */
+  constructor(fixture = null) {
+    super('fixture');
+    this.fixture = fixture || FixtureProvider.loadFixture(
+      process.env[WEATHER_PROVIDER_SETTINGS.FIXTURE_PATH_ENV] || DEFAULT_FIXTURE_PATH
+    );
+  }
+
+  /**
+   * フィクスチャファイルを読み込む
+   *
+   * @param {string} fixturePath - JSONファイルのパス
+   * @returns {Object} フィクスチャオブジェクト
+   */
+  static loadFixture(fixturePath) {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    if (!fixture.default) {
+      throw new Error(`フィクスチャに default がありません: ${fixturePath}`);
+    }
+
+    return { locations: {}, ...fixture };
+  }
+
+  get variables() {
+    return Object.keys(this.fixture.default).filter(key => key !== 'time' && key !== 'forecast');
+  }
+
+  async fetchSingle(lat, lon) {
+    return this._lookup(lat, lon);
+  }
+
+  async fetchBatch(coordinates) {
+    return coordinates.map(coord => this._lookup(coord.latitude, coord.longitude));
+  }
+
+  /**
+   * 座標に対応するフィクスチャデータを返す（呼び出し側での変更を防ぐため複製）
+   */
+  _lookup(lat, lon) {
+    const cacheKey = HelperFunctions.generateCacheKey(lat, lon);
+    const entry = this.fixture.locations[cacheKey] || this.fixture.default;
+
+    return JSON.parse(JSON.stringify({ time: null, forecast: [], ...entry }));
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,55 @@
+/**
+ * 気象データプロバイダーの登録・選択
+ *
+ * 設定（環境変数 WEATHER_PROVIDER）に応じて使用するプロバイダーを生成する
+ * 新しい取得元（気象庁、MET Norway 等）は WeatherProvider を継承したクラスを
+ * registerWeatherProvider で登録するだけで切り替え可能になる
+ *
+ * 登録済みプロバイダー:
+ * - open-meteo: Open-Meteo Forecast API（デフォルト）
+ * - fixture: JSONフィクスチャ（オフライン動作確認用）
+ */
+
+const OpenMeteoProvider = require('./open_meteo_provider');
+const FixtureProvider = require('./fixture_provider');
+const { WEATHER_PROVIDER_SETTINGS } = require('../../../constants');
+
+const providerFactories = new Map([
+  ['open-meteo', () => new OpenMeteoProvider()],
+  ['fixture', () => new FixtureProvider()],
+]);
+
+/**
+ * プロバイダーを登録
+ *
+ * @param {string} name - 設定値として使用する識別名
+ * @param {Function} factory - プロバイダーインスタンスを返す関数
+ */
+function registerWeatherProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+/**
+ * 設定に応じたプロバイダーを生成
+ *
+ * @param {string} name - 識別名（省略時は環境変数、未設定ならデフォルト）
+ * @returns {WeatherProvider} プロバイダーインスタンス
+ */
+function createWeatherProvider(name = null) {
+  const providerName = name ||
+    process.env[WEATHER_PROVIDER_SETTINGS.PROVIDER_ENV] ||
+    WEATHER_PROVIDER_SETTINGS.DEFAULT_PROVIDER;
+
+  const factory = providerFactories.get(providerName);
+  if (!factory) {
+    throw new Error(`未知の気象データプロバイダー: ${providerName}`);
+  }
+
+  console.log(`🌐 気象データプロバイダー: ${providerName}`);
+  return factory();
+}
+
+module.exports = {
+  registerWeatherProvider,
+  createWeatherProvider
+};
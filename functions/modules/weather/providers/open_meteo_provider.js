@@ -0,0 +1,204 @@
+/**
+ * Open-Meteo 気象データプロバイダー
+ *
+ * Open-Meteo Forecast API（https://open-meteo.com/）から気象データを取得し、
+ * 共通形式に正規化して返す
+ *
+ * 特徴:
+ * - 複数地点をカンマ区切りで1リクエストにまとめて取得可能
+ * - timezone=auto のため毎時データの先頭は現地0時
+ *   → 現在時刻に対応する時間帯を選択して現在値とする
+ */
+
+const axios = require('axios');
+const WeatherProvider = require('./weather_provider');
+const { WEATHER_CONSTANTS, TIMEOUT_SETTINGS, API_SETTINGS } = require('../../../constants');
+
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Open-Meteo の毎時変数名 → 共通形式のキー名
+const HOURLY_VARIABLE_MAP = {
+  cape: 'cape',
+  lifted_index: 'lifted_index',
+  convective_inhibition: 'convective_inhibition',
+  cloud_cover: 'cloud_cover',
+  cloud_cover_mid: 'cloud_cover_mid',
+  cloud_cover_high: 'cloud_cover_high',
+  temperature_2m: 'temperature',
+  precipitation: 'precipitation',
+  showers: 'showers',
+  lightning_potential: 'lightning_potential', // 対応モデル以外の地域では null
+  freezing_level_height: 'freezing_level_height',
+  wind_gusts_10m: 'wind_gusts',
+  dew_point_2m: 'dew_point',
+  cloud_cover_low: 'cloud_cover_low',
+};
+
+class OpenMeteoProvider extends WeatherProvider {
+  constructor() {
+    super('open-meteo');
+  }
+
+  get variables() {
+    return Object.values(HOURLY_VARIABLE_MAP);
+  }
+
+  /**
+   * 単一地点の気象データを取得
+   */
+  async fetchSingle(lat, lon) {
+    const response = await axios.get(BASE_URL, this._buildRequestOptions(this._buildParams([lat], [lon])));
+
+    return this._extractWeatherDataFromResponse(response.data);
+  }
+
+  /**
+   * 複数地点の気象データを一括取得
+   *
+   * 複数地点指定時、Open-Meteo は地点ごとのオブジェクト配列を返す
+   */
+  async fetchBatch(coordinates) {
+    const response = await axios.get(BASE_URL, this._buildRequestOptions(this._buildParams(
+      coordinates.map(coord => coord.latitude),
+      coordinates.map(coord => coord.longitude)
+    )));
+
+    const locations = Array.isArray(response.data) ? response.data : [response.data];
+    return locations.map(locationData => this._extractWeatherDataFromResponse(locationData));
+  }
+
+  /**
+   * axios のリクエスト設定（単一地点・一括取得で共通）
+   *
+   * タイムアウトを指定し、応答のない取得で関数のタイムアウトまで待ち続けないようにする
+   */
+  _buildRequestOptions(params) {
+    return {
+      params,
+      timeout: TIMEOUT_SETTINGS.API_TIMEOUT_MS,
+      headers: {
+        'User-Agent': API_SETTINGS.USER_AGENT
+      },
+      maxRedirects: 3,
+      validateStatus: function (status) {
+        return status >= API_SETTINGS.RETRY_STATUS_MIN && status < API_SETTINGS.RETRY_STATUS_MAX;
+      }
+    };
+  }
+
+  /**
+   * APIリクエストパラメータを生成
+   *
+   * @param {Array<number>} latitudes - 緯度配列
+   * @param {Array<number>} longitudes - 経度配列
+   * @returns {Object} axios params
+   */
+  _buildParams(latitudes, longitudes) {
+    const precision = WEATHER_CONSTANTS.API_COORDINATE_PRECISION;
+
+    return {
+      latitude: latitudes.map(lat => lat.toFixed(precision)).join(','),
+      longitude: longitudes.map(lon => lon.toFixed(precision)).join(','),
+      hourly: Object.keys(HOURLY_VARIABLE_MAP).join(','),
+      current: 'temperature_2m',
+      timezone: 'auto',
+      forecast_days: WEATHER_CONSTANTS.FORECAST_DAYS,
+    };
+  }
+
+  /**
+   * APIレスポンスから気象データを抽出
+   *
+   * @param {Object} locationData - Open-Meteo APIレスポンス（1地点分）
+   * @param {Date} now - 基準時刻（省略時は現在時刻）
+   * @returns {Object} 正規化された気象データ（現在時刻の値 + forecast配列）
+   *
+   * データ正規化処理:
+   * - 現在時刻に対応する毎時データを選択（配列先頭は現地0時のため）
+   * - 続く FORECAST_HOURS 時間分を forecast として付与
+   * - 欠損値（null）は補完せず null のまま返す（判定側でデータ品質として扱う）
+   */
+  _extractWeatherDataFromResponse(locationData, now = new Date()) {
+    const hourly = locationData.hourly || {};
+    const times = Array.isArray(hourly.time) ? hourly.time : [];
+    const currentIndex = this._findCurrentHourIndex(locationData, now);
+
+    const currentTemperature = locationData.current ? locationData.current.temperature_2m : undefined;
+    const current = this._extractHourlySlot(hourly, currentIndex);
+    if (typeof currentTemperature === 'number' && Number.isFinite(currentTemperature)) {
+      current.temperature = currentTemperature;
+    }
+
+    const forecast = [];
+    for (let offset = 1; offset <= WEATHER_CONSTANTS.FORECAST_HOURS; offset++) {
+      const index = currentIndex + offset;
+      if (index >= times.length) {
+        break;
+      }
+      forecast.push({
+        offsetHours: offset,
+        time: times[index],
+        ...this._extractHourlySlot(hourly, index),
+      });
+    }
+
+    return {
+      ...current,
+      time: times[currentIndex] || null,
+      forecast,
+    };
+  }
+
+  /**
+   * 毎時データ配列から指定インデックスの値を取り出す
+   *
+   * @param {Object} hourly - Open-Meteo hourly オブジェクト
+   * @param {number} index - 時間インデックス
+   * @returns {Object} 正規化された1時間分の気象データ（欠損値は null）
+   */
+  _extractHourlySlot(hourly, index) {
+    const slot = {};
+
+    Object.entries(HOURLY_VARIABLE_MAP).forEach(([apiName, key]) => {
+      const values = hourly[apiName];
+      const value = Array.isArray(values) ? values[index] : undefined;
+      slot[key] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    });
+
+    return slot;
+  }
+
+  /**
+   * 現在時刻に対応する毎時データのインデックスを求める
+   *
+   * @param {Object} locationData - Open-Meteo APIレスポンス（1地点分）
+   * @param {Date} now - 基準時刻
+   * @returns {number} hourly.time 内のインデックス（特定できない場合は0）
+   *
+   * 判定順序:
+   * 1. current.time（現地時刻）の時単位で一致する時間帯
+   * 2. utc_offset_seconds から算出した現地時刻で一致する時間帯
+   */
+  _findCurrentHourIndex(locationData, now = new Date()) {
+    const times = locationData.hourly && Array.isArray(locationData.hourly.time) ? locationData.hourly.time : [];
+    if (times.length === 0) {
+      return 0;
+    }
+
+    const toHourKey = (isoTime) => `${isoTime.slice(0, 13)}:00`;
+
+    if (locationData.current && typeof locationData.current.time === 'string') {
+      const index = times.indexOf(toHourKey(locationData.current.time));
+      if (index >= 0) {
+        return index;
+      }
+    }
+
+    const offsetMs = (locationData.utc_offset_seconds || 0) * 1000;
+    const localTime = new Date(now.getTime() + offsetMs).toISOString();
+    const index = times.indexOf(toHourKey(localTime));
+    return index >= 0 ? index : 0;
+  }
+}
+
+module.exports = OpenMeteoProvider;
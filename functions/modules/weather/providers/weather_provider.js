@@ -0,0 +1,58 @@
+/**
+ * 気象データプロバイダー基底クラス
+ *
+ * 気象データ取得元（Open-Meteo、フィクスチャ等）の共通インターフェース
+ * 各プロバイダーはこのクラスを継承し、取得結果を共通形式に正規化して返す
+ *
+ * 共通形式（1地点分）:
+ * {
+ *   cape, lifted_index, convective_inhibition, temperature,
+ *   cloud_cover, cloud_cover_mid, cloud_cover_high,
+ *   precipitation, showers, lightning_potential, freezing_level_height,
+ *   wind_gusts, dew_point, cloud_cover_low,
+ *   time,       // 現在値に対応する時刻
+ *   forecast    // 以降の時間帯の値 [{ offsetHours, time, ... }]
+ * }
+ * 取得できなかった値は既定値で補わず null とする（0 は有効な値）
+ */
+
+class WeatherProvider {
+  /**
+   * @param {string} name - プロバイダー識別名（設定値と一致させる）
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 提供する気象変数（共通形式のキー名）
+   *
+   * @returns {Array<string>} 変数名の配列
+   */
+  get variables() {
+    throw new Error(`${this.name}: variables が実装されていません`);
+  }
+
+  /**
+   * 単一地点の気象データを取得
+   *
+   * @param {number} lat - 緯度
+   * @param {number} lon - 経度
+   * @returns {Promise<Object>} 共通形式の気象データ（失敗時は例外）
+   */
+  async fetchSingle() {
+    throw new Error(`${this.name}: fetchSingle が実装されていません`);
+  }
+
+  /**
+   * 複数地点の気象データを一括取得
+   *
+   * @param {Array<Object>} coordinates - 座標配列 [{latitude, longitude}, ...]
+   * @returns {Promise<Array<Object>>} 座標と同じ順序の共通形式データ配列（失敗時は例外）
+   */
+  async fetchBatch() {
+    throw new Error(`${this.name}: fetchBatch が実装されていません`);
+  }
+}
+
+module.exports = WeatherProvider;
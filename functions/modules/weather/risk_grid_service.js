@@ -0,0 +1,397 @@
+// functions/modules/weather/risk_grid_service.js
+const admin = require('firebase-admin');
+const ApiError = require('../utils/api_error');
+const BatchProcessor = require('../utils/batch_processor');
+const WeatherAPI = require('./weather_api');
+const AnalysisProfileService = require('../analysis/analysis_profile_service');
+const ThunderCloudAnalyzer = require('../../thunder_cloud_analyzer');
+const { RISK_GRID_SETTINGS, BATCH_SETTINGS, NOTIFICATION_PREFERENCES } = require('../../constants');
+
+// 浮動小数点の誤差でセル境界上の座標が隣のセルに入らないための補正値
+const CELL_EPSILON = 1e-9;
+
+const RISK_LEVELS = NOTIFICATION_PREFERENCES.RISK_LEVELS;
+
+/**
+ * リスクグリッド（地図オーバーレイ用）サービス
+ *
+ * 範囲（bbox）内を解像度ごとの全球共通格子で区切り、各セル中心の気象データを
+ * バッチAPIで取得して ThunderCloudAnalyzer で分析する
+ *
+ * キャッシュ:
+ * - TILE_CELLS × TILE_CELLS セルのタイル単位で risk_grid_tiles に保存
+ * - 格子が全球共通のため、同じ地域を表示する複数のユーザーで結果を共有できる
+ * - タイル中心の地域に適用される分析プロファイルで分析し、プロファイルのバージョンが変わったタイルは再計算する
+ *
+ * 出力形式:
+ * - matrix: 北から南への行・西から東への列のスコア・リスクレベル行列
+ * - geojson: リスクレベルごとのセルを MultiPolygon にまとめた FeatureCollection
+ */
+class RiskGridService {
+  constructor() {
+    this.firestore = admin.firestore();
+    this.collection = this.firestore.collection(RISK_GRID_SETTINGS.TILE_COLLECTION);
+    this.profileService = new AnalysisProfileService();
+  }
+
+  /**
+   * 範囲内のリスクグリッドを取得
+   *
+   * @param {Object} bbox - { south, west, north, east }
+   * @param {number} resolution - セルの大きさ（度）
+   * @param {string} format - 'matrix' / 'geojson'
+   * @returns {Object} 指定形式のグリッド
+   * @throws {ApiError} 範囲が不正、またはセル数・タイル数が上限を超える場合（400）、
+   *   どのセルの気象データも取得できなかった場合（502）
+   */
+  async getRiskGrid(bbox, resolution, format = 'matrix') {
+    const grid = RiskGridService.computeGridExtent(bbox, resolution);
+    const tileKeys = RiskGridService.listTiles(grid);
+
+    if (tileKeys.length > RISK_GRID_SETTINGS.MAX_TILES) {
+      throw ApiError.invalidParameter(
+        'bbox', `bbox covers too many tiles (max ${RISK_GRID_SETTINGS.MAX_TILES}); use a coarser resolution`,
+        { tiles: tileKeys.length, maxTiles: RISK_GRID_SETTINGS.MAX_TILES }
+      );
+    }
+
+    console.log(`🗺️ リスクグリッド要求: ${grid.rows}×${grid.cols}セル（${tileKeys.length}タイル、解像度${resolution}°）`);
+
+    const tiles = await this._loadTiles(tileKeys, resolution);
+    const cells = this._collectCells(grid, tiles);
+
+    if (cells.every(cellRow => cellRow.every(cell => cell === null))) {
+      throw ApiError.upstreamUnavailable();
+    }
+
+    return format === 'geojson' ?
+      RiskGridService.toGeoJson(grid, cells) :
+      RiskGridService.toMatrix(grid, cells);
+  }
+
+  /**
+   * 範囲と交差するセルの行・列範囲を計算
+   *
+   * セル (row, col) は緯度 [row × res, (row + 1) × res)、経度 [col × res, (col + 1) × res) を表す
+   */
+  static computeGridExtent(bbox, resolution) {
+    if (bbox.south >= bbox.north) {
+      throw ApiError.invalidParameter('south', 'south must be less than north');
+    }
+    if (bbox.west >= bbox.east) {
+      throw ApiError.invalidParameter('west', 'west must be less than east (antimeridian crossing is not supported)');
+    }
+
+    const minRow = Math.floor(bbox.south / resolution + CELL_EPSILON);
+    const maxRow = Math.ceil(bbox.north / resolution - CELL_EPSILON) - 1;
+    const minCol = Math.floor(bbox.west / resolution + CELL_EPSILON);
+    const maxCol = Math.ceil(bbox.east / resolution - CELL_EPSILON) - 1;
+
+    const rows = maxRow - minRow + 1;
+    const cols = maxCol - minCol + 1;
+
+    if (rows * cols > RISK_GRID_SETTINGS.MAX_CELLS) {
+      throw ApiError.invalidParameter(
+        'resolution', `bbox contains too many cells (max ${RISK_GRID_SETTINGS.MAX_CELLS}); use a coarser resolution`,
+        { cells: rows * cols, maxCells: RISK_GRID_SETTINGS.MAX_CELLS }
+      );
+    }
+
+    return { resolution, minRow, maxRow, minCol, maxCol, rows, cols };
+  }
+
+  /**
+   * グリッドを覆うタイルの一覧を取得
+   *
+   * @returns {Array<Object>} [{ tileRow, tileCol }, ...]
+   */
+  static listTiles(grid) {
+    const size = RISK_GRID_SETTINGS.TILE_CELLS;
+    const tiles = [];
+
+    for (let tileRow = Math.floor(grid.minRow / size); tileRow <= Math.floor(grid.maxRow / size); tileRow++) {
+      for (let tileCol = Math.floor(grid.minCol / size); tileCol <= Math.floor(grid.maxCol / size); tileCol++) {
+        tiles.push({ tileRow, tileCol });
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * タイルのキャッシュキーを生成
+   */
+  static generateTileKey(resolution, tileRow, tileCol) {
+    return `grid_${resolution}_${tileRow}_${tileCol}`;
+  }
+
+  /**
+   * タイルを読み込み（キャッシュ優先、期限切れ・未キャッシュのタイルのみ計算）
+   *
+   * @returns {Map<string, Object>} タイルキー → { scores, levels }（取得できなかったタイルは含まない）
+   */
+  async _loadTiles(tileKeys, resolution) {
+    const tiles = new Map();
+    const now = new Date();
+    const keys = tileKeys.map(tile => RiskGridService.generateTileKey(resolution, tile.tileRow, tile.tileCol));
+    const profiles = await this.profileService.getProfiles();
+    const profilesByTile = new Map(tileKeys.map((tile, index) => (
+      [keys[index], RiskGridService._selectTileProfile(profiles, tile, resolution)]
+    )));
+
+    try {
+      const docs = await this.firestore.getAll(...keys.map(key => this.collection.doc(key)));
+      docs.forEach(tileDoc => {
+        if (!tileDoc.exists) {
+          return;
+        }
+
+        const tileData = tileDoc.data();
+        const isFresh = now.getTime() - tileData.timestamp.toDate().getTime() < RISK_GRID_SETTINGS.CACHE_DURATION_MS;
+        if (isFresh && tileData.profile === RiskGridService._profileKey(profilesByTile.get(tileDoc.id))) {
+          tiles.set(tileDoc.id, tileData);
+        }
+      });
+    } catch (error) {
+      console.error('❌ リスクグリッドタイル読み込みエラー:', error);
+    }
+
+    const missingTiles = tileKeys.filter((tile, index) => !tiles.has(keys[index]));
+    console.log(`📊 リスクグリッドタイル: ${tileKeys.length}件中${tileKeys.length - missingTiles.length}件がキャッシュヒット`);
+
+    if (missingTiles.length > 0) {
+      const computedTiles = await this._computeTiles(missingTiles, resolution, profilesByTile);
+      computedTiles.forEach((tileData, key) => tiles.set(key, tileData));
+    }
+
+    return tiles;
+  }
+
+  /**
+   * タイル内の全セルを分析
+   *
+   * 全タイルのセル中心をまとめてバッチAPIで取得し、取得できたタイルのみキャッシュに保存する
+   */
+  async _computeTiles(missingTiles, resolution, profilesByTile) {
+    const size = RISK_GRID_SETTINGS.TILE_CELLS;
+    const points = [];
+
+    missingTiles.forEach(tile => {
+      for (let cellIndex = 0; cellIndex < size * size; cellIndex++) {
+        const row = tile.tileRow * size + Math.floor(cellIndex / size);
+        const col = tile.tileCol * size + (cellIndex % size);
+        const latitude = (row + 0.5) * resolution;
+        const longitude = (col + 0.5) * resolution;
+
+        // 極・日付変更線を超えるセルは対象外
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+          continue;
+        }
+
+        points.push({
+          tileKey: RiskGridService.generateTileKey(resolution, tile.tileRow, tile.tileCol),
+          cellIndex,
+          latitude,
+          longitude,
+        });
+      }
+    });
+
+    const computedTiles = new Map();
+    const failedTileKeys = new Set();
+
+    missingTiles.forEach(tile => {
+      const tileKey = RiskGridService.generateTileKey(resolution, tile.tileRow, tile.tileCol);
+      computedTiles.set(tileKey, {
+        resolution: String(resolution),
+        tileRow: tile.tileRow,
+        tileCol: tile.tileCol,
+        profile: RiskGridService._profileKey(profilesByTile.get(tileKey)),
+        scores: new Array(size * size).fill(null),
+        levels: new Array(size * size).fill(null),
+      });
+    });
+
+    console.log(`🌐 リスクグリッド計算: ${missingTiles.length}タイル（${points.length}地点）`);
+
+    for (const chunk of BatchProcessor.chunkArray(points, BATCH_SETTINGS.BATCH_SIZE)) {
+      try {
+        const results = await WeatherAPI.fetchBatchLocations(chunk);
+
+        chunk.forEach((point, index) => {
+          // 取得できなかったセルは空のまま、タイルをキャッシュせず次回再計算
+          if (!results[index]) {
+            failedTileKeys.add(point.tileKey);
+            return;
+          }
+
+          // データ不足で判定できないセルも空のまま（リスクなしとしては表示しない）
+          const profile = profilesByTile.get(point.tileKey);
+          const analysis = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(results[index], profile);
+          if (analysis.riskLevel === null) {
+            return;
+          }
+
+          const tileData = computedTiles.get(point.tileKey);
+          tileData.scores[point.cellIndex] = Math.round(analysis.totalScore * 100) / 100;
+          tileData.levels[point.cellIndex] = RISK_LEVELS.indexOf(analysis.riskLevel);
+        });
+      } catch (error) {
+        console.error(`❌ リスクグリッドのバッチ取得エラー: ${chunk.length}地点`, error);
+        chunk.forEach(point => failedTileKeys.add(point.tileKey));
+      }
+    }
+
+    // 全セルを取得できたタイルのみキャッシュ（一部欠けたタイルは次回再計算）
+    const batch = this.firestore.batch();
+    let cachedCount = 0;
+
+    computedTiles.forEach((tileData, key) => {
+      if (!failedTileKeys.has(key)) {
+        batch.set(this.collection.doc(key), { ...tileData, timestamp: new Date() });
+        cachedCount++;
+      }
+    });
+
+    if (cachedCount > 0) {
+      try {
+        await batch.commit();
+        console.log(`✅ リスクグリッドタイル保存完了: ${cachedCount}件`);
+      } catch (error) {
+        console.error('❌ リスクグリッドタイル保存エラー:', error);
+      }
+    }
+
+    return computedTiles;
+  }
+
+  /**
+   * タイル中心の地域に適用される分析プロファイルを選択
+   */
+  static _selectTileProfile(profiles, tile, resolution) {
+    const halfTile = RISK_GRID_SETTINGS.TILE_CELLS / 2;
+    return AnalysisProfileService.selectProfile(profiles, {
+      latitude: (tile.tileRow * RISK_GRID_SETTINGS.TILE_CELLS + halfTile) * resolution,
+      longitude: (tile.tileCol * RISK_GRID_SETTINGS.TILE_CELLS + halfTile) * resolution,
+    });
+  }
+
+  /**
+   * タイルに記録するプロファイルの識別子（'profileId@version'）
+   */
+  static _profileKey(profile) {
+    return `${profile.profileId}@${profile.version}`;
+  }
+
+  /**
+   * タイルからグリッド範囲のセルを取り出す
+   *
+   * @returns {Array<Array<Object|null>>} [行（北→南）][列（西→東）] = { score, level } または null
+   */
+  _collectCells(grid, tiles) {
+    const size = RISK_GRID_SETTINGS.TILE_CELLS;
+    const cells = [];
+
+    for (let row = grid.maxRow; row >= grid.minRow; row--) {
+      const cellRow = [];
+
+      for (let col = grid.minCol; col <= grid.maxCol; col++) {
+        const tileRow = Math.floor(row / size);
+        const tileCol = Math.floor(col / size);
+        const tileData = tiles.get(RiskGridService.generateTileKey(grid.resolution, tileRow, tileCol));
+        const cellIndex = (row - tileRow * size) * size + (col - tileCol * size);
+
+        if (tileData && tileData.scores[cellIndex] !== null && tileData.scores[cellIndex] !== undefined) {
+          cellRow.push({ score: tileData.scores[cellIndex], level: tileData.levels[cellIndex] });
+        } else {
+          cellRow.push(null);
+        }
+      }
+
+      cells.push(cellRow);
+    }
+
+    return cells;
+  }
+
+  /**
+   * 行列形式に変換
+   *
+   * scores / levels は [行（北→南）][列（西→東）]、取得できなかったセルは null
+   * levels は riskLevels のインデックス（0: 極めて低い 〜 3: 高い）
+   */
+  static toMatrix(grid, cells) {
+    return {
+      format: 'matrix',
+      resolution: grid.resolution,
+      rows: grid.rows,
+      cols: grid.cols,
+      bounds: RiskGridService._gridBounds(grid),
+      riskLevels: RISK_LEVELS,
+      scores: cells.map(row => row.map(cell => (cell ? cell.score : null))),
+      levels: cells.map(row => row.map(cell => (cell ? cell.level : null))),
+    };
+  }
+
+  /**
+   * GeoJSON 形式に変換（リスクレベルごとに1つの MultiPolygon）
+   */
+  static toGeoJson(grid, cells) {
+    const polygonsByLevel = RISK_LEVELS.map(() => []);
+
+    cells.forEach((cellRow, rowOffset) => {
+      const row = grid.maxRow - rowOffset;
+
+      cellRow.forEach((cell, colOffset) => {
+        if (!cell || cell.level < 0) {
+          return;
+        }
+
+        const col = grid.minCol + colOffset;
+        const south = RiskGridService._toDegrees(row, grid.resolution);
+        const west = RiskGridService._toDegrees(col, grid.resolution);
+        const north = RiskGridService._toDegrees(row + 1, grid.resolution);
+        const east = RiskGridService._toDegrees(col + 1, grid.resolution);
+
+        polygonsByLevel[cell.level].push([[
+          [west, south], [east, south], [east, north], [west, north], [west, south]
+        ]]);
+      });
+    });
+
+    const bounds = RiskGridService._gridBounds(grid);
+
+    return {
+      type: 'FeatureCollection',
+      bbox: [bounds.west, bounds.south, bounds.east, bounds.north],
+      features: polygonsByLevel
+        .map((polygons, level) => ({
+          type: 'Feature',
+          geometry: { type: 'MultiPolygon', coordinates: polygons },
+          properties: { riskLevel: RISK_LEVELS[level], level, cellCount: polygons.length },
+        }))
+        .filter(feature => feature.properties.cellCount > 0),
+    };
+  }
+
+  /**
+   * グリッド全体（セル境界に揃えた範囲）の緯度経度
+   */
+  static _gridBounds(grid) {
+    return {
+      south: RiskGridService._toDegrees(grid.minRow, grid.resolution),
+      west: RiskGridService._toDegrees(grid.minCol, grid.resolution),
+      north: RiskGridService._toDegrees(grid.maxRow + 1, grid.resolution),
+      east: RiskGridService._toDegrees(grid.maxCol + 1, grid.resolution),
+    };
+  }
+
+  /**
+   * セル境界のインデックスを緯度経度に変換（浮動小数点の誤差を丸める）
+   */
+  static _toDegrees(index, resolution) {
+    return Math.round(index * resolution * 1e6) / 1e6;
+  }
+}
+
+module.exports = RiskGridService;
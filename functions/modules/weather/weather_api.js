@@ -1,26 +1,65 @@
 /**
  * 気象データAPI通信クラス
  *
- * Open-Meteo Weather APIとの通信を担当する
+ * 気象データプロバイダーを介した気象データ取得の窓口
  * 単一地点・複数地点のバッチ処理に対応し、効率的な気象データ取得を実現
  *
  * 主な機能:
- * - Open-Meteo APIからの気象データ取得
+ * - 設定で選択されたプロバイダーからの気象データ取得
  * - バッチ処理による複数地点同時取得
  * - APIエラーハンドリング
- * - デフォルトデータ生成
+ *
+ * 欠損の扱い:
+ * - 取得できなかった地点・値は既定値で補わず null とする
+ *   （架空の快晴データで「入道雲なし」と判定しないため）
  *
  * 取得する気象パラメータ:
  * - CAPE (対流有効位置エネルギー)
  * - Lifted Index (持ち上げ指数)
  * - Convective Inhibition (対流抑制)
  * - Temperature (気温)
- * - Cloud Cover (雲量3層)
+ * - Cloud Cover (雲量3層 + 下層雲量)
+ * - Precipitation / Showers (降水量・にわか雨)
+ * - Lightning Potential (雷ポテンシャル、対応モデルのみ)
+ * - Freezing Level Height (凍結高度)
+ * - Wind Gusts (突風)
+ * - Dew Point (露点温度)
+ *
+ * 時間軸:
+ * - 毎時データのうち現在時刻に対応する時間帯を現在値として採用
+ * - 続く FORECAST_HOURS 時間分を予報値（forecast）として付与
+ *
+ * プロバイダー:
+ * - 環境変数 WEATHER_PROVIDER で切り替え（open-meteo / fixture）
+ * - 詳細は ./providers/index.js を参照
  */
 
-const axios = require('axios');
+const { createWeatherProvider } = require('./providers');
+
+let provider = null;
 
 class WeatherAPI {
+  /**
+   * 使用中のプロバイダーを取得（初回呼び出し時に設定から生成）
+   *
+   * @returns {WeatherProvider} プロバイダーインスタンス
+   */
+  static getProvider() {
+    if (!provider) {
+      provider = createWeatherProvider();
+    }
+    return provider;
+  }
+
+  /**
+   * 使用するプロバイダーを差し替える
+   *
+   * @param {WeatherProvider|null} newProvider - プロバイダー（nullで設定値から再生成）
+   */
+  static setProvider(newProvider) {
+    provider = newProvider;
+  }
+
   /**
    * 単一地点の気象データを取得
    *
@@ -29,30 +68,15 @@ class WeatherAPI {
    * @returns {Object|null} 気象データオブジェクト（取得失敗時はnull）
    *
    * 処理フロー:
-   * 1. Open-Meteo APIにリクエスト送信
-   * 2. レスポンスから必要な気象パラメータを抽出
+   * 1. プロバイダーにリクエスト送信
+   * 2. 共通形式に正規化された気象データを受け取る
    * 3. エラー時はnullを返却（フォールバック処理用）
    */
   static async fetchSingleLocation(lat, lon) {
     try {
-      const response = await axios.get(
-        'https://api.open-meteo.com/v1/forecast?' +
-        `latitude=${lat.toFixed(6)}&longitude=${lon.toFixed(6)}&` +
-        'hourly=cape,lifted_index,convective_inhibition,cloud_cover,cloud_cover_mid,cloud_cover_high&' +
-        'current=temperature_2m&timezone=auto&forecast_days=1'
-      );
-
-      return {
-        cape: response.data.hourly.cape[0] || 0,
-        lifted_index: response.data.hourly.lifted_index[0] || 0,
-        convective_inhibition: response.data.hourly.convective_inhibition[0] || 0,
-        temperature: response.data.current.temperature_2m || 20,
-        cloud_cover: response.data.hourly.cloud_cover[0] || 0,
-        cloud_cover_mid: response.data.hourly.cloud_cover_mid[0] || 0,
-        cloud_cover_high: response.data.hourly.cloud_cover_high[0] || 0
-      };
+      return await this.getProvider().fetchSingle(lat, lon);
     } catch (error) {
-      console.error('❌ Open-Meteo API エラー:', error);
+      console.error(`❌ 気象データプロバイダー (${this.getProvider().name}) エラー:`, error);
       return null;
     }
   }
@@ -61,12 +85,10 @@ class WeatherAPI {
    * 複数地点の気象データを一括取得（最適化されたバッチ処理）
    *
    * @param {Array<Object>} coordinates - 座標配列 [{latitude, longitude}, ...]
-   * @returns {Array<Object>} 各地点の気象データ配列
+   * @returns {Array<Object|null>} 各地点の気象データ配列（座標と同じ順序、取得できなかった地点は null）
    *
    * 最適化ポイント:
-   * - Open-Meteoの複数地点同時取得機能を活用
-   * - 60秒タイムアウトで大量データに対応
-   * - データ不足時は自動的にデフォルト値で補完
+   * - プロバイダーの複数地点同時取得機能を活用
    * - 詳細なエラーハンドリングでデバッグ支援
    *
    * パフォーマンス:
@@ -81,51 +103,25 @@ class WeatherAPI {
     console.log(`📊 段階的バッチAPI呼び出し: ${coordinates.length}地点の気象データを取得`);
 
     try {
-      // Open-Meteoの複数地点同時取得機能を使用
-      const latitudes = coordinates.map(coord => coord.latitude.toFixed(6)).join(',');
-      const longitudes = coordinates.map(coord => coord.longitude.toFixed(6)).join(',');
-
       console.log(`🌐 API呼び出し: ${coordinates.length}地点を同時取得`);
 
-      const response = await axios.get(
-        'https://api.open-meteo.com/v1/forecast?' +
-        `latitude=${latitudes}&longitude=${longitudes}&` +
-        'hourly=cape,lifted_index,convective_inhibition,cloud_cover,cloud_cover_mid,cloud_cover_high&' +
-        'current=temperature_2m&timezone=auto&forecast_days=1',
-        {
-          timeout: 60000, // 60秒タイムアウト（段階的処理用）
-          headers: {
-            'User-Agent': 'ThunderCloudApp/1.0'
-          },
-          maxRedirects: 3,
-          validateStatus: function (status) {
-            return status >= 200 && status < 300;
-          }
-        }
-      );
+      const results = await this.getProvider().fetchBatch(coordinates);
 
       console.log(`✅ 段階的バッチAPI呼び出し成功: ${coordinates.length}地点`);
 
-      // レスポンスを各地点に分割
-      const results = [];
-      const dataCount = Array.isArray(response.data.latitude) ? response.data.latitude.length : 1;
-
-      if (dataCount !== coordinates.length) {
-        console.warn(`⚠️ データ数不一致: 期待値${coordinates.length}、実際${dataCount}`);
+      if (results.length !== coordinates.length) {
+        console.warn(`⚠️ データ数不一致: 期待値${coordinates.length}、実際${results.length}`);
       }
 
-      for (let i = 0; i < Math.min(dataCount, coordinates.length); i++) {
-        const weatherData = this._extractWeatherDataFromResponse(response.data, i);
-        results.push(weatherData);
-      }
+      const normalized = results.slice(0, coordinates.length);
 
-      // データが不足している場合はデフォルト値で補完
-      while (results.length < coordinates.length) {
-        results.push(this._getDefaultWeatherData());
+      // データが不足している地点は欠損（null）として返す
+      while (normalized.length < coordinates.length) {
+        normalized.push(null);
       }
 
-      console.log(`✅ 段階的バッチ処理完了: ${results.length}地点のデータを処理`);
-      return results;
+      console.log(`✅ 段階的バッチ処理完了: ${normalized.length}地点のデータを処理`);
+      return normalized;
 
     } catch (error) {
       this._handleAPIError(error, coordinates.length);
@@ -133,74 +129,6 @@ class WeatherAPI {
     }
   }
 
-  /**
-   * APIレスポンスから気象データを抽出
-   *
-   * @param {Object} responseData - Open-Meteo APIレスポンス
-   * @param {number} index - 対象データのインデックス（複数地点取得時）
-   * @returns {Object} 正規化された気象データ
-   *
-   * データ正規化処理:
-   * - 配列・単一値の両方に対応
-   * - null/undefinedの安全な処理
-   * - デフォルト値による欠損データ補完
-   */
-  static _extractWeatherDataFromResponse(responseData, index) {
-    return {
-      cape: Array.isArray(responseData.hourly.cape) ?
-        (responseData.hourly.cape[index] ? responseData.hourly.cape[index][0] || 0 : 0) :
-        (responseData.hourly.cape[0] || 0),
-      lifted_index: Array.isArray(responseData.hourly.lifted_index) ?
-        (responseData.hourly.lifted_index[index] ? responseData.hourly.lifted_index[index][0] || 0 : 0) :
-        (responseData.hourly.lifted_index[0] || 0),
-      convective_inhibition: Array.isArray(responseData.hourly.convective_inhibition) ?
-        (responseData.hourly.convective_inhibition[index] ?
-          responseData.hourly.convective_inhibition[index][0] || 0 : 0) :
-        (responseData.hourly.convective_inhibition[0] || 0),
-      temperature: Array.isArray(responseData.current.temperature_2m) ?
-        (responseData.current.temperature_2m[index] || 20) :
-        (responseData.current.temperature_2m || 20),
-      cloud_cover: Array.isArray(responseData.hourly.cloud_cover) ?
-        (responseData.hourly.cloud_cover[index] ? responseData.hourly.cloud_cover[index][0] || 0 : 0) :
-        (responseData.hourly.cloud_cover[0] || 0),
-      cloud_cover_mid: Array.isArray(responseData.hourly.cloud_cover_mid) ?
-        (responseData.hourly.cloud_cover_mid[index] ? responseData.hourly.cloud_cover_mid[index][0] || 0 : 0) :
-        (responseData.hourly.cloud_cover_mid[0] || 0),
-      cloud_cover_high: Array.isArray(responseData.hourly.cloud_cover_high) ?
-        (responseData.hourly.cloud_cover_high[index] ? responseData.hourly.cloud_cover_high[index][0] || 0 : 0) :
-        (responseData.hourly.cloud_cover_high[0] || 0)
-    };
-  }
-
-  /**
-   * デフォルト気象データ生成
-   *
-   * @returns {Object} 安全なデフォルト気象データ
-   *
-   * 用途:
-   * - API取得失敗時のフォールバック
-   * - 欠損データの補完
-   * - テスト環境での安定動作
-   *
-   * デフォルト値の根拠:
-   * - CAPE: 0 (対流なし)
-   * - LI: 0 (中性状態)
-   * - CIN: 0 (抑制なし)
-   * - 気温: 20℃ (日本の平均的気温)
-   * - 雲量: 0% (快晴状態)
-   */
-  static _getDefaultWeatherData() {
-    return {
-      cape: 0,
-      lifted_index: 0,
-      convective_inhibition: 0,
-      temperature: 20,
-      cloud_cover: 0,
-      cloud_cover_mid: 0,
-      cloud_cover_high: 0
-    };
-  }
-
   /**
    * APIエラー詳細処理・ログ出力
    *
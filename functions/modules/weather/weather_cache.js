@@ -5,253 +5,459 @@
  * API呼び出し回数を削減し、レスポンス速度向上とコスト削減を実現
  *
  * 主な機能:
- * - 気象データの保存・取得
- * - キャッシュ有効期限管理
- * - 方向別・距離別データの構造化保存
- * - 期限切れデータの自動クリーンアップ
+ * - 地点データ（ジオハッシュセル単位）の保存・取得
+ * - 中心座標サマリー（方向別・距離別データ）の保存・取得
+ * - 鮮度区分（fresh / stale / expired）による有効性判定
+ * - 期限切れデータの削除は CleanupService が行う
  * - キャッシュ統計情報の提供
  *
- * キャッシュ戦略:
- * - 有効期限: 設定可能（デフォルト: 30分）
- * - キーパターン: "lat_lon" (例: "35.6762_139.6503")
- * - データ構造: 方向別・距離別のネストされたオブジェクト
+ * キャッシュ構成:
+ * - 地点データ: weather_cache/{geohash}（全ユーザー・監視処理・API で共有）
+ * - 中心座標サマリー: weather_origin_summaries/weather_{lat}_{lon}（地点データから派生、アプリが読み込む）
+ * - 各ドキュメントに schemaVersion を持ち、現在のバージョンと異なるものはキャッシュなしとして扱う
+ *
+ * 鮮度区分:
+ * - fresh: FRESH_MS 以内（そのまま使用）
+ * - stale: STALE_USABLE_MS 以内（取得に失敗した場合の代替として使用可）
+ * - expired: それ以上（使用しない）
+ *
+ * メモリキャッシュ:
+ * - Firestore の読み込み結果と書き込み内容を関数インスタンス内の LRU に FRESH_MS の間保持する
+ * - 鮮度は LRU への保存時刻ではなくドキュメントの保存時刻で判定し、許容外の場合は Firestore を読み直す
+ * - ヒット・ミス件数はインスタンスごとに集計し、キャッシュ統計に含める
+ *
+ * 利用統計:
+ * - 読み書きの件数・経過時間の分布を CacheStatsRecorder で累計・1時間ごとに記録する
+ * - ドキュメント数は集計クエリ（count）で求め、コレクション全体は読み込まない
  */
 
 const admin = require('firebase-admin');
-const { WEATHER_CONSTANTS, HelperFunctions } = require('../../constants');
+const BatchProcessor = require('../utils/batch_processor');
+const LruCache = require('../utils/lru_cache');
+const CacheStatsRecorder = require('./cache_stats_recorder');
+const { encodeGeohash } = require('../../coordinate_utils');
+const {
+  WEATHER_CONSTANTS,
+  WEATHER_CACHE_SETTINGS,
+  CACHE_FRESHNESS,
+  CLEANUP_SETTINGS,
+  BATCH_SETTINGS,
+  HelperFunctions
+} = require('../../constants');
+
+// 新しい順の鮮度区分
+const FRESHNESS_ORDER = [CACHE_FRESHNESS.FRESH, CACHE_FRESHNESS.STALE, CACHE_FRESHNESS.EXPIRED];
+
+// cacheType（地点データ・中心座標サマリー）
+const POINT_TYPE = 'point';
+const SUMMARY_TYPE = 'origin_summary';
+
+// インスタンス内で共有するメモリキャッシュ（"コレクション名/キー" → { data, timestamp }）
+const memoryCache = new LruCache(WEATHER_CACHE_SETTINGS.MEMORY_MAX_ENTRIES, WEATHER_CACHE_SETTINGS.FRESH_MS);
+const memoryStats = { hits: 0, misses: 0 };
 
 class WeatherCache {
   constructor() {
     this.firestore = admin.firestore();
-    this.CACHE_DURATION = WEATHER_CONSTANTS.CACHE_DURATION_MS;
+    this.pointCollection = this.firestore.collection(WEATHER_CACHE_SETTINGS.POINT_COLLECTION);
+    this.summaryCollection = this.firestore.collection(WEATHER_CACHE_SETTINGS.SUMMARY_COLLECTION);
+    this.statsRecorder = new CacheStatsRecorder();
   }
 
   /**
-   * キャッシュからデータを取得
-   *
-   * @param {number} lat - 緯度
-   * @param {number} lon - 経度
-   * @returns {Object|null} キャッシュされた気象データ（期限切れ・存在しない場合はnull）
-   *
-   * 処理フロー:
-   * 1. 座標からキャッシュキーを生成
-   * 2. Firestoreからドキュメント取得
-   * 3. 有効期限チェック（現在時刻 - 保存時刻 < 有効期限）
-   * 4. 有効な場合はデータを返却、無効な場合はnull
+   * 地点データのキャッシュキー（ジオハッシュ）
+   */
+  static pointKey(lat, lon) {
+    return encodeGeohash(lat, lon);
+  }
+
+  /**
+   * 中心座標サマリーのキャッシュキー（アプリと共通の "weather_{lat}_{lon}" 形式）
+   */
+  static summaryKey(lat, lon) {
+    return HelperFunctions.generateCacheKey(lat, lon);
+  }
+
+  /**
+   * 保存時刻から鮮度区分を判定
    *
-   * パフォーマンス:
-   * - キャッシュヒット時: API呼び出し0回
-   * - 応答時間: ~50ms (vs API直接: ~500ms)
+   * @param {Date} timestamp - 保存時刻
+   * @param {Date} now - 基準時刻
+   * @returns {string} CACHE_FRESHNESS のいずれか
    */
-  async get(lat, lon) {
-    const cacheKey = HelperFunctions.generateCacheKey(lat, lon);
-    const now = new Date();
+  static classifyFreshness(timestamp, now = new Date()) {
+    const ageMs = now.getTime() - timestamp.getTime();
 
-    try {
-      const cacheDoc = await this.firestore.collection('weather_cache').doc(cacheKey).get();
+    if (ageMs < WEATHER_CACHE_SETTINGS.FRESH_MS) {
+      return CACHE_FRESHNESS.FRESH;
+    }
+    if (ageMs < WEATHER_CACHE_SETTINGS.STALE_USABLE_MS) {
+      return CACHE_FRESHNESS.STALE;
+    }
+    return CACHE_FRESHNESS.EXPIRED;
+  }
 
-      if (cacheDoc.exists) {
-        const cachedData = cacheDoc.data();
-        const cacheTime = cachedData.timestamp.toDate();
+  /**
+   * キャッシュドキュメントをメモリキャッシュ用のレコードに変換
+   *
+   * @param {Object} cachedData - ドキュメントのデータ
+   * @returns {Object|null} { data, timestamp }（スキーマ不一致の場合はnull）
+   */
+  static toRecord(cachedData) {
+    if (!cachedData || cachedData.schemaVersion !== WEATHER_CACHE_SETTINGS.SCHEMA_VERSION || !cachedData.timestamp) {
+      return null;
+    }
 
-        // キャッシュが有効期限内の場合
-        if (now.getTime() - cacheTime.getTime() < this.CACHE_DURATION) {
-          console.log(`✅ キャッシュからデータを取得: ${cacheKey}`);
-          return cachedData.data;
-        }
-      }
+    return { data: cachedData.data, timestamp: cachedData.timestamp.toDate() };
+  }
 
+  /**
+   * レコードを鮮度付きのエントリに変換
+   *
+   * @param {Object|null} record - toRecord の結果
+   * @param {string} accept - 許容する最も古い鮮度区分
+   * @param {Date} now - 基準時刻
+   * @returns {Object|null} { data, freshness, timestamp }（許容外の場合はnull）
+   */
+  static toEntry(record, accept, now = new Date()) {
+    if (!record) {
       return null;
-    } catch (error) {
-      console.error(`❌ キャッシュ取得エラー (${cacheKey}):`, error);
+    }
+
+    const freshness = this.classifyFreshness(record.timestamp, now);
+    if (FRESHNESS_ORDER.indexOf(freshness) > FRESHNESS_ORDER.indexOf(accept)) {
       return null;
     }
+
+    return { data: record.data, freshness, timestamp: record.timestamp };
   }
 
   /**
-   * データをキャッシュに保存
+   * メモリキャッシュの統計（このインスタンスの起動以降）
+   */
+  static getMemoryStats() {
+    const lookups = memoryStats.hits + memoryStats.misses;
+
+    return {
+      entries: memoryCache.size,
+      maxEntries: memoryCache.maxEntries,
+      ttlMs: memoryCache.ttlMs,
+      hits: memoryStats.hits,
+      misses: memoryStats.misses,
+      evictions: memoryCache.evictions,
+      hitRate: lookups > 0 ? memoryStats.hits / lookups : null,
+    };
+  }
+
+  /**
+   * メモリキャッシュから許容範囲のエントリを取得し、ヒット・ミスを記録
+   */
+  _getFromMemory(memoryKey, accept, now) {
+    const entry = WeatherCache.toEntry(memoryCache.get(memoryKey, now.getTime()) || null, accept, now);
+
+    if (entry) {
+      memoryStats.hits++;
+    } else {
+      memoryStats.misses++;
+    }
+    return entry;
+  }
+
+  /**
+   * 中心座標サマリーを取得
    *
    * @param {number} lat - 緯度
    * @param {number} lon - 経度
-   * @param {Object} data - 保存する気象データ
-   * @param {string} cacheType - キャッシュタイプ ('standard', 'multi_distance_directional')
-   *
-   * 保存データ構造:
-   * - data: 気象データ本体
-   * - timestamp: 保存時刻（有効期限計算用）
-   * - location: 座標情報（デバッグ・管理用）
-   * - cacheType: データ形式識別子
+   * @param {string} accept - 許容する最も古い鮮度区分（省略時は fresh のみ）
+   * @returns {Object|null} { data, freshness, timestamp }（許容外・存在しない場合はnull）
    *
-   * 保存先: Firestore collection 'weather_cache'
-   * 上書き方式: 同一キーの場合は新しいデータで上書き
+   * パフォーマンス:
+   * - キャッシュヒット時: API呼び出し0回
+   * - 応答時間: ~50ms (vs API直接: ~500ms)
    */
-  async set(lat, lon, data, cacheType = 'standard') {
-    const cacheKey = HelperFunctions.generateCacheKey(lat, lon);
+  async getSummary(lat, lon, accept = CACHE_FRESHNESS.FRESH) {
+    const cacheKey = WeatherCache.summaryKey(lat, lon);
+    const memoryKey = `${this.summaryCollection.id}/${cacheKey}`;
     const now = new Date();
 
+    const memoryEntry = this._getFromMemory(memoryKey, accept, now);
+    if (memoryEntry) {
+      this.statsRecorder.recordLookup(SUMMARY_TYPE, memoryEntry, true, now);
+      return memoryEntry;
+    }
+
     try {
-      await this.firestore.collection('weather_cache').doc(cacheKey).set({
-        data: data,
-        timestamp: now,
-        location: { lat, lon },
-        cacheType: cacheType
-      });
+      const cacheDoc = await this.summaryCollection.doc(cacheKey).get();
+      const record = cacheDoc.exists ? WeatherCache.toRecord(cacheDoc.data()) : null;
+      if (record) {
+        memoryCache.set(memoryKey, record);
+      }
 
-      console.log(`✅ キャッシュ保存完了: ${cacheKey}`);
+      const entry = WeatherCache.toEntry(record, accept, now);
+      this.statsRecorder.recordLookup(SUMMARY_TYPE, entry, false, now);
+      if (entry) {
+        console.log(`✅ キャッシュからデータを取得: ${cacheKey} (${entry.freshness})`);
+      }
+      return entry;
     } catch (error) {
-      console.error(`❌ キャッシュ保存エラー (${cacheKey}):`, error);
+      console.error(`❌ キャッシュ取得エラー (${cacheKey}):`, error);
+      this.statsRecorder.recordLookup(SUMMARY_TYPE, null, false, now);
+      return null;
     }
   }
 
   /**
-   * 方向別・距離別の複合気象データをキャッシュに保存
+   * 中心座標サマリーを保存
    *
    * @param {number} lat - 中心座標の緯度
    * @param {number} lon - 中心座標の経度
    * @param {Object} directionalData - 方向別データオブジェクト
+   * @param {string} source - 作成元（'on_demand': API、'scheduled': 定期キャッシュ）
    *
-   * データ構造例:
+   * データ構造例（API・定期キャッシュとも同じ形式）:
    * {
    *   "north": {
-   *     "5km": { coordinates: {}, analysis: {}, cape: 100, ... },
-   *     "10km": { coordinates: {}, analysis: {}, cape: 150, ... }
+   *     coordinates: { lat, lon },
+   *     analysis: { riskLevel, totalScore, ... },
+   *     cape: 1200, ...,
+   *     selectedDistance: 160,
+   *     forecast: { timeline: [], trend: 'rising', ... },
+   *     samples: [{ distance: 50, coordinates: {}, analysis: {}, ... }, ...]
    *   },
    *   "south": { ... }
    * }
    *
-   * 用途:
-   * - 入道雲監視システムの効率化
-   * - 方向別リスクアセスメント
-   * - ユーザー位置周辺の包括的気象状況把握
+   * 上書き方式: 同一キーの場合は新しいデータで上書き
    */
-  async setDirectionalData(lat, lon, directionalData) {
-    const cacheKey = HelperFunctions.generateCacheKey(lat, lon);
+  async setSummary(lat, lon, directionalData, source) {
+    const cacheKey = WeatherCache.summaryKey(lat, lon);
+    const now = new Date();
 
     try {
-      await this.firestore.collection('weather_cache').doc(cacheKey).set({
+      await this.summaryCollection.doc(cacheKey).set({
+        schemaVersion: WEATHER_CACHE_SETTINGS.SCHEMA_VERSION,
         data: directionalData,
-        timestamp: new Date(),
+        timestamp: now,
         location: {
           latitude: lat,
           longitude: lon
         },
-        cacheType: 'multi_distance_directional'
+        cacheType: SUMMARY_TYPE,
+        source
       });
+      memoryCache.set(`${this.summaryCollection.id}/${cacheKey}`, { data: directionalData, timestamp: now });
+      this.statsRecorder.recordWrites(SUMMARY_TYPE, 1);
 
       console.log(`✅ 気象データキャッシュ保存完了: ${cacheKey}`);
     } catch (error) {
       console.error(`❌ キャッシュ保存エラー (${cacheKey}):`, error);
     }
+
+    await this.statsRecorder.flushIfDue(now);
   }
 
   /**
-   * 期限切れキャッシュの一括削除処理
+   * 複数地点の気象データをまとめて取得
    *
-   * @param {number} retentionHours - データ保持時間（時間）
-   * @param {number} batchSize - 一度に削除する最大件数
-   * @returns {number} 削除されたドキュメント数
+   * @param {Array<string>} cacheKeys - 地点キャッシュキー（pointKey）の配列
+   * @param {string} accept - 許容する最も古い鮮度区分（省略時は fresh のみ）
+   * @returns {Map<string, Object>} キャッシュキー → { data, freshness, timestamp }（許容範囲の地点のみ）
    *
    * 処理方式:
-   * 1. 指定時間より古いドキュメントを検索
-   * 2. バッチサイズ分をFirestore batched writeで一括削除
-   * 3. 削除件数をログ出力・返却
-   *
-   * パフォーマンス配慮:
-   * - バッチサイズ制限でFirestore負荷制御
-   * - インデックスを活用した効率的クエリ
-   * - 大量データ削除時のタイムアウト回避
-   *
-   * 実行タイミング: 毎日午前3時（低負荷時間帯）
+   * - メモリキャッシュにない地点のみ CACHE_READ_CHUNK_SIZE 件ずつ getAll で読み込み
+   * - スキーマバージョンが異なるものや許容外の鮮度のものは除外
+   * - 読み込みに失敗したチャンクは未キャッシュとして扱う
    */
-  async cleanup(retentionHours = 24, batchSize = 100) {
+  async getMany(cacheKeys, accept = CACHE_FRESHNESS.FRESH) {
+    const results = new Map();
     const now = new Date();
-    const cutoffTime = new Date(now.getTime() - (retentionHours * 60 * 60 * 1000));
+    const memoryKey = (cacheKey) => `${this.pointCollection.id}/${cacheKey}`;
 
-    console.log(`📅 ${cutoffTime.toISOString()} より古いキャッシュを削除`);
+    // メモリキャッシュにない地点のみ Firestore から読み込む
+    const missingKeys = cacheKeys.filter(cacheKey => {
+      const entry = this._getFromMemory(memoryKey(cacheKey), accept, now);
+      if (entry) {
+        results.set(cacheKey, entry);
+        this.statsRecorder.recordLookup(POINT_TYPE, entry, true, now);
+      }
+      return !entry;
+    });
 
-    try {
-      const snapshot = await this.firestore
-        .collection('weather_cache')
-        .where('timestamp', '<', cutoffTime)
-        .limit(batchSize)
-        .get();
-
-      if (snapshot.empty) {
-        console.log('✅ 削除対象のキャッシュなし');
-        return 0;
+    for (const chunk of BatchProcessor.chunkArray(missingKeys, BATCH_SETTINGS.CACHE_READ_CHUNK_SIZE)) {
+      try {
+        const docs = await this.firestore.getAll(...chunk.map(cacheKey => this.pointCollection.doc(cacheKey)));
+
+        docs.forEach(cacheDoc => {
+          const record = cacheDoc.exists ? WeatherCache.toRecord(cacheDoc.data()) : null;
+          if (!record) {
+            return;
+          }
+
+          memoryCache.set(memoryKey(cacheDoc.id), record);
+          const entry = WeatherCache.toEntry(record, accept, now);
+          if (entry) {
+            results.set(cacheDoc.id, entry);
+          }
+        });
+      } catch (error) {
+        console.error(`❌ キャッシュ一括取得エラー: ${chunk.length}件`, error);
       }
+    }
 
-      const batch = this.firestore.batch();
-      let deleteCount = 0;
+    missingKeys.forEach(cacheKey => {
+      this.statsRecorder.recordLookup(POINT_TYPE, results.get(cacheKey) || null, false, now);
+    });
 
-      snapshot.docs.forEach((doc) => {
-        batch.delete(doc.ref);
-        deleteCount++;
-      });
+    return results;
+  }
 
-      await batch.commit();
-      console.log(`✅ キャッシュクリーンアップ完了: ${deleteCount}件削除`);
+  /**
+   * 地点ごとの気象データをまとめてキャッシュに保存
+   *
+   * @param {Array<Object>} points - [{ latitude, longitude, data }, ...]
+   *
+   * ジオハッシュのセルをキーとして保存するため、同じセル内の地点は
+   * ユーザーや処理（監視・定期キャッシュ・API）をまたいで同じデータを共有する
+   */
+  async setPointData(points) {
+    const now = new Date();
 
-      return deleteCount;
-    } catch (error) {
-      console.error('❌ キャッシュクリーンアップエラー:', error);
-      return 0;
+    for (const chunk of BatchProcessor.chunkArray(points, BATCH_SETTINGS.CACHE_WRITE_CHUNK_SIZE)) {
+      const batch = this.firestore.batch();
+      chunk.forEach(point => {
+        const geohash = WeatherCache.pointKey(point.latitude, point.longitude);
+        batch.set(this.pointCollection.doc(geohash), {
+          schemaVersion: WEATHER_CACHE_SETTINGS.SCHEMA_VERSION,
+          geohash,
+          data: point.data,
+          timestamp: now,
+          location: {
+            latitude: point.latitude,
+            longitude: point.longitude
+          },
+          cacheType: POINT_TYPE
+        });
+      });
+
+      try {
+        await batch.commit();
+        chunk.forEach(point => {
+          const geohash = WeatherCache.pointKey(point.latitude, point.longitude);
+          memoryCache.set(`${this.pointCollection.id}/${geohash}`, { data: point.data, timestamp: now });
+        });
+        this.statsRecorder.recordWrites(POINT_TYPE, chunk.length);
+        console.log(`✅ 地点データキャッシュ保存完了: ${chunk.length}件`);
+      } catch (error) {
+        console.error(`❌ 地点データキャッシュ保存エラー: ${chunk.length}件`, error);
+      }
     }
+
+    await this.statsRecorder.flushIfDue(now);
+  }
+
+  /**
+   * このインスタンスで未保存の利用統計を反映（監視処理などの終了時に呼び出す）
+   */
+  async flushStats() {
+    await this.statsRecorder.flush();
   }
 
   /**
    * キャッシュ利用統計情報を取得
    *
+   * @param {Object} options - { hours } 指定した場合は直近の時間数分の1時間ごとの統計（series）を含める
    * @returns {Object} キャッシュ統計データ
    *
    * 統計項目:
-   * - totalCaches: 総キャッシュ数
-   * - recentCaches: 1時間以内の新しいキャッシュ数
-   * - oldCaches: 2時間以上古いキャッシュ数（削除対象）
+   * - totalCaches: 地点データの総数
+   * - recentCaches: 1時間以内の新しい地点データ数
+   * - oldCaches: 2時間以上古い地点データ数（削除対象）
+   * - originSummaries: 中心座標サマリーの総数
+   * - documentsByCacheType: cacheType ごとのドキュメント数（schemaVersion 導入前のものを含む）
+   * - usage: 累計の書き込み・ヒット・ミス件数、ヒット率、省略できた取得件数、経過時間の分布
+   * - writesPerHour: 直近 STATS_RATE_WINDOW_HOURS 時間の1時間あたりの書き込み件数
+   * - series: 1時間ごとの利用統計（hours 指定時のみ）
+   * - memory: このインスタンスのメモリキャッシュの件数・ヒット・ミス件数
    * - retentionHours: 設定された保持時間
-   * - cleanupBatchSize: クリーンアップ時のバッチサイズ
+   * - cleanupBatchSize: クリーンアップ時に1回のクエリで読み込む件数
    * - timestamp: 統計取得時刻
    *
+   * 読み込み量:
+   * - ドキュメント数は集計クエリ（count）で求める（1,000件ごとに1回分の読み込み）
+   * - 利用統計は累計ドキュメント1件と1時間ごとのドキュメント（最大 STATS_SERIES_MAX_HOURS 件）
+   *
    * 活用用途:
    * - キャッシュ効率の監視
    * - ストレージ使用量の把握
    * - クリーンアップ設定の最適化
    * - システム健康状態の確認
    */
-  async getStats() {
+  async getStats(options = {}) {
     const now = new Date();
     const oneHourAgo = new Date(now.getTime() - (60 * 60 * 1000));
     const twoHoursAgo = new Date(now.getTime() - (2 * 60 * 60 * 1000));
+    const count = async (query) => (await query.count().get()).data().count;
 
     try {
-      // 全キャッシュ数
-      const totalCacheSnapshot = await this.firestore.collection('weather_cache').get();
-
-      // 1時間以内のキャッシュ数
-      const recentCacheSnapshot = await this.firestore
-        .collection('weather_cache')
-        .where('timestamp', '>', oneHourAgo)
-        .get();
-
-      // 2時間より古いキャッシュ数（削除対象）
-      const oldCacheSnapshot = await this.firestore
-        .collection('weather_cache')
-        .where('timestamp', '<', twoHoursAgo)
-        .get();
-
-      return {
-        totalCaches: totalCacheSnapshot.size,
-        recentCaches: recentCacheSnapshot.size,
-        oldCaches: oldCacheSnapshot.size,
+      const cacheTypes = [POINT_TYPE, ...WEATHER_CACHE_SETTINGS.LEGACY_CACHE_TYPES];
+      const [totalCaches, recentCaches, oldCaches, originSummaries, ...typeCounts] = await Promise.all([
+        // 全キャッシュ数
+        count(this.pointCollection),
+        // 1時間以内のキャッシュ数
+        count(this.pointCollection.where('timestamp', '>', oneHourAgo)),
+        // 2時間より古いキャッシュ数（削除対象）
+        count(this.pointCollection.where('timestamp', '<', twoHoursAgo)),
+        // 中心座標サマリー数
+        count(this.summaryCollection),
+        ...cacheTypes.map(cacheType => count(this.pointCollection.where('cacheType', '==', cacheType))),
+      ]);
+
+      const windowHours = WEATHER_CACHE_SETTINGS.STATS_RATE_WINDOW_HOURS;
+      const [usage, hourly] = await Promise.all([
+        this.statsRecorder.getTotals(),
+        this.statsRecorder.getHourlySeries(Math.max(windowHours, options.hours || 0), now),
+      ]);
+
+      const stats = {
+        totalCaches,
+        recentCaches,
+        oldCaches,
+        originSummaries,
+        documentsByCacheType: {
+          ...Object.fromEntries(cacheTypes.map((cacheType, index) => [cacheType, typeCounts[index]])),
+          [SUMMARY_TYPE]: originSummaries,
+        },
+        usage,
+        writesPerHour: WeatherCache._writesPerHour(hourly, windowHours, now),
+        memory: WeatherCache.getMemoryStats(),
         retentionHours: WEATHER_CONSTANTS.CACHE_CLEANUP_RETENTION_HOURS,
-        cleanupBatchSize: WEATHER_CONSTANTS.CACHE_CLEANUP_BATCH_SIZE,
+        cleanupBatchSize: CLEANUP_SETTINGS.PAGE_SIZE,
         timestamp: now.toISOString()
       };
+
+      if (options.hours) {
+        const since = now.getTime() - options.hours * 60 * 60 * 1000;
+        stats.series = hourly.filter(entry => Date.parse(entry.hour) + 60 * 60 * 1000 > since);
+      }
+
+      return stats;
     } catch (error) {
       console.error('❌ キャッシュ統計取得エラー:', error);
       throw error;
     }
   }
+
+  /**
+   * 1時間ごとの統計から直近 windowHours 時間の1時間あたりの書き込み件数を求める
+   */
+  static _writesPerHour(hourly, windowHours, now) {
+    const since = now.getTime() - windowHours * 60 * 60 * 1000;
+    const writes = hourly
+      .filter(entry => Date.parse(entry.hour) + 60 * 60 * 1000 > since)
+      .reduce((sum, entry) => sum + Object.values(entry.writes).reduce((total, value) => total + value, 0), 0);
+
+    return writes / windowHours;
+  }
 }
 
 module.exports = WeatherCache;
@@ -23,149 +23,154 @@
  */
 const WeatherAPI = require('./weather_api');
 const WeatherCache = require('./weather_cache');
+const PointWeatherLoader = require('./point_weather_loader');
 const BatchProcessor = require('../utils/batch_processor');
-const { calculateDirectionCoordinates } = require('../../coordinate_utils');
-const { WEATHER_CONSTANTS, HelperFunctions } = require('../../constants');
+const AnalysisProfileService = require('../analysis/analysis_profile_service');
+const ApiError = require('../utils/api_error');
+const { buildSamplingPoints, getSamplingLayout } = require('../../coordinate_utils');
+const { WEATHER_CONSTANTS, CACHE_FRESHNESS, BATCH_SETTINGS } = require('../../constants');
 const ThunderCloudAnalyzer = require('../../thunder_cloud_analyzer');
+const { isNightModeAt } = require('../../solar_utils');
+
+// レスポンス・キャッシュに含める気象値（共通形式のキー名）
+const WEATHER_VALUE_KEYS = [
+  'cape',
+  'lifted_index',
+  'convective_inhibition',
+  'temperature',
+  'cloud_cover',
+  'cloud_cover_mid',
+  'cloud_cover_high',
+  'cloud_cover_low',
+  'precipitation',
+  'showers',
+  'lightning_potential',
+  'freezing_level_height',
+  'wind_gusts',
+  'dew_point',
+];
+
+// インスタンス内で実行中の取得処理（中心座標サマリーのキー → Promise）
+// 同じキーへの同時リクエストは1回の取得結果を共有する（地点単位の共有は PointWeatherLoader）
+const inFlightRequests = new Map();
+const coalescingStats = { upstreamRequests: 0, coalescedRequests: 0 };
 
 class WeatherService {
   constructor() {
     this.weatherCache = new WeatherCache();
-    this.CHECK_DIRECTIONS = WEATHER_CONSTANTS.CHECK_DIRECTIONS;
-    this.CHECK_DISTANCES = WEATHER_CONSTANTS.CHECK_DISTANCES;
+    this.pointLoader = new PointWeatherLoader();
+    this.profileService = new AnalysisProfileService();
+    this.samplingLayout = getSamplingLayout();
   }
 
   /**
    * キャッシュ機能付き気象データ取得
+   *
+   * @returns {Object|null} 方向別気象データ（プロバイダーから取得できない場合はnull）
+   * @throws {ApiError} 取得に失敗し、代わりに返せる古いキャッシュもない場合（502）
+   *
+   * 同じ中心座標サマリーのキーに対する取得がこのインスタンスで実行中の場合は、
+   * 新たに取得せずその結果を共有する
    */
   async getWeatherDataWithCache(lat, lon) {
-    try {
-      // キャッシュをチェック
-      const cachedData = await this.weatherCache.get(lat, lon);
-      if (cachedData) {
-        return cachedData;
-      }
+    const cacheKey = WeatherCache.summaryKey(lat, lon);
+
+    if (inFlightRequests.has(cacheKey)) {
+      coalescingStats.coalescedRequests++;
+      console.log(`🔗 実行中の取得結果を共有: ${cacheKey}`);
+      return inFlightRequests.get(cacheKey);
+    }
 
+    const request = this._getWeatherDataWithCache(lat, lon, cacheKey)
+      .finally(() => inFlightRequests.delete(cacheKey));
+    inFlightRequests.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * キャッシュ機能付き気象データ取得の本体
+   *
+   * 処理フロー:
+   * 1. 中心座標サマリーが fresh であればそのまま返す
+   * 2. プロバイダーから取得してサマリーを更新
+   * 3. 取得に失敗した場合は stale のサマリーがあれば代わりに返す
+   */
+  async _getWeatherDataWithCache(lat, lon, cacheKey) {
+    // キャッシュをチェック（取得失敗時の代替として stale まで読み込む）
+    const cached = await this.weatherCache.getSummary(lat, lon, CACHE_FRESHNESS.STALE);
+    if (cached && cached.freshness === CACHE_FRESHNESS.FRESH) {
+      return cached.data;
+    }
+
+    try {
       // キャッシュが無効または存在しない場合、APIから取得
-      console.log(`🌐 APIから新しいデータを取得: ${HelperFunctions.generateCacheKey(lat, lon)}`);
+      console.log(`🌐 APIから新しいデータを取得: ${cacheKey}`);
+      coalescingStats.upstreamRequests++;
 
       // バッチ処理で各方向のデータを取得
       const result = await this.getDirectionalWeatherData(lat, lon);
 
-      if (result) {
+      // どの方向も取得できなかった結果は保存せず、古いキャッシュでの代替に回す
+      if (result && Object.keys(result).length > 0) {
         // キャッシュに保存
-        await this.weatherCache.set(lat, lon, result);
+        await this.weatherCache.setSummary(lat, lon, result, 'on_demand');
         return result;
       }
-
-      throw new Error('Failed to fetch weather data');
-
     } catch (error) {
-      console.error(`❌ 気象データ取得エラー (${HelperFunctions.generateCacheKey(lat, lon)}):`, error);
-      throw error;
+      console.error(`❌ 気象データ取得エラー (${cacheKey}):`, error);
+      if (!cached) {
+        throw ApiError.upstreamUnavailable();
+      }
     }
+
+    if (cached) {
+      console.warn(`⚠️ 取得に失敗したため古いキャッシュを使用: ${cacheKey} (${cached.timestamp.toISOString()})`);
+      return cached.data;
+    }
+
+    return null;
   }
 
   /**
    * 各方向の気象データを取得（バッチ処理版）
+   *
+   * @param {number} baseLat - 中心の緯度
+   * @param {number} baseLon - 中心の経度
+   * @param {Object} layout - サンプリングリング構成（省略時はデフォルト構成）
+   * @returns {Object|null} 方向別気象データ（どの方向も取得できなかった場合は null）
+   *
+   * 分析には中心座標の地域に適用される分析プロファイルを使用する
    */
-  async getDirectionalWeatherData(baseLat, baseLon) {
-    console.log('🌐 最適化バッチ処理で気象データ取得開始（全距離対応）');
+  async getDirectionalWeatherData(baseLat, baseLon, layout = this.samplingLayout) {
+    console.log(`🌐 最適化バッチ処理で気象データ取得開始（${layout.name}: ${layout.directions.length}方向・全距離対応）`);
 
     // 各方向の全距離の座標を計算
-    const coordinates = [];
-
-    this.CHECK_DIRECTIONS.forEach(direction => {
-      this.CHECK_DISTANCES.forEach(distance => {
-        const coord = calculateDirectionCoordinates(direction, baseLat, baseLon, distance);
-        coordinates.push({
-          latitude: coord.latitude,
-          longitude: coord.longitude,
-          direction: direction,
-          distance: distance
-        });
-      });
-    });
+    const coordinates = buildSamplingPoints(baseLat, baseLon, layout);
+    const profile = await this.profileService.resolveProfile({ latitude: baseLat, longitude: baseLon });
 
     try {
-      // 最適化されたバッチでAPI呼び出し
-      const batchResults = await WeatherAPI.fetchBatchLocations(coordinates);
+      // 地点キャッシュにない地点のみ最適化されたバッチでAPI呼び出し
+      const batchResults = await this._loadPointWeatherData(coordinates);
 
-      if (!batchResults || batchResults.length === 0) {
+      if (batchResults.every(weatherData => !weatherData)) {
         console.log('❌ 最適化バッチ処理結果が空です');
         return null;
       }
 
-      // 各方向で最適な距離を選択
-      const result = {};
-
       // 方向別にデータを整理
-      const directionData = {};
-      this.CHECK_DIRECTIONS.forEach(direction => {
-        directionData[direction] = [];
-      });
+      const directionData = this._createDirectionBuckets(layout);
 
       batchResults.forEach((weatherData, index) => {
         if (weatherData && index < coordinates.length) {
           const coord = coordinates[index];
-          const direction = coord.direction;
-          const distance = coord.distance;
-
-          const analysis = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData);
-
-          directionData[direction].push({
-            distance: distance,
-            coordinates: {
-              lat: coord.latitude,
-              lon: coord.longitude
-            },
-            analysis: {
-              isLikely: analysis.isThunderCloudLikely,
-              totalScore: analysis.totalScore,
-              riskLevel: analysis.riskLevel,
-              capeScore: analysis.capeScore || 0,
-              liScore: analysis.liScore || 0,
-              cinScore: analysis.cinScore || 0,
-              tempScore: analysis.tempScore || 0,
-              cloudScore: analysis.cloudScore || 0,
-            },
-            cape: weatherData.cape,
-            lifted_index: weatherData.lifted_index,
-            convective_inhibition: weatherData.convective_inhibition,
-            temperature: weatherData.temperature,
-            cloud_cover: weatherData.cloud_cover,
-            cloud_cover_mid: weatherData.cloud_cover_mid,
-            cloud_cover_high: weatherData.cloud_cover_high,
-          });
+          directionData[coord.direction].push(
+            this._buildDistanceEntry(coord.latitude, coord.longitude, coord.distance, weatherData, profile)
+          );
         }
       });
 
       // 各方向で最高スコアのデータを選択
-      this.CHECK_DIRECTIONS.forEach(direction => {
-        const distanceDataList = directionData[direction];
-
-        if (distanceDataList.length > 0) {
-          // totalScoreが最高のものを選択
-          const bestData = distanceDataList.reduce((best, current) => {
-            return current.analysis.totalScore > best.analysis.totalScore ? current : best;
-          });
-
-          console.log(`📊 ${direction}方向: ${bestData.distance}km地点を選択（スコア: ${bestData.analysis.totalScore}）`);
-
-          result[direction] = {
-            coordinates: bestData.coordinates,
-            analysis: bestData.analysis,
-            cape: bestData.cape,
-            lifted_index: bestData.lifted_index,
-            convective_inhibition: bestData.convective_inhibition,
-            temperature: bestData.temperature,
-            cloud_cover: bestData.cloud_cover,
-            cloud_cover_mid: bestData.cloud_cover_mid,
-            cloud_cover_high: bestData.cloud_cover_high,
-            selectedDistance: bestData.distance
-          };
-        }
-      });
+      const result = this._selectBestByDirection(directionData, '', profile);
 
       console.log(`✅ 最適化バッチ処理完了: ${Object.keys(result).length}方向のデータを取得（各方向で最適距離を選択）`);
       return result;
@@ -175,95 +180,285 @@ class WeatherService {
 
       // フォールバック: 個別取得
       console.log('🔄 フォールバックで個別取得開始');
-      return await this._getDirectionalWeatherDataFallback(baseLat, baseLon);
+      return await this._getDirectionalWeatherDataFallback(baseLat, baseLon, layout, profile);
     }
   }
 
+  /**
+   * サンプリング地点の気象データを地点キャッシュ優先で取得
+   *
+   * @param {Array<Object>} coordinates - サンプリング地点
+   * @returns {Array<Object|null>} coordinates と同じ順の気象データ（取得できなかった地点は null）
+   *
+   * fresh な地点キャッシュがない地点のみバッチAPIで取得し、取得したデータは地点キャッシュへ保存する
+   * （バッチAPIのエラーは呼び出し元の個別取得フォールバックに任せる）
+   */
+  async _loadPointWeatherData(coordinates) {
+    const weatherDataMap = await this.pointLoader.load(coordinates, {
+      fetch: points => WeatherAPI.fetchBatchLocations(points),
+    });
+    return coordinates.map(coord => weatherDataMap.get(WeatherCache.pointKey(coord.latitude, coord.longitude)) || null);
+  }
+
   /**
    * フォールバック用の個別取得
+   *
+   * @returns {Object|null} 方向別気象データ（どの方向も取得できなかった場合は null）
    */
-  async _getDirectionalWeatherDataFallback(baseLat, baseLon) {
+  async _getDirectionalWeatherDataFallback(baseLat, baseLon, layout, profile) {
     console.log('🔄 フォールバック処理開始（全距離対応）');
 
-    const result = {};
-
     // 方向別にデータを整理
-    const directionData = {};
-    this.CHECK_DIRECTIONS.forEach(direction => {
-      directionData[direction] = [];
-    });
+    const directionData = this._createDirectionBuckets(layout);
 
-    for (const direction of this.CHECK_DIRECTIONS) {
-      for (const distance of this.CHECK_DISTANCES) {
-        try {
-          const coordinates = calculateDirectionCoordinates(direction, baseLat, baseLon, distance);
-          const weatherData = await WeatherAPI.fetchSingleLocation(coordinates.latitude, coordinates.longitude);
-
-          if (weatherData) {
-            const analysis = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData);
-
-            directionData[direction].push({
-              distance: distance,
-              coordinates: {
-                lat: coordinates.latitude,
-                lon: coordinates.longitude
-              },
-              analysis: {
-                isLikely: analysis.isThunderCloudLikely,
-                totalScore: analysis.totalScore,
-                riskLevel: analysis.riskLevel,
-                capeScore: analysis.capeScore || 0,
-                liScore: analysis.liScore || 0,
-                cinScore: analysis.cinScore || 0,
-                tempScore: analysis.tempScore || 0,
-                cloudScore: analysis.cloudScore || 0,
-              },
-              cape: weatherData.cape,
-              lifted_index: weatherData.lifted_index,
-              convective_inhibition: weatherData.convective_inhibition,
-              temperature: weatherData.temperature,
-              cloud_cover: weatherData.cloud_cover,
-              cloud_cover_mid: weatherData.cloud_cover_mid,
-              cloud_cover_high: weatherData.cloud_cover_high,
-            });
-          }
-        } catch (error) {
-          console.error(`❌ フォールバック処理エラー [${direction} ${distance}km]:`, error);
+    for (const point of buildSamplingPoints(baseLat, baseLon, layout)) {
+      try {
+        const weatherData = await WeatherAPI.fetchSingleLocation(point.latitude, point.longitude);
+
+        if (weatherData) {
+          directionData[point.direction].push(
+            this._buildDistanceEntry(point.latitude, point.longitude, point.distance, weatherData, profile)
+          );
         }
+      } catch (error) {
+        console.error(`❌ フォールバック処理エラー [${point.direction} ${point.distance}km]:`, error);
       }
     }
 
     // 各方向で最高スコアのデータを選択
-    this.CHECK_DIRECTIONS.forEach(direction => {
-      const distanceDataList = directionData[direction];
+    const result = this._selectBestByDirection(directionData, 'フォールバック ', profile);
+
+    if (Object.keys(result).length === 0) {
+      console.log('❌ フォールバック処理でもデータを取得できませんでした');
+      return null;
+    }
+
+    console.log(`✅ フォールバック処理完了: ${Object.keys(result).length}方向（各方向で最適距離を選択）`);
+    return result;
+  }
+
+  /**
+   * サンプリング構成の方向ごとに空の配列を用意
+   */
+  _createDirectionBuckets(layout) {
+    const directionData = {};
+    layout.directions.forEach(direction => {
+      directionData[direction] = [];
+    });
+    return directionData;
+  }
 
+  /**
+   * 1地点分の分析結果エントリを作成
+   *
+   * @param {number} lat - 地点の緯度
+   * @param {number} lon - 地点の経度
+   * @param {number} distance - 中心からの距離（km）
+   * @param {Object} weatherData - 気象データ（forecast配列を含む）
+   * @param {Object} profile - 分析プロファイル
+   * @returns {Object} 分析結果・気象値・時間別リスク推移
+   */
+  _buildDistanceEntry(lat, lon, distance, weatherData, profile) {
+    const analysis = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData, profile);
+
+    return {
+      distance: distance,
+      coordinates: {
+        lat: lat,
+        lon: lon
+      },
+      analysis: {
+        isLikely: analysis.isThunderCloudLikely,
+        totalScore: analysis.totalScore,
+        riskLevel: analysis.riskLevel,
+        classification: analysis.classification,
+        capeScore: analysis.capeScore || 0,
+        liScore: analysis.liScore || 0,
+        cinScore: analysis.cinScore || 0,
+        tempScore: analysis.tempScore || 0,
+        cloudScore: analysis.cloudScore || 0,
+        profileId: analysis.profileId,
+        profileVersion: analysis.profileVersion,
+        dataQuality: analysis.dataQuality,
+        explanation: analysis.explanation,
+      },
+      ...this._pickWeatherValues(weatherData),
+      timeline: ThunderCloudAnalyzer.analyzeTimeline(weatherData, profile),
+    };
+  }
+
+  /**
+   * レスポンス・キャッシュに含める気象値を取り出す（欠損は null、Firestore に undefined を書き込まないため）
+   */
+  _pickWeatherValues(source) {
+    const values = {};
+    WEATHER_VALUE_KEYS.forEach(key => {
+      values[key] = source[key] ?? null;
+    });
+    return values;
+  }
+
+  /**
+   * 方向別の距離データから各方向の代表地点を選択
+   *
+   * @param {Object} directionData - { direction: [distanceEntry, ...] }
+   * @param {string} logPrefix - ログ出力用の接頭辞
+   * @param {Object} profile - 分析に使用したプロファイル（予報傾向の判定閾値に使用）
+   * @returns {Object} 方向別の代表データ（forecast に全距離の時間別最大リスク、samples に全距離の分析結果を付与）
+   */
+  _selectBestByDirection(directionData, logPrefix, profile) {
+    const result = {};
+
+    Object.entries(directionData).forEach(([direction, distanceDataList]) => {
       if (distanceDataList.length > 0) {
-        // totalScoreが最高のものを選択
+        // 判定できた地点（データ不足でない地点）を優先し、totalScoreが最高のものを選択
         const bestData = distanceDataList.reduce((best, current) => {
-          return current.analysis.totalScore > best.analysis.totalScore ? current : best;
+          return this._compareByJudgeableScore(current.analysis, best.analysis) > 0 ? current : best;
         });
 
-        console.log(`📊 フォールバック ${direction}方向: ${bestData.distance}km地点を選択（スコア: ${bestData.analysis.totalScore}）`);
+        console.log(`📊 ${logPrefix}${direction}方向: ${bestData.distance}km地点を選択（スコア: ${bestData.analysis.totalScore}）`);
+
+        // 方向全体の時間別リスク（各時間帯で全距離の最大スコア）
+        const timeline = this._mergeTimelines(distanceDataList.map(data => data.timeline));
 
         result[direction] = {
           coordinates: bestData.coordinates,
           analysis: bestData.analysis,
-          cape: bestData.cape,
-          lifted_index: bestData.lifted_index,
-          convective_inhibition: bestData.convective_inhibition,
-          temperature: bestData.temperature,
-          cloud_cover: bestData.cloud_cover,
-          cloud_cover_mid: bestData.cloud_cover_mid,
-          cloud_cover_high: bestData.cloud_cover_high,
-          selectedDistance: bestData.distance
+          ...this._pickWeatherValues(bestData),
+          selectedDistance: bestData.distance,
+          forecast: {
+            timeline,
+            ...ThunderCloudAnalyzer.summarizeTimeline(timeline, profile)
+          },
+          // 誤検知調査用に全距離の分析結果を保持（時間別リスクは除く）
+          samples: distanceDataList.map(data => {
+            const sample = { ...data };
+            delete sample.timeline;
+            return sample;
+          })
         };
       }
     });
 
-    console.log(`✅ フォールバック処理完了: ${Object.keys(result).length}方向（各方向で最適距離を選択）`);
     return result;
   }
 
+  /**
+   * 判定できた結果（riskLevel が null でない）を優先し、次に totalScore で比較
+   *
+   * @returns {number} a が優先される場合は正、b が優先される場合は負
+   */
+  _compareByJudgeableScore(a, b) {
+    const aJudgeable = a.riskLevel !== null;
+    const bJudgeable = b.riskLevel !== null;
+    if (aJudgeable !== bJudgeable) {
+      return aJudgeable ? 1 : -1;
+    }
+    return a.totalScore - b.totalScore;
+  }
+
+  /**
+   * 複数地点の時間別リスク推移を、時間帯ごとの最大スコアで統合（データ不足の時間帯より判定できた時間帯を優先）
+   */
+  _mergeTimelines(timelines) {
+    const merged = new Map();
+
+    timelines.forEach(timeline => {
+      (timeline || []).forEach(slot => {
+        const existing = merged.get(slot.offsetHours);
+        if (!existing || this._compareByJudgeableScore(slot, existing) > 0) {
+          merged.set(slot.offsetHours, slot);
+        }
+      });
+    });
+
+    return Array.from(merged.values()).sort((a, b) => a.offsetHours - b.offsetHours);
+  }
+
+  /**
+   * 方向別データから予報の注意情報を作成
+   *
+   * @param {Object} directionalData - getDirectionalWeatherData の結果
+   * @returns {Array<Object>} リスク上昇が見込まれる方向の一覧
+   *
+   * 例: { direction: 'east', withinHours: 2, peakScore: 0.62, message: '東方向で2時間以内にリスク上昇' }
+   */
+  summarizeForecast(directionalData) {
+    const notices = [];
+
+    Object.entries(directionalData || {}).forEach(([direction, data]) => {
+      const forecast = data && data.forecast;
+      if (!forecast || forecast.trend !== 'rising') {
+        return;
+      }
+
+      const label = WEATHER_CONSTANTS.DIRECTION_LABELS[direction] || direction;
+      notices.push({
+        direction,
+        trend: forecast.trend,
+        withinHours: forecast.peakOffsetHours,
+        peakScore: forecast.peakScore,
+        peakRiskLevel: forecast.peakRiskLevel,
+        message: `${label}方向で${forecast.peakOffsetHours}時間以内にリスク上昇`
+      });
+    });
+
+    return notices.sort((a, b) => a.withinHours - b.withinHours);
+  }
+
+  /**
+   * 方向別データを GeoJSON FeatureCollection に変換（地図ツール・QGIS での誤検知調査用）
+   *
+   * @param {Object} directionalData - getDirectionalWeatherData の結果（夜間モードの応答も可）
+   * @param {Object} origin - 中心座標 { lat, lon }
+   * @param {Object} properties - 中心地点の Feature に付与する追加プロパティ（nightMode など）
+   * @returns {Object} 中心地点と各サンプリング地点の Point Feature
+   *
+   * 各サンプリング地点の properties:
+   * - role: 'sample'、direction / directionLabel / bearing / distance
+   * - selected: 方向の代表地点として選ばれたか
+   * - 分析結果（isLikely, totalScore, riskLevel, 各スコア）と気象値
+   * - reasons_ja / reasons_en: 判定理由（地図ツールで表示しやすいよう改行区切りの文字列）
+   *
+   * samples を持たない旧形式のキャッシュでは代表地点のみを出力
+   */
+  toGeoJson(directionalData, origin, properties = {}) {
+    const features = [{
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [origin.lon, origin.lat] },
+      properties: { role: 'origin', ...properties }
+    }];
+
+    Object.entries(directionalData || {}).forEach(([direction, data]) => {
+      if (!data || !data.coordinates) {
+        return;
+      }
+
+      const samples = data.samples || [{ ...data, distance: data.selectedDistance }];
+      samples.forEach(sample => {
+        const { explanation, ...analysis } = sample.analysis || {};
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [sample.coordinates.lon, sample.coordinates.lat] },
+          properties: {
+            role: 'sample',
+            direction,
+            directionLabel: WEATHER_CONSTANTS.DIRECTION_LABELS[direction] || direction,
+            bearing: WEATHER_CONSTANTS.DIRECTION_BEARINGS[direction],
+            distance: sample.distance,
+            selected: sample.distance === data.selectedDistance,
+            ...analysis,
+            reasons_ja: explanation ? explanation.reasons.ja.join('\n') : null,
+            reasons_en: explanation ? explanation.reasons.en.join('\n') : null,
+            ...this._pickWeatherValues(sample)
+          }
+        });
+      });
+    });
+
+    return { type: 'FeatureCollection', features };
+  }
+
   /**
    * アクティブユーザー用の気象データキャッシュ
    */
@@ -281,6 +476,8 @@ class WeatherService {
 
     // ユーザーデータを収集
     const users = [];
+    const now = new Date();
+    let nightModeCount = 0;
     for (const userDoc of usersSnapshot.docs) {
       const userData = userDoc.data();
       console.log(`📋 ユーザーデータ確認: ドキュメントID=${userDoc.id}`);
@@ -289,6 +486,13 @@ class WeatherService {
       console.log(`🔄 アクティブ状態: ${userData.isActive}`);
 
       if (userData.lastUpdated && userData.latitude && userData.longitude) {
+        // ユーザー位置の日の出・日の入りに基づく夜間モード
+        if (isNightModeAt(userData.latitude, userData.longitude, now)) {
+          nightModeCount++;
+          console.log(`🌙 夜間モードのためスキップ: ${userDoc.id}`);
+          continue;
+        }
+
         users.push(userData);
         console.log(`✅ ユーザー追加: ${userDoc.id} (緯度=${userData.latitude}, 経度=${userData.longitude})`);
       } else {
@@ -303,7 +507,12 @@ class WeatherService {
       return bTime.getTime() - aTime.getTime();
     });
 
-    console.log(`📊 処理対象ユーザー数: ${users.length}`);
+    console.log(`📊 処理対象ユーザー数: ${users.length}（夜間モード: ${nightModeCount}人）`);
+
+    if (users.length === 0 && nightModeCount > 0) {
+      console.log('🌙 全ユーザーが夜間モードのためキャッシュをスキップ');
+      return;
+    }
 
     if (users.length === 0) {
       console.log('⚠️ 処理対象のユーザーがいません。usersコレクションの内容を確認してください。');
@@ -326,91 +535,68 @@ class WeatherService {
 
     console.log(`📊 キャッシュ対象ユーザー数: ${users.length}`);
 
-    // 全ユーザーの全座標を収集（重複除去付き）
-    const { uniqueCoordinates } = BatchProcessor.collectUniqueCoordinates(users);
-
-    const totalPoints = users.length * this.CHECK_DIRECTIONS.length * this.CHECK_DISTANCES.length;
-    console.log(`📍 座標最適化: 全${totalPoints}地点 → ${uniqueCoordinates.length}地点（重複除去）`);
+    // 全ユーザーのサンプリング地点（地点キャッシュキーで重複を除き、fresh な地点は取得しない）
+    const samplingPoints = users.flatMap(user => (
+      buildSamplingPoints(user.latitude, user.longitude, this.samplingLayout)
+    ));
+    console.log(`📍 サンプリング地点: 全${samplingPoints.length}地点`);
 
-    // 段階的バッチ処理でキャッシュ用データを取得
-    const allBatchResults = await BatchProcessor.processBatchWithStages(uniqueCoordinates, 100);
+    // 段階的バッチ処理で未キャッシュ地点のみ取得（取得したデータは地点キャッシュへ保存される）
+    const weatherDataMap = await this.pointLoader.load(samplingPoints, {
+      fetch: points => BatchProcessor.processBatchWithStages(points, BATCH_SETTINGS.BATCH_SIZE),
+    });
 
-    // 結果をユーザー別・方向別・距離別に整理してキャッシュ保存
-    await this._cacheWeatherDataByUsers(users, uniqueCoordinates, allBatchResults);
+    // 結果をユーザー別・方向別に整理してキャッシュ保存
+    await this._cacheWeatherDataByUsers(users, weatherDataMap);
   }
 
   /**
    * ユーザー別に気象データをキャッシュ保存
+   *
+   * @param {Array<Object>} users - 対象ユーザー
+   * @param {Map<string, Object>} weatherDataMap - 地点キャッシュキー → 気象データ
+   *
+   * API の getDirectionalWeatherData と同じ形式（方向ごとの代表地点・forecast・samples）で保存する
    */
-  async _cacheWeatherDataByUsers(users, uniqueCoordinates, allBatchResults) {
+  async _cacheWeatherDataByUsers(users, weatherDataMap) {
     console.log('💾 ユーザー別気象データキャッシュ保存開始');
 
-    // 座標とデータのマッピングを作成
-    const coordinateDataMap = new Map();
-
-    uniqueCoordinates.forEach((coord, index) => {
-      if (index < allBatchResults.length && allBatchResults[index]) {
-        const coordKey = HelperFunctions.generateCacheKey(coord.latitude, coord.longitude);
-        coordinateDataMap.set(coordKey, allBatchResults[index]);
-      }
-    });
-
-    // ユーザーごとの位置データをキャッシュ
+    // ユーザーごとの位置データをキャッシュ（位置の地域に適用される分析プロファイルで分析）
     const locationSet = new Set();
+    const profiles = await this.profileService.getProfiles();
 
     for (const user of users) {
-      const locationKey = HelperFunctions.generateCacheKey(user.latitude, user.longitude);
+      const locationKey = WeatherCache.summaryKey(user.latitude, user.longitude);
 
       if (!locationSet.has(locationKey)) {
         locationSet.add(locationKey);
 
         try {
           // この位置の各方向・各距離のデータを整理
-          const directionalData = {};
-
-          for (const direction of this.CHECK_DIRECTIONS) {
-            directionalData[direction] = {};
-
-            for (const distance of this.CHECK_DISTANCES) {
-              const coordinates = calculateDirectionCoordinates(
-                direction, user.latitude, user.longitude, distance
-              );
-
-              const coordKey = HelperFunctions.generateCacheKey(coordinates.latitude, coordinates.longitude);
-              const weatherData = coordinateDataMap.get(coordKey);
-
-              if (weatherData) {
-                const analysis = ThunderCloudAnalyzer.analyzeWithMeteoDataOnly(weatherData);
-
-                directionalData[direction][`${distance}km`] = {
-                  coordinates: {
-                    lat: coordinates.latitude,
-                    lon: coordinates.longitude
-                  },
-                  analysis: {
-                    isLikely: analysis.isThunderCloudLikely,
-                    totalScore: analysis.totalScore,
-                    riskLevel: analysis.riskLevel,
-                    capeScore: analysis.capeScore,
-                    liScore: analysis.liScore,
-                    cinScore: analysis.cinScore,
-                    tempScore: analysis.tempScore,
-                    cloudScore: analysis.cloudScore || 0,
-                  },
-                  cape: weatherData.cape,
-                  lifted_index: weatherData.lifted_index,
-                  convective_inhibition: weatherData.convective_inhibition,
-                  temperature: weatherData.temperature,
-                  cloud_cover: weatherData.cloud_cover,
-                  cloud_cover_mid: weatherData.cloud_cover_mid,
-                  cloud_cover_high: weatherData.cloud_cover_high,
-                };
-              }
+          const profile = AnalysisProfileService.selectProfile(
+            profiles, { latitude: user.latitude, longitude: user.longitude }
+          );
+          const directionData = this._createDirectionBuckets(this.samplingLayout);
+
+          for (const point of buildSamplingPoints(user.latitude, user.longitude, this.samplingLayout)) {
+            const weatherData = weatherDataMap.get(WeatherCache.pointKey(point.latitude, point.longitude));
+
+            if (weatherData) {
+              directionData[point.direction].push(this._buildDistanceEntry(
+                point.latitude, point.longitude, point.distance, weatherData, profile
+              ));
             }
           }
 
+          // 各方向で最高スコアのデータを選択
+          const directionalData = this._selectBestByDirection(directionData, `${locationKey} `, profile);
+          if (Object.keys(directionalData).length === 0) {
+            console.log(`⚠️ 気象データがないためキャッシュをスキップ: ${locationKey}`);
+            continue;
+          }
+
           // Firestoreにキャッシュ保存
-          await this.weatherCache.setDirectionalData(user.latitude, user.longitude, directionalData);
+          await this.weatherCache.setSummary(user.latitude, user.longitude, directionalData, 'scheduled');
 
         } catch (error) {
           console.error(`❌ キャッシュ保存エラー (${locationKey}):`, error);
@@ -418,14 +604,22 @@ class WeatherService {
       }
     }
 
+    await this.weatherCache.flushStats();
     console.log('💾 ユーザー別気象データキャッシュ保存完了');
   }
 
   /**
    * キャッシュ統計情報を取得
+   *
+   * Firestore のキャッシュ件数に加え、このインスタンスのメモリキャッシュと取得共有の件数
+   * （中心座標サマリー単位・地点単位）を含む
    */
-  async getCacheStats() {
-    return await this.weatherCache.getStats();
+  async getCacheStats(options = {}) {
+    const stats = await this.weatherCache.getStats(options);
+    return {
+      ...stats,
+      coalescing: { ...coalescingStats, inFlight: inFlightRequests.size, points: PointWeatherLoader.getStats() },
+    };
   }
 }
 
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// functions/scripts/backtest.js
+
+/**
+ * 分析ロジックのバックテスト CLI
+ *
+ * 保存済みの気象データを ThunderCloudAnalyzer で再分析し、プロファイルごとの
+ * 通知件数・スコア分布・正解ラベルとの一致度を表示する（Firestore・外部APIへは接続しない）
+ *
+ * 使い方:
+ *   npm run backtest -- --snapshots <ファイル or ディレクトリ> [--snapshots ...]
+ *     [--profiles <プロファイル定義>] [--events <正解ラベル>] [--min-risk <リスクレベル>] [--json]
+ *
+ * 例:
+ *   npm run backtest -- --snapshots scripts/backtest_samples/open_meteo_2025-08-05.json \
+ *     --profiles scripts/backtest_samples/profiles.json --events scripts/backtest_samples/events.json
+ *
+ * 入力形式は modules/analysis/backtester.js を参照
+ */
+
+const Backtester = require('../modules/analysis/backtester');
+
+const USAGE = 'Usage: npm run backtest -- --snapshots <path> [--snapshots <path> ...] ' +
+  '[--profiles <file>] [--events <file>] [--min-risk <level>] [--json]';
+
+/**
+ * コマンドライン引数を解析
+ */
+function parseArgs(argv) {
+  const options = { snapshots: [], profiles: null, events: null, minRiskLevel: null, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} に値を指定してください`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+    case '--snapshots':
+      options.snapshots.push(next());
+      break;
+    case '--profiles':
+      options.profiles = next();
+      break;
+    case '--events':
+      options.events = next();
+      break;
+    case '--min-risk':
+      options.minRiskLevel = next();
+      break;
+    case '--json':
+      options.json = true;
+      break;
+    default:
+      throw new Error(`不明な引数: ${arg}`);
+    }
+  }
+
+  if (options.snapshots.length === 0) {
+    throw new Error('--snapshots を1つ以上指定してください');
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    const snapshots = Backtester.loadSnapshots(options.snapshots);
+    const profiles = Backtester.loadProfiles(options.profiles);
+    const events = Backtester.loadEvents(options.events);
+
+    const report = Backtester.run(snapshots, profiles, events, { minRiskLevel: options.minRiskLevel });
+    console.log(options.json ? JSON.stringify(report, null, 2) : Backtester.formatReport(report));
+  } catch (error) {
+    console.error(`❌ バックテスト失敗: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,98 @@
+// functions/solar_utils.js - 日の出・日の入り計算ユーティリティ（夜間モード判定用）
+
+// 定数ファイルをインポート
+const { WEATHER_CONSTANTS } = require('./constants');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const SUNRISE_ZENITH_DEG = 90.833; // 大気差・太陽視半径を考慮した天頂角
+
+const toRadians = (degrees) => degrees * Math.PI / 180.0;
+const toDegrees = (radians) => radians * 180.0 / Math.PI;
+
+/**
+ * 指定地点・日付の日の出・日の入り時刻を計算（NOAA簡易式）
+ *
+ * @param {number} latitude - 緯度
+ * @param {number} longitude - 経度
+ * @param {Date} date - 基準時刻（この時刻を含む現地の日について計算）
+ * @returns {Object} { sunrise, sunset, polarDay, polarNight }
+ *   - sunrise / sunset: Date（白夜・極夜の場合はnull）
+ *   - polarDay: 終日日が沈まない
+ *   - polarNight: 終日日が昇らない
+ */
+function calculateSunTimes(latitude, longitude, date = new Date()) {
+  // 経度から求めた現地の日付（タイムゾーンに依存しない）
+  const localSolarDate = new Date(date.getTime() + longitude * 4 * MS_PER_MINUTE);
+  const dayStartUtc = Date.UTC(
+    localSolarDate.getUTCFullYear(), localSolarDate.getUTCMonth(), localSolarDate.getUTCDate()
+  );
+  const dayOfYear = Math.floor((dayStartUtc - Date.UTC(localSolarDate.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+
+  // 年周角（正午基準）
+  const gamma = 2 * Math.PI / 365 * (dayOfYear - 1 + 0.5);
+
+  // 均時差（分）と太陽赤緯（ラジアン）
+  const equationOfTime = 229.18 * (
+    0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma)
+  );
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const latRad = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(SUNRISE_ZENITH_DEG)) / (Math.cos(latRad) * Math.cos(declination)) -
+    Math.tan(latRad) * Math.tan(declination);
+
+  if (cosHourAngle > 1) {
+    return { sunrise: null, sunset: null, polarDay: false, polarNight: true };
+  }
+  if (cosHourAngle < -1) {
+    return { sunrise: null, sunset: null, polarDay: true, polarNight: false };
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  const sunriseMinutes = MINUTES_PER_DAY / 2 - 4 * (longitude + hourAngle) - equationOfTime;
+  const sunsetMinutes = MINUTES_PER_DAY / 2 - 4 * (longitude - hourAngle) - equationOfTime;
+
+  return {
+    sunrise: new Date(dayStartUtc + sunriseMinutes * MS_PER_MINUTE),
+    sunset: new Date(dayStartUtc + sunsetMinutes * MS_PER_MINUTE),
+    polarDay: false,
+    polarNight: false
+  };
+}
+
+/**
+ * 指定地点が夜間モードかどうかを判定
+ *
+ * 日の出から NIGHT_MODE_SUNRISE_OFFSET_MINUTES 経過するまで、
+ * および日の入りから NIGHT_MODE_SUNSET_OFFSET_MINUTES 経過後を夜間とする
+ * （対流活動は日射による地表加熱後に活発になるため、朝側の余裕を大きく取る）
+ *
+ * @param {number} latitude - 緯度
+ * @param {number} longitude - 経度
+ * @param {Date} now - 判定時刻
+ * @returns {boolean} 夜間モードの場合true
+ */
+function isNightModeAt(latitude, longitude, now = new Date()) {
+  const sunTimes = calculateSunTimes(latitude, longitude, now);
+
+  if (sunTimes.polarNight) {
+    return true;
+  }
+  if (sunTimes.polarDay) {
+    return false;
+  }
+
+  const activeStart = sunTimes.sunrise.getTime() + WEATHER_CONSTANTS.NIGHT_MODE_SUNRISE_OFFSET_MINUTES * MS_PER_MINUTE;
+  const activeEnd = sunTimes.sunset.getTime() + WEATHER_CONSTANTS.NIGHT_MODE_SUNSET_OFFSET_MINUTES * MS_PER_MINUTE;
+
+  return now.getTime() < activeStart || now.getTime() >= activeEnd;
+}
+
+module.exports = {
+  calculateSunTimes,
+  isNightModeAt
+};
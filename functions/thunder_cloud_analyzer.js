@@ -2,114 +2,563 @@
 
 // 定数ファイルをインポート
 const {
-  ANALYSIS_THRESHOLDS,
-  SCORE_WEIGHTS,
-  SCORE_VALUES,
-  WEATHER_CONSTANTS
+  DEFAULT_ANALYSIS_PROFILE
 } = require('./constants');
 
-class ThunderCloudAnalyzer {
-  static analyzeWithMeteoDataOnly(meteoData) {
-    const scores = {};
+/**
+ * 分析プロファイルから評価要素の定義を作成
+ *
+ * buckets は上から順に判定し、最初に条件を満たした区分のスコアを採用する
+ * （compare: 'gte' は値が閾値以上、'lte' は値が閾値以下で該当）
+ * いずれにも該当しない場合は fallback の区分となる
+ */
+function buildFactors({ thresholds, weights, scores }) {
+  return [
+    {
+      key: 'cape',
+      weight: weights.CAPE,
+      unit: 'J/kg',
+      label: { ja: 'CAPE（対流有効位置エネルギー）', en: 'CAPE (convective available potential energy)' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'very_high', threshold: thresholds.CAPE_VERY_HIGH, score: scores.PERFECT },
+        { bucket: 'high', threshold: thresholds.CAPE_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.CAPE_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.CAPE_LOW, score: scores.MEDIUM_LOW },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'lifted_index',
+      weight: weights.LIFTED_INDEX,
+      unit: '',
+      label: { ja: 'リフティドインデックス', en: 'Lifted index' },
+      compare: 'lte',
+      buckets: [
+        { bucket: 'very_unstable', threshold: thresholds.LI_VERY_UNSTABLE, score: scores.PERFECT },
+        { bucket: 'unstable', threshold: thresholds.LI_UNSTABLE, score: scores.HIGH },
+        { bucket: 'neutral', threshold: thresholds.LI_NEUTRAL, score: scores.MEDIUM_HIGH },
+        { bucket: 'stable', threshold: thresholds.LI_STABLE, score: scores.MEDIUM },
+        { bucket: 'very_stable', threshold: thresholds.LI_VERY_STABLE, score: scores.LOW },
+      ],
+      fallback: { bucket: 'extremely_stable', score: scores.NONE },
+    },
+    {
+      key: 'cin',
+      input: 'convective_inhibition',
+      weight: weights.CIN,
+      unit: 'J/kg',
+      label: { ja: 'CIN（対流抑制）', en: 'CIN (convective inhibition)' },
+      compare: 'lte',
+      buckets: [
+        { bucket: 'weak', threshold: thresholds.CIN_LOW, score: scores.MEDIUM_LOW },
+        { bucket: 'moderate', threshold: thresholds.CIN_MEDIUM, score: scores.VERY_LOW },
+      ],
+      fallback: { bucket: 'strong', score: scores.NONE },
+    },
+    {
+      key: 'temperature',
+      weight: weights.TEMPERATURE,
+      unit: '°C',
+      label: { ja: '気温', en: 'Temperature' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'very_high', threshold: thresholds.TEMP_VERY_HIGH, score: scores.PERFECT },
+        { bucket: 'high', threshold: thresholds.TEMP_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.TEMP_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.TEMP_LOW, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'cloud_cover',
+      input: 'total_cloud_cover',
+      weight: weights.CLOUD_COVER,
+      unit: '%',
+      label: { ja: '雲量（低・中・高層の最大）', en: 'Cloud cover (max of low/mid/high)' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'very_high', threshold: thresholds.CLOUD_VERY_HIGH, score: scores.PERFECT },
+        { bucket: 'high', threshold: thresholds.CLOUD_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.CLOUD_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.CLOUD_LOW, score: scores.MEDIUM_LOW },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'precipitation',
+      weight: weights.PRECIPITATION,
+      unit: 'mm/h',
+      label: { ja: '降水量', en: 'Precipitation' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'heavy', threshold: thresholds.PRECIP_HEAVY, score: scores.PERFECT },
+        { bucket: 'moderate', threshold: thresholds.PRECIP_MODERATE, score: scores.HIGH },
+        { bucket: 'light', threshold: thresholds.PRECIP_LIGHT, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'none', score: scores.NONE },
+    },
+    {
+      key: 'showers',
+      weight: weights.SHOWERS,
+      unit: 'mm/h',
+      label: { ja: 'にわか雨（対流性降水）', en: 'Showers (convective precipitation)' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'heavy', threshold: thresholds.SHOWERS_HEAVY, score: scores.PERFECT },
+        { bucket: 'moderate', threshold: thresholds.SHOWERS_MODERATE, score: scores.HIGH },
+        { bucket: 'light', threshold: thresholds.SHOWERS_LIGHT, score: scores.MEDIUM_HIGH },
+      ],
+      fallback: { bucket: 'none', score: scores.NONE },
+    },
+    {
+      key: 'lightning_potential',
+      weight: weights.LIGHTNING_POTENTIAL,
+      unit: 'J/kg',
+      label: { ja: '雷ポテンシャル', en: 'Lightning potential' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'high', threshold: thresholds.LIGHTNING_HIGH, score: scores.PERFECT },
+        { bucket: 'medium', threshold: thresholds.LIGHTNING_MEDIUM, score: scores.HIGH },
+        { bucket: 'low', threshold: thresholds.LIGHTNING_LOW, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'freezing_level',
+      input: 'freezing_level_height',
+      weight: weights.FREEZING_LEVEL,
+      unit: 'm',
+      label: { ja: '凍結高度', en: 'Freezing level height' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'high', threshold: thresholds.FREEZING_LEVEL_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.FREEZING_LEVEL_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.FREEZING_LEVEL_LOW, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'wind_gusts',
+      weight: weights.WIND_GUSTS,
+      unit: 'km/h',
+      label: { ja: '突風', en: 'Wind gusts' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'strong', threshold: thresholds.GUSTS_STRONG, score: scores.PERFECT },
+        { bucket: 'moderate', threshold: thresholds.GUSTS_MODERATE, score: scores.HIGH },
+        { bucket: 'weak', threshold: thresholds.GUSTS_LIGHT, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'calm', score: scores.NONE },
+    },
+    {
+      key: 'dew_point',
+      weight: weights.DEW_POINT,
+      unit: '°C',
+      label: { ja: '露点温度', en: 'Dew point' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'very_high', threshold: thresholds.DEW_POINT_VERY_HIGH, score: scores.PERFECT },
+        { bucket: 'high', threshold: thresholds.DEW_POINT_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.DEW_POINT_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.DEW_POINT_LOW, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+    {
+      key: 'low_cloud_cover',
+      input: 'cloud_cover_low',
+      weight: weights.LOW_CLOUD_COVER,
+      unit: '%',
+      label: { ja: '下層雲量', en: 'Low cloud cover' },
+      compare: 'gte',
+      buckets: [
+        { bucket: 'high', threshold: thresholds.LOW_CLOUD_HIGH, score: scores.HIGH },
+        { bucket: 'medium', threshold: thresholds.LOW_CLOUD_MEDIUM, score: scores.MEDIUM_HIGH },
+        { bucket: 'low', threshold: thresholds.LOW_CLOUD_LOW, score: scores.MEDIUM },
+      ],
+      fallback: { bucket: 'very_low', score: scores.NONE },
+    },
+  ];
+}
 
-    // CAPE（対流有効位置エネルギー）の評価
-    const cape = meteoData.cape || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-    if (cape >= ANALYSIS_THRESHOLDS.CAPE_VERY_HIGH) {
-      scores.cape = SCORE_VALUES.PERFECT;
-    } else if (cape >= ANALYSIS_THRESHOLDS.CAPE_HIGH) {
-      scores.cape = SCORE_VALUES.HIGH;
-    } else if (cape >= ANALYSIS_THRESHOLDS.CAPE_MEDIUM) {
-      scores.cape = SCORE_VALUES.MEDIUM_HIGH;
-    } else if (cape >= ANALYSIS_THRESHOLDS.CAPE_LOW) {
-      scores.cape = SCORE_VALUES.MEDIUM_LOW;
-    } else {
-      scores.cape = SCORE_VALUES.NONE;
-    }
+// プロファイルごとの評価要素の定義（プロファイルのオブジェクト単位で再利用）
+const factorsByProfile = new WeakMap();
 
-    // リフティドインデックス（Lifted Index）の評価
-    const liftedIndex = meteoData.lifted_index || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-    if (liftedIndex <= ANALYSIS_THRESHOLDS.LI_VERY_UNSTABLE) {
-      scores.lifted_index = SCORE_VALUES.PERFECT;
-    } else if (liftedIndex <= ANALYSIS_THRESHOLDS.LI_UNSTABLE) {
-      scores.lifted_index = SCORE_VALUES.HIGH;
-    } else if (liftedIndex <= ANALYSIS_THRESHOLDS.LI_NEUTRAL) {
-      scores.lifted_index = SCORE_VALUES.MEDIUM_HIGH;
-    } else if (liftedIndex <= ANALYSIS_THRESHOLDS.LI_STABLE) {
-      scores.lifted_index = SCORE_VALUES.MEDIUM;
-    } else if (liftedIndex <= ANALYSIS_THRESHOLDS.LI_VERY_STABLE) {
-      scores.lifted_index = SCORE_VALUES.LOW;
-    } else {
-      scores.lifted_index = SCORE_VALUES.NONE;
-    }
+// 区分の表示名
+const BUCKET_LABELS = {
+  very_high: { ja: '非常に高い', en: 'very high' },
+  high: { ja: '高い', en: 'high' },
+  medium: { ja: '中程度', en: 'moderate' },
+  low: { ja: '低い', en: 'low' },
+  very_low: { ja: '非常に低い', en: 'very low' },
+  very_unstable: { ja: '非常に不安定', en: 'very unstable' },
+  unstable: { ja: '不安定', en: 'unstable' },
+  neutral: { ja: 'やや不安定', en: 'slightly unstable' },
+  stable: { ja: '安定', en: 'stable' },
+  very_stable: { ja: '非常に安定', en: 'very stable' },
+  extremely_stable: { ja: '極めて安定', en: 'extremely stable' },
+  weak: { ja: '弱い', en: 'weak' },
+  moderate: { ja: 'やや強い', en: 'moderate' },
+  strong: { ja: '強い', en: 'strong' },
+  heavy: { ja: '強い', en: 'heavy' },
+  light: { ja: '弱い', en: 'light' },
+  none: { ja: 'なし', en: 'none' },
+  calm: { ja: '穏やか', en: 'calm' },
+};
 
-    // CIN（対流抑制）の評価
-    const cin = meteoData.convective_inhibition || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-    if (cin <= ANALYSIS_THRESHOLDS.CIN_LOW) {
-      scores.cin = SCORE_VALUES.MEDIUM_LOW;
-    } else if (cin <= ANALYSIS_THRESHOLDS.CIN_MEDIUM) {
-      scores.cin = SCORE_VALUES.VERY_LOW;
-    } else {
-      scores.cin = SCORE_VALUES.NONE;
-    }
+// 雲の分類
+const CLASSIFICATIONS = {
+  THUNDERSTORM: 'thunderstorm', // 雷・対流性降水を伴う発達した積乱雲
+  TOWERING_CUMULUS: 'towering_cumulus', // 対流は発達しているが雷・降水の兆候がない入道雲（雄大積雲）
+  NONE: 'none', // 対流雲の発達なし
+};
 
-    // 気温の評価
-    const temperature = meteoData.temperature || WEATHER_CONSTANTS.DEFAULT_TEMPERATURE;
-    if (temperature >= ANALYSIS_THRESHOLDS.TEMP_VERY_HIGH) {
-      scores.temperature = SCORE_VALUES.PERFECT;
-    } else if (temperature >= ANALYSIS_THRESHOLDS.TEMP_HIGH) {
-      scores.temperature = SCORE_VALUES.HIGH;
-    } else if (temperature >= ANALYSIS_THRESHOLDS.TEMP_MEDIUM) {
-      scores.temperature = SCORE_VALUES.MEDIUM_HIGH;
-    } else if (temperature >= ANALYSIS_THRESHOLDS.TEMP_LOW) {
-      scores.temperature = SCORE_VALUES.MEDIUM;
-    } else {
-      scores.temperature = SCORE_VALUES.NONE;
-    }
+// 分類の表示名
+const CLASSIFICATION_LABELS = {
+  thunderstorm: { ja: '雷雨（積乱雲）', en: 'thunderstorm' },
+  towering_cumulus: { ja: '入道雲（雄大積雲）', en: 'towering cumulus' },
+  none: { ja: '対流雲なし', en: 'no convective cloud' },
+};
 
-    // 雲量の評価
-    const cloudCover = meteoData.cloud_cover || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-    const cloudCoverMid = meteoData.cloud_cover_mid || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-    const cloudCoverHigh = meteoData.cloud_cover_high || WEATHER_CONSTANTS.DEFAULT_WEATHER_VALUE;
-
-    // 全体的な雲量を計算
-    const totalCloudCover = Math.max(cloudCover, cloudCoverMid, cloudCoverHigh);
-
-    if (totalCloudCover >= ANALYSIS_THRESHOLDS.CLOUD_VERY_HIGH) {
-      scores.cloud_cover = SCORE_VALUES.PERFECT;
-    } else if (totalCloudCover >= ANALYSIS_THRESHOLDS.CLOUD_HIGH) {
-      scores.cloud_cover = SCORE_VALUES.HIGH;
-    } else if (totalCloudCover >= ANALYSIS_THRESHOLDS.CLOUD_MEDIUM) {
-      scores.cloud_cover = SCORE_VALUES.MEDIUM_HIGH;
-    } else if (totalCloudCover >= ANALYSIS_THRESHOLDS.CLOUD_LOW) {
-      scores.cloud_cover = SCORE_VALUES.MEDIUM_LOW;
-    } else {
-      scores.cloud_cover = SCORE_VALUES.NONE;
-    }
+// 欠損した要素の区分
+const MISSING_BUCKET = 'missing';
+
+// 対応する予報モデルの地域でのみ取得できる要素（対応地域外では常に欠損となるため、欠損してもデータ品質の対象外）
+const REGIONAL_FACTORS = ['lightning_potential'];
+
+// データ品質の状態
+const DATA_QUALITY = {
+  COMPLETE: 'complete', // 全要素を取得
+  PARTIAL: 'partial', // 一部欠損（取得できた要素の重みが MIN_DATA_CONFIDENCE 以上）
+  INSUFFICIENT: 'insufficient', // 欠損が多く判定不可
+};
+
+// リスクレベルの英語表記
+const RISK_LEVEL_LABELS_EN = {
+  '高い': 'high',
+  '中程度': 'medium',
+  '低い': 'low',
+  '極めて低い': 'very low',
+};
+
+class ThunderCloudAnalyzer {
+  /**
+   * 気象データから入道雲発生リスクを分析
+   *
+   * @param {Object} meteoData - 気象データ（cape, lifted_index, convective_inhibition, temperature, cloud_cover,
+   *   precipitation, showers, lightning_potential, freezing_level_height, wind_gusts, dew_point, cloud_cover_low）
+   * @param {Object} profile - 分析プロファイル（AnalysisProfileService で選択、省略時は組み込みプロファイル）
+   * @returns {Object} 総合スコア・リスクレベル・各要素のスコアと、判定根拠（explanation）・データ品質（dataQuality）
+   *   使用したプロファイルを profileId / profileVersion に記録する
+   *
+   * 欠損値の扱い:
+   * - null・undefined・数値以外は欠損とし、既定値で補わない（0 は有効な値として扱う）
+   * - 欠損した要素はスコア0・寄与0（totalScore は取得できた要素のみの下限値）
+   * - dataQuality.status が insufficient の場合は判定しない
+   *   （isThunderCloudLikely: false、riskLevel: null。「入道雲なし」とはみなさない）
+   *
+   * dataQuality（重み0の要素・欠損した地域限定の要素（雷ポテンシャル）は対象外）:
+   * - status: complete / partial / insufficient
+   * - confidence: 取得できた要素の重みの合計（0〜1）
+   * - missing: 欠損した要素
+   *
+   * classification（データ不足の場合は null）:
+   * - thunderstorm: 対流が発達し（リスク中程度以上）、雷ポテンシャルまたはにわか雨を伴う
+   * - towering_cumulus: 対流が発達しているが、雷・にわか雨の兆候がない
+   * - none: 対流の発達なし
+   *
+   * explanation:
+   * - inputs: 判定に使用した値（欠損は null）
+   * - factors: 要素ごとの { factor, value, bucket, score, weight, contribution }
+   *   （contribution = score × weight、合計が totalScore、欠損は bucket: 'missing'）
+   * - reasons: { ja: [...], en: [...] } 判定理由（総合判定 → 寄与の大きい要素の順）
+   */
+  static analyzeWithMeteoDataOnly(meteoData, profile = DEFAULT_ANALYSIS_PROFILE) {
+    const { thresholds } = profile;
+    const data = meteoData || {};
+
+    const cloudCover = this.readValue(data, 'cloud_cover');
+    const cloudCoverMid = this.readValue(data, 'cloud_cover_mid');
+    const cloudCoverHigh = this.readValue(data, 'cloud_cover_high');
+    const cloudLayers = [cloudCover, cloudCoverMid, cloudCoverHigh].filter(value => value !== null);
+
+    const inputs = {
+      cape: this.readValue(data, 'cape'),
+      lifted_index: this.readValue(data, 'lifted_index'),
+      convective_inhibition: this.readValue(data, 'convective_inhibition'),
+      temperature: this.readValue(data, 'temperature'),
+      cloud_cover: cloudCover,
+      cloud_cover_mid: cloudCoverMid,
+      cloud_cover_high: cloudCoverHigh,
+      // 全体的な雲量（取得できた層の最大）
+      total_cloud_cover: cloudLayers.length > 0 ? Math.max(...cloudLayers) : null,
+      precipitation: this.readValue(data, 'precipitation'),
+      showers: this.readValue(data, 'showers'),
+      lightning_potential: this.readValue(data, 'lightning_potential'),
+      freezing_level_height: this.readValue(data, 'freezing_level_height'),
+      wind_gusts: this.readValue(data, 'wind_gusts'),
+      dew_point: this.readValue(data, 'dew_point'),
+      cloud_cover_low: this.readValue(data, 'cloud_cover_low'),
+    };
+
+    const factors = this._getFactors(profile).map(definition => (
+      this._evaluateFactor(definition, inputs[definition.input || definition.key])
+    ));
+    const scores = {};
+    factors.forEach(factor => {
+      scores[factor.factor] = factor.score;
+    });
 
     // 総合スコアを計算（重み付け平均）
-    const totalScore =
-      scores.cape * SCORE_WEIGHTS.CAPE +
-      scores.lifted_index * SCORE_WEIGHTS.LIFTED_INDEX +
-      scores.cin * SCORE_WEIGHTS.CIN +
-      scores.temperature * SCORE_WEIGHTS.TEMPERATURE +
-      scores.cloud_cover * SCORE_WEIGHTS.CLOUD_COVER;
-
-    // 入道雲の可能性を判定
-    const isThunderCloudLikely = totalScore >= ANALYSIS_THRESHOLDS.TOTAL_SCORE_HIGH;
-    const riskLevel = totalScore >= ANALYSIS_THRESHOLDS.TOTAL_SCORE_HIGH ? '高い' :
-      totalScore >= ANALYSIS_THRESHOLDS.TOTAL_SCORE_MEDIUM ? '中程度' :
-        totalScore >= ANALYSIS_THRESHOLDS.TOTAL_SCORE_LOW ? '低い' : '極めて低い';
+    const totalScore = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+    const dataQuality = this._assessDataQuality(factors, thresholds);
+
+    // 入道雲の可能性を判定（データ不足の場合は判定しない）
+    const isJudgeable = dataQuality.status !== DATA_QUALITY.INSUFFICIENT;
+    const isThunderCloudLikely = isJudgeable && totalScore >= thresholds.TOTAL_SCORE_HIGH;
+    const riskLevel = !isJudgeable ? null :
+      totalScore >= thresholds.TOTAL_SCORE_HIGH ? '高い' :
+        totalScore >= thresholds.TOTAL_SCORE_MEDIUM ? '中程度' :
+          totalScore >= thresholds.TOTAL_SCORE_LOW ? '低い' : '極めて低い';
+    const classification = this._classify(inputs, riskLevel, thresholds);
 
     return {
       isThunderCloudLikely,
       totalScore,
       riskLevel,
+      classification,
       individualScores: scores,
       capeScore: scores.cape,
       liScore: scores.lifted_index,
       cinScore: scores.cin,
       tempScore: scores.temperature,
       cloudScore: scores.cloud_cover,
+      profileId: profile.profileId,
+      profileVersion: profile.version,
+      dataQuality,
+      explanation: {
+        inputs,
+        factors,
+        reasons: this._buildReasons(profile, factors, totalScore, riskLevel, dataQuality, classification),
+      },
+    };
+  }
+
+  /**
+   * 雷雨（積乱雲）と入道雲（雄大積雲）を区別
+   *
+   * 雷ポテンシャル・にわか雨は重みに関わらず分類に使用する（取得できない場合は入道雲とする）
+   */
+  static _classify(inputs, riskLevel, thresholds) {
+    if (riskLevel === null) {
+      return null;
+    }
+    if (riskLevel !== '高い' && riskLevel !== '中程度') {
+      return CLASSIFICATIONS.NONE;
+    }
+
+    const hasLightning = inputs.lightning_potential !== null && inputs.lightning_potential >= thresholds.LIGHTNING_LOW;
+    const hasShowers = inputs.showers !== null && inputs.showers >= thresholds.SHOWERS_MODERATE;
+
+    return hasLightning || hasShowers ? CLASSIFICATIONS.THUNDERSTORM : CLASSIFICATIONS.TOWERING_CUMULUS;
+  }
+
+  /**
+   * 気象データから数値を取り出す（欠損は null）
+   *
+   * @param {Object} meteoData - 気象データ
+   * @param {string} key - 変数名
+   * @returns {number|null} 有限の数値、欠損時は null
+   */
+  static readValue(meteoData, key) {
+    const value = meteoData ? meteoData[key] : undefined;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * 欠損した要素からデータ品質を判定
+   */
+  static _assessDataQuality(factors, thresholds) {
+    // 対応地域外で欠損した地域限定の要素は、信頼度の分母・欠損データに含めない
+    const assessed = factors.filter(factor => (
+      factor.bucket !== MISSING_BUCKET || !REGIONAL_FACTORS.includes(factor.factor)
+    ));
+    const totalWeight = assessed.reduce((sum, factor) => sum + factor.weight, 0);
+    const availableWeight = assessed
+      .filter(factor => factor.bucket !== MISSING_BUCKET)
+      .reduce((sum, factor) => sum + factor.weight, 0);
+    const confidence = totalWeight > 0 ? Math.round((availableWeight / totalWeight) * 1000) / 1000 : 0;
+    const missing = assessed
+      .filter(factor => factor.bucket === MISSING_BUCKET && factor.weight > 0)
+      .map(factor => factor.factor);
+
+    let status = DATA_QUALITY.COMPLETE;
+    if (confidence < thresholds.MIN_DATA_CONFIDENCE) {
+      status = DATA_QUALITY.INSUFFICIENT;
+    } else if (missing.length > 0) {
+      status = DATA_QUALITY.PARTIAL;
+    }
+
+    return { status, confidence, missing };
+  }
+
+  /**
+   * プロファイルの評価要素の定義を取得
+   */
+  static _getFactors(profile) {
+    if (!factorsByProfile.has(profile)) {
+      factorsByProfile.set(profile, buildFactors(profile));
+    }
+    return factorsByProfile.get(profile);
+  }
+
+  /**
+   * 1要素の値がどの区分に該当するかを判定し、重み付きの寄与を計算
+   */
+  static _evaluateFactor(definition, value) {
+    if (value === null) {
+      return {
+        factor: definition.key,
+        value: null,
+        bucket: MISSING_BUCKET,
+        threshold: null,
+        score: 0,
+        weight: definition.weight,
+        contribution: 0,
+      };
+    }
+
+    const matched = definition.buckets.find(bucket => (
+      definition.compare === 'gte' ? value >= bucket.threshold : value <= bucket.threshold
+    )) || definition.fallback;
+
+    return {
+      factor: definition.key,
+      value,
+      bucket: matched.bucket,
+      threshold: matched.threshold !== undefined ? matched.threshold : null,
+      score: matched.score,
+      weight: definition.weight,
+      contribution: matched.score * definition.weight,
+    };
+  }
+
+  /**
+   * 判定理由を日本語・英語で作成
+   *
+   * 先頭は総合判定、欠損がある場合はその内容、以降はスコアに寄与した要素を寄与の大きい順に並べる
+   */
+  static _buildReasons(profile, factors, totalScore, riskLevel, dataQuality, classification) {
+    const score = totalScore.toFixed(2);
+    const confidence = dataQuality.confidence.toFixed(2);
+    const reasons = riskLevel === null ? {
+      ja: [`データ不足のためリスクを判定できません（信頼度 ${confidence}）`],
+      en: [`Not enough data to assess the risk (confidence ${confidence})`],
+    } : {
+      ja: [`総合スコア ${score} によりリスクは「${riskLevel}」`],
+      en: [`Overall score ${score} gives a ${RISK_LEVEL_LABELS_EN[riskLevel] || riskLevel} risk`],
+    };
+
+    if (classification && classification !== CLASSIFICATIONS.NONE) {
+      const label = CLASSIFICATION_LABELS[classification];
+      reasons.ja.push(`分類: ${label.ja}`);
+      reasons.en.push(`Classified as ${label.en}`);
+    }
+
+    if (dataQuality.missing.length > 0) {
+      const labels = dataQuality.missing
+        .map(key => this._getFactors(profile).find(candidate => candidate.key === key).label);
+      reasons.ja.push(`欠損データ: ${labels.map(label => label.ja).join('、')}（信頼度 ${confidence}）`);
+      reasons.en.push(`Missing data: ${labels.map(label => label.en).join(', ')} (confidence ${confidence})`);
+    }
+
+    factors
+      .filter(factor => factor.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .forEach(factor => {
+        const definition = this._getFactors(profile).find(candidate => candidate.key === factor.factor);
+        const bucketLabel = BUCKET_LABELS[factor.bucket] || { ja: factor.bucket, en: factor.bucket };
+        const value = `${Math.round(factor.value * 10) / 10}${definition.unit ? ` ${definition.unit}` : ''}`;
+        const contribution = factor.contribution.toFixed(2);
+
+        reasons.ja.push(`${definition.label.ja}が${value}で${bucketLabel.ja}（+${contribution}）`);
+        reasons.en.push(`${definition.label.en} is ${bucketLabel.en} at ${value} (+${contribution})`);
+      });
+
+    return reasons;
+  }
+
+  /**
+   * 現在時刻と予報時間帯をそれぞれ分析し、時間別のリスク推移を返す
+   *
+   * @param {Object} meteoData - 気象データ（forecast配列を含む）
+   * @param {Object} profile - 分析プロファイル（省略時は組み込みプロファイル）
+   * @returns {Array<Object>} [{offsetHours, time, totalScore, riskLevel, isThunderCloudLikely, classification}, ...]
+   */
+  static analyzeTimeline(meteoData, profile = DEFAULT_ANALYSIS_PROFILE) {
+    const slots = [
+      { ...meteoData, offsetHours: 0 },
+      ...(meteoData.forecast || []),
+    ];
+
+    return slots.map(slot => {
+      const analysis = this.analyzeWithMeteoDataOnly(slot, profile);
+      return {
+        offsetHours: slot.offsetHours,
+        time: slot.time || null,
+        totalScore: analysis.totalScore,
+        riskLevel: analysis.riskLevel,
+        isThunderCloudLikely: analysis.isThunderCloudLikely,
+        classification: analysis.classification,
+      };
+    });
+  }
+
+  /**
+   * 時間別リスク推移から傾向を判定
+   *
+   * @param {Array<Object>} timeline - analyzeTimeline の結果
+   * @param {Object} profile - 分析プロファイル（TREND_DELTA を使用、省略時は組み込みプロファイル）
+   * @returns {Object} { trend, peakOffsetHours, peakScore, peakRiskLevel, likelyWithinHours }
+   *
+   * trend:
+   * - rising: 予報時間帯のピークが現在より TREND_DELTA 以上高い
+   * - falling: 予報時間帯の最大値が現在より TREND_DELTA 以上低い
+   * - steady: 上記以外
+   * - unknown: 現在時刻（offsetHours: 0）がない・データ不足で判定できない（予報時間帯を現在として扱わない）
+   *
+   * データ不足で判定できなかった時間帯（riskLevel: null）は除いて判定する
+   */
+  static summarizeTimeline(allSlots, profile = DEFAULT_ANALYSIS_PROFILE) {
+    const trendDelta = profile.thresholds.TREND_DELTA;
+    const timeline = (allSlots || []).filter(slot => slot.riskLevel !== null);
+    if (timeline.length === 0) {
+      return { trend: 'unknown', peakOffsetHours: 0, peakScore: 0, peakRiskLevel: '極めて低い', likelyWithinHours: null };
+    }
+
+    const current = timeline.find(slot => slot.offsetHours === 0) || null;
+    const peak = timeline.reduce((best, slot) => (slot.totalScore > best.totalScore ? slot : best));
+    const upcoming = timeline.filter(slot => slot.offsetHours > 0);
+    const firstLikely = timeline.find(slot => slot.isThunderCloudLikely);
+
+    let trend = 'unknown';
+    if (current) {
+      const upcomingMax = upcoming.length > 0 ? Math.max(...upcoming.map(slot => slot.totalScore)) : current.totalScore;
+      trend = 'steady';
+      if (peak.totalScore - current.totalScore >= trendDelta) {
+        trend = 'rising';
+      } else if (current.totalScore - upcomingMax >= trendDelta) {
+        trend = 'falling';
+      }
+    }
+
+    return {
+      trend,
+      peakOffsetHours: peak.offsetHours,
+      peakScore: peak.totalScore,
+      peakRiskLevel: peak.riskLevel,
+      likelyWithinHours: firstLikely ? firstLikely.offsetHours : null,
     };
   }
 }
@@ -33,6 +33,13 @@ class AppConstants {
   static const int coordinatePrecision = 2; // 小数点以下桁数
   static const double coordinateRoundingFactor = 100.0; // 0.01度単位
 
+  // 方向別気象データ（中心座標サマリー）の Firestore コレクション
+  static const String weatherSummaryCollection = 'weather_origin_summaries';
+
+  // 写真の画像リサイズで元画像と同じディレクトリに作られる派生画像のサイズ（{ファイル名}_{サイズ}.{拡張子}）
+  // functions の PHOTO_STORAGE_SETTINGS.VARIANT_SIZES と合わせる
+  static const List<String> photoVariantSizes = ['400x400', '128x128'];
+
   // 距離計算
   static const double latitudePerDegreeKm = 111.0; // 緯度1度あたりのkm
 
@@ -7,6 +7,8 @@ class Photo {
   final String userName;
   final String imageUrl;
   final String thumbnailUrl;
+  final String storagePath; // Storage上の元画像のパス（例: photos/{userId}/{fileName}）
+  final String thumbnailPath; // Storage上のサムネイルのパス
   final double latitude;
   final double longitude;
   final String locationName;
@@ -23,6 +25,8 @@ class Photo {
     required this.userName,
     required this.imageUrl,
     required this.thumbnailUrl,
+    this.storagePath = '',
+    this.thumbnailPath = '',
     required this.latitude,
     required this.longitude,
     required this.locationName,
@@ -43,6 +47,8 @@ class Photo {
       userName: data['userName'] ?? '',
       imageUrl: data['imageUrl'] ?? '',
       thumbnailUrl: data['thumbnailUrl'] ?? '',
+      storagePath: data['storagePath'] ?? '',
+      thumbnailPath: data['thumbnailPath'] ?? '',
       latitude: (data['location'] as GeoPoint?)?.latitude ?? 0.0,
       longitude: (data['location'] as GeoPoint?)?.longitude ?? 0.0,
       locationName: data['locationName'] ?? '',
@@ -63,6 +69,8 @@ class Photo {
       userName: map['userName'] ?? '',
       imageUrl: map['imageUrl'] ?? '',
       thumbnailUrl: map['thumbnailUrl'] ?? '',
+      storagePath: map['storagePath'] ?? '',
+      thumbnailPath: map['thumbnailPath'] ?? '',
       latitude: (map['latitude'] as num?)?.toDouble() ?? 0.0,
       longitude: (map['longitude'] as num?)?.toDouble() ?? 0.0,
       locationName: map['locationName'] ?? '',
@@ -84,6 +92,8 @@ class Photo {
       'userName': userName,
       'imageUrl': imageUrl,
       'thumbnailUrl': thumbnailUrl,
+      'storagePath': storagePath,
+      'thumbnailPath': thumbnailPath,
       'location': GeoPoint(latitude, longitude),
       'locationName': locationName,
       'timestamp': Timestamp.fromDate(timestamp),
@@ -103,6 +113,8 @@ class Photo {
       'userName': userName,
       'imageUrl': imageUrl,
       'thumbnailUrl': thumbnailUrl,
+      'storagePath': storagePath,
+      'thumbnailPath': thumbnailPath,
       'latitude': latitude,
       'longitude': longitude,
       'locationName': locationName,
@@ -122,6 +134,8 @@ class Photo {
     String? userName,
     String? imageUrl,
     String? thumbnailUrl,
+    String? storagePath,
+    String? thumbnailPath,
     double? latitude,
     double? longitude,
     String? locationName,
@@ -138,6 +152,8 @@ class Photo {
       userName: userName ?? this.userName,
       imageUrl: imageUrl ?? this.imageUrl,
       thumbnailUrl: thumbnailUrl ?? this.thumbnailUrl,
+      storagePath: storagePath ?? this.storagePath,
+      thumbnailPath: thumbnailPath ?? this.thumbnailPath,
       latitude: latitude ?? this.latitude,
       longitude: longitude ?? this.longitude,
       locationName: locationName ?? this.locationName,
@@ -525,6 +525,7 @@ class LocationService {
             .set({
           'latitude': roundedLatitude,
           'longitude': roundedLongitude,
+          'utcOffsetMinutes': DateTime.now().timeZoneOffset.inMinutes, // サーバー側の現地時刻判定用
           'lastUpdated': FieldValue.serverTimestamp(),
           'isActive': true,
         }, SetOptions(merge: true));
@@ -265,6 +265,7 @@ class PushNotificationService {
         'fcmToken': fcmToken,
         'latitude': roundedLatitude,
         'longitude': roundedLongitude,
+        'utcOffsetMinutes': DateTime.now().timeZoneOffset.inMinutes, // サーバー側の現地時刻判定用
         'lastUpdated': FieldValue.serverTimestamp(),
         'isActive': true,
       };
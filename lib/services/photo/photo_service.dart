@@ -65,13 +65,15 @@ class PhotoService {
       final roundedLongitude = AppConstants.roundCoordinate(location.longitude);
 
       // ステップ4: Firebase Storageに画像をアップロード
-      final imageUrl = await _uploadImageToStorage(imageFile, userId);
-      if (imageUrl == null) {
+      final uploaded = await _uploadImageToStorage(imageFile, userId);
+      if (uploaded == null) {
         AppLogger.error('画像アップロードに失敗しました', tag: 'PhotoService');
         return false;
       }
+      final imageUrl = uploaded.url;
 
       // ステップ5: サムネイル画像を作成・アップロード（同じ画像を使用、実際にはリサイズ版を作成）
+      // サムネイルを別に保存するまで thumbnailPath は空のまま（派生画像は storagePath から求める）
       final thumbnailUrl = imageUrl; // 簡易版
 
       // ステップ6: Firestoreに写真データを保存（30日間のTTL付き）
@@ -83,6 +85,7 @@ class PhotoService {
         userName: userName,
         imageUrl: imageUrl,
         thumbnailUrl: thumbnailUrl,
+        storagePath: uploaded.path, // 削除時はURLではなくこのパスを使用
         latitude: roundedLatitude,
         longitude: roundedLongitude,
         locationName: locationName,
@@ -116,8 +119,8 @@ class PhotoService {
   ///
   /// [imageFile] アップロードする画像ファイル
   /// [userId] ユーザーID
-  /// Returns: アップロード成功時はダウンロードURL
-  static Future<String?> _uploadImageToStorage(File imageFile, String userId) async {
+  /// Returns: アップロード成功時はダウンロードURLとStorage上のパス
+  static Future<({String url, String path})?> _uploadImageToStorage(File imageFile, String userId) async {
     try {
       final fileName = 'thunder_cloud_${DateTime.now().millisecondsSinceEpoch}.jpg';
       final ref = _storage.ref().child('photos').child(userId).child(fileName);
@@ -125,7 +128,7 @@ class PhotoService {
       final uploadTask = ref.putFile(imageFile);
       final snapshot = await uploadTask;
       final downloadUrl = await snapshot.ref.getDownloadURL();
-      return downloadUrl;
+      return (url: downloadUrl, path: snapshot.ref.fullPath);
     } catch (e) {
       AppLogger.error('画像アップロードエラー: $e', tag: 'PhotoService');
       return null;
@@ -452,13 +455,8 @@ class PhotoService {
         return false;
       }
 
-      // ステップ2: Firebase Storageから画像を削除
-      try {
-        final ref = _storage.refFromURL(photo.imageUrl);
-        await ref.delete();
-      } catch (e) {
-        AppLogger.warning('画像ファイル削除エラー: $e', tag: 'PhotoService');
-      }
+      // ステップ2: Firebase Storageから画像を削除（元画像・サムネイル・派生画像）
+      await _deletePhotoFiles(photo);
 
       // ステップ3: Firestoreから写真データを削除（いいね情報も一緒に削除される）
       await _firestore.collection('photos').doc(photoId).delete();
@@ -471,6 +469,68 @@ class PhotoService {
     }
   }
 
+  /// 写真に対応する Storage のファイルを削除
+  /// 元画像・サムネイルと、それぞれの派生画像（画像リサイズで作られるもの）を削除する
+  /// 期限切れ写真のクリーンアップ（functions の CleanupService）と同じファイルを対象とする
+  ///
+  /// [photo] 削除する写真
+  static Future<void> _deletePhotoFiles(Photo photo) async {
+    final paths = <String>{};
+
+    for (final path in [
+      _resolveStoragePath(photo.storagePath, photo.imageUrl),
+      _resolveStoragePath(photo.thumbnailPath, photo.thumbnailUrl),
+    ]) {
+      if (path != null) {
+        paths.addAll(_withVariantPaths(path));
+      }
+    }
+
+    for (final path in paths) {
+      try {
+        await _storage.ref(path).delete();
+      } on FirebaseException catch (e) {
+        // 作られていない派生画像などは削除済みとして扱う
+        if (e.code != 'object-not-found') {
+          AppLogger.warning('画像ファイル削除エラー: $path $e', tag: 'PhotoService');
+        }
+      } catch (e) {
+        AppLogger.warning('画像ファイル削除エラー: $path $e', tag: 'PhotoService');
+      }
+    }
+  }
+
+  /// Storage のパスを取得（パスを持たない古い写真はダウンロードURLから求める）
+  ///
+  /// Returns: パス（求められない場合はnull）
+  static String? _resolveStoragePath(String storagePath, String url) {
+    if (storagePath.isNotEmpty) {
+      return storagePath;
+    }
+    if (url.isEmpty) {
+      return null;
+    }
+
+    try {
+      return _storage.refFromURL(url).fullPath;
+    } catch (e) {
+      AppLogger.warning('Storageのパスを特定できません: $url', tag: 'PhotoService');
+      return null;
+    }
+  }
+
+  /// 元画像のパスと派生画像のパス
+  /// 例: photos/uid/a.jpg → [photos/uid/a.jpg, photos/uid/a_400x400.jpg, photos/uid/a_128x128.jpg]
+  static List<String> _withVariantPaths(String path) {
+    final slash = path.lastIndexOf('/');
+    final dot = path.lastIndexOf('.');
+    final hasExtension = dot > slash + 1;
+    final base = hasExtension ? path.substring(0, dot) : path;
+    final extension = hasExtension ? path.substring(dot) : '';
+
+    return [path, ...AppConstants.photoVariantSizes.map((size) => '${base}_$size$extension')];
+  }
+
   /*
   ================================================================================
                                 写真ダウンロード機能
@@ -69,9 +69,9 @@ class WeatherCacheService {
 
     try {
       // ステップ2: Firestoreからドキュメントを取得
-      // weather_cacheコレクションから指定されたキーのドキュメントを取得
+      // 中心座標サマリーのコレクションから指定されたキーのドキュメントを取得
       final doc = await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .doc(cacheKey)
           .get()
           .timeout(AppConstants.weatherDataTimeout);//10秒でタイムアウト
@@ -128,7 +128,7 @@ class WeatherCacheService {
     // Firestoreのリアルタイムリスナーを設定
     // データ変更時に自動的に新しいデータを取得
     return _firestore
-        .collection('weather_cache')
+        .collection(AppConstants.weatherSummaryCollection)
         .doc(cacheKey)
         .snapshots()
         .map(_processRealtimeSnapshot)
@@ -152,7 +152,7 @@ class WeatherCacheService {
 
       // 全キャッシュドキュメントを取得
       final querySnapshot = await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .get()
           .timeout(AppConstants.weatherDataTimeout);
 
@@ -182,7 +182,7 @@ class WeatherCacheService {
 
       // Firestoreから指定されたドキュメントを削除
       await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .doc(cacheKey)
           .delete()
           .timeout(AppConstants.weatherDataTimeout);
@@ -97,7 +97,7 @@ class WeatherDataService extends ChangeNotifier {
     try {
       // ステップ2: Firestoreからキャッシュデータを取得
       final cacheKey = _generateCacheKey(currentLocation);
-      final cacheDoc = await _firestore.collection('weather_cache').doc(cacheKey).get();
+      final cacheDoc = await _firestore.collection(AppConstants.weatherSummaryCollection).doc(cacheKey).get();
 
       // ステップ3: キャッシュデータの存在確認と処理
       if (cacheDoc.exists) {
@@ -215,7 +215,7 @@ class WeatherDataService extends ChangeNotifier {
 
     // Firestoreのリアルタイムリスナーを設定
     // データ変更時に自動的に新しいデータを取得
-    _firestore.collection('weather_cache').doc(cacheKey).snapshots().listen(
+    _firestore.collection(AppConstants.weatherSummaryCollection).doc(cacheKey).snapshots().listen(
       (snapshot) {
         // ステップ1: スナップショットの存在確認
         if (snapshot.exists) {
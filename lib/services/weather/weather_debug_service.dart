@@ -58,7 +58,7 @@ class WeatherDebugService {
 
       // ステップ2: Firestoreからドキュメントを取得
       final doc = await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .doc(cacheKey)
           .get()
           .timeout(AppConstants.weatherDataTimeout);
@@ -116,7 +116,7 @@ class WeatherDebugService {
 
       // ステップ2: Firestoreからドキュメントを取得
       final doc = await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .doc(cacheKey)
           .get()
           .timeout(AppConstants.weatherDataTimeout);
@@ -171,7 +171,7 @@ class WeatherDebugService {
     try {
       // ステップ1: 全キャッシュドキュメントを取得
       final querySnapshot = await _firestore
-          .collection('weather_cache')
+          .collection(AppConstants.weatherSummaryCollection)
           .get()
           .timeout(AppConstants.weatherDataTimeout);
 